@@ -6,24 +6,37 @@
 (function() {
   'use strict';
 
+  // Must match shared/utils/embed-bridge.js
+  const PROTOCOL = 'human-ai-viz';
+
   const VISUALIZATIONS = {
     'complementarity-view': {
       path: '/visualizations/complementarity-view/',
       defaultWidth: '100%',
       defaultHeight: '700px',
-      aspectRatio: 16 / 9
+      aspectRatio: 16 / 9,
+      methods: ['setViewMode', 'transitionToPreset', 'focusOnOrb', 'focusOnObservable', 'exitFocus', 'exportImage', 'undo', 'redo', 'getState']
     },
     'four-rungs': {
       path: '/visualizations/four-rungs/',
       defaultWidth: '100%',
       defaultHeight: '800px',
-      aspectRatio: 4 / 3
+      aspectRatio: 4 / 3,
+      methods: ['setViewMode', 'focusOnRung', 'clearFocus', 'navigateRung', 'exportImage', 'undo', 'redo', 'getState']
     },
     'friction-spectrum': {
       path: '/visualizations/friction-spectrum/',
       defaultWidth: '100%',
       defaultHeight: '600px',
-      aspectRatio: 16 / 10
+      aspectRatio: 16 / 10,
+      methods: ['switchZone', 'updateGate', 'exportImage', 'undo', 'redo', 'getState']
+    },
+    'cost-of-speed': {
+      path: '/visualizations/cost-of-speed/',
+      defaultWidth: '100%',
+      defaultHeight: '700px',
+      aspectRatio: 16 / 9,
+      methods: ['focusOnLayer', 'exitFocus', 'exportImage', 'undo', 'redo', 'getState']
     },
     'collaboration-framework': {
       path: '/visualizations/collaboration-framework/',
@@ -60,7 +73,131 @@
   }
 
   /**
-   * Create an iframe embed
+   * Controller for one embedded visualization.
+   * Talks to shared/utils/embed-bridge.js inside the iframe over postMessage;
+   * calls made before the visualization reports ready are queued.
+   */
+  function createController(vizId, iframe, vizOrigin) {
+    const viz = VISUALIZATIONS[vizId];
+    const listeners = {};
+    const pending = {};
+    let queue = [];
+    let nextCallId = 1;
+    let isReady = false;
+    let resolveReady;
+
+    const readyPromise = new Promise(resolve => { resolveReady = resolve; });
+
+    function dispatch(eventName, detail) {
+      (listeners[eventName] || []).slice().forEach(cb => {
+        try {
+          cb(detail);
+        } catch (e) {
+          console.error(`HumanAIViz: "${eventName}" listener failed`, e);
+        }
+      });
+    }
+
+    function send(message) {
+      iframe.contentWindow.postMessage(Object.assign({ protocol: PROTOCOL }, message), vizOrigin);
+    }
+
+    function onMessage(event) {
+      // Only trust messages from this iframe, served from the expected origin
+      if (event.source !== iframe.contentWindow || event.origin !== vizOrigin) return;
+
+      const data = event.data;
+      if (!data || data.protocol !== PROTOCOL) return;
+
+      if (data.type === 'ready') {
+        isReady = true;
+        queue.forEach(send);
+        queue = [];
+        resolveReady(controller);
+        dispatch('ready', { viz: data.viz, methods: data.methods });
+      } else if (data.type === 'result') {
+        const call = pending[data.id];
+        if (!call) return;
+        delete pending[data.id];
+        if (data.error) {
+          call.reject(new Error(data.error));
+        } else {
+          call.resolve(data.result);
+        }
+      } else if (data.type === 'event') {
+        dispatch(data.event, data.detail);
+      }
+    }
+
+    window.addEventListener('message', onMessage);
+
+    const controller = {
+      id: vizId,
+      iframe,
+      ready: readyPromise,
+
+      /**
+       * Invoke a method exposed by the visualization
+       * @returns {Promise} Resolves with the method's return value
+       */
+      call(method, ...args) {
+        return new Promise((resolve, reject) => {
+          const id = nextCallId++;
+          pending[id] = { resolve, reject };
+          const message = { type: 'call', id, method, args };
+          if (isReady) {
+            send(message);
+          } else {
+            queue.push(message);
+          }
+        });
+      },
+
+      /**
+       * Subscribe to a visualization event ('ready', 'focuschange', 'viewchange',
+       * 'zonechange', 'introcomplete'). Returns an unsubscribe function.
+       */
+      on(eventName, callback) {
+        (listeners[eventName] = listeners[eventName] || []).push(callback);
+        return () => controller.off(eventName, callback);
+      },
+
+      off(eventName, callback) {
+        if (!listeners[eventName]) return;
+        listeners[eventName] = listeners[eventName].filter(cb => cb !== callback);
+      },
+
+      /**
+       * Stop listening, reject outstanding calls and remove the iframe
+       */
+      destroy() {
+        window.removeEventListener('message', onMessage);
+        Object.keys(pending).forEach(id => {
+          pending[id].reject(new Error('Embed destroyed'));
+          delete pending[id];
+        });
+        queue = [];
+        if (iframe.parentNode) iframe.parentNode.removeChild(iframe);
+      }
+    };
+
+    // Convenience wrappers, e.g. controller.setViewMode('ai-view')
+    (viz.methods || []).forEach(method => {
+      controller[method] = (...args) => controller.call(method, ...args);
+    });
+
+    return controller;
+  }
+
+  /**
+   * Locale requested on the host page (?lang=fr), if any
+   */
+  function getHostLang() {
+    return new URLSearchParams(window.location.search).get('lang');
+  }
+
+  /**
+   * Create an iframe embed and return its controller
    */
   function createIframeEmbed(vizId, container, options = {}) {
     const viz = VISUALIZATIONS[vizId];
@@ -73,8 +210,25 @@
     const width = options.width || viz.defaultWidth;
     const height = options.height || viz.defaultHeight;
 
+    // Tell the visualization which origin may drive it
+    const src = new URL(`${baseUrl}${viz.path}index.html`, window.location.href);
+    src.searchParams.set('hostOrigin', window.location.origin);
+
+    // Initial deep-link state: { zone: 'gated', gate: 50 } or 'zone=gated&gate=50'
+    const state = typeof options.state === 'string'
+      ? Object.fromEntries(new URLSearchParams(options.state))
+      : (options.state || {});
+    Object.keys(state).forEach(key => src.searchParams.set(key, state[key]));
+
+    // Locale: explicit option, else the host page's own ?lang=
+    const lang = options.lang || getHostLang();
+    if (lang) src.searchParams.set('lang', lang);
+
+    // Motion: 'reduced' or 'full'; left out, the reader's OS setting decides
+    if (options.motion) src.searchParams.set('motion', options.motion);
+
     const iframe = document.createElement('iframe');
-    iframe.src = `${baseUrl}${viz.path}index.html`;
+    iframe.src = src.href;
     iframe.style.width = width;
     iframe.style.height = height;
     iframe.style.border = 'none';
@@ -84,6 +238,8 @@
     iframe.setAttribute('allowfullscreen', 'true');
     iframe.setAttribute('title', `${vizId} visualization`);
 
+    const controller = createController(vizId, iframe, src.origin);
+
     if (typeof container === 'string') {
       container = document.querySelector(container);
     }
@@ -92,35 +248,184 @@
       container.appendChild(iframe);
     }
 
-    return iframe;
+    return controller;
+  }
+
+  /**
+   * Parse a step description into calls.
+   * "setViewMode:ai-view; focusOnOrb:trust" -> [{ method, args }, ...]
+   * Numeric arguments are passed as numbers ("updateGate:50").
+   */
+  function parseStep(value) {
+    return (value || '')
+      .split(';')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const sep = part.indexOf(':');
+        const method = (sep === -1 ? part : part.slice(0, sep)).trim();
+        const args = sep === -1 ? [] : part.slice(sep + 1)
+          .split(',')
+          .map(arg => arg.trim())
+          .filter(arg => arg !== '')
+          .map(arg => (isNaN(arg) ? arg : Number(arg)));
+        return { method, args };
+      });
+  }
+
+  function runStep(controller, calls) {
+    calls.forEach(({ method, args }) => {
+      controller.call(method, ...args).catch(err => {
+        console.warn(`HumanAIViz: step call "${method}" failed: ${err.message}`);
+      });
+    });
+  }
+
+  /**
+   * Drive an embed from article sections as the reader scrolls.
+   * Scrolling back above a step re-applies the one before it (or options.initial).
+   * @param {Object} controller - Controller returned by embed()
+   * @param {Element[]|NodeList} steps - Elements carrying data-viz-step
+   * @param {Object} [options]
+   * @param {string} [options.initial] - Step applied above the first section
+   * @param {number} [options.offset=0.5] - Trigger line as a fraction of viewport height
+   * @param {Function} [options.onStep] - Called with (element|null, index)
+   * @returns {Function} Unbind function
+   */
+  function bindSteps(controller, steps, options = {}) {
+    const stepList = Array.from(steps);
+    if (!controller || stepList.length === 0) return () => {};
+
+    if (!('IntersectionObserver' in window)) {
+      console.warn('HumanAIViz: IntersectionObserver unavailable, scroll steps disabled');
+      return () => {};
+    }
+
+    const offset = Math.min(Math.max(parseFloat(options.offset) || 0.5, 0), 0.99);
+    const initial = parseStep(options.initial);
+    let activeIndex = -1;
+
+    function activate(index) {
+      if (index === activeIndex) return;
+      activeIndex = index;
+
+      const element = stepList[index] || null;
+      stepList.forEach((el, i) => el.classList.toggle('viz-step--active', i === index));
+      runStep(controller, element ? parseStep(element.dataset.vizStep) : initial);
+
+      if (options.onStep) options.onStep(element, index);
+    }
+
+    // The active step is the last one whose top has passed the trigger line,
+    // so jumps (anchor links, scrolling back to the top) land on the right state
+    function update() {
+      const lineY = window.innerHeight * offset;
+      let index = -1;
+      stepList.forEach((el, i) => {
+        if (el.getBoundingClientRect().top <= lineY) index = i;
+      });
+      activate(index);
+    }
+
+    // Observe a 1%-tall band at the trigger line; any crossing triggers a recompute
+    const topMargin = Math.round(offset * 100);
+    const observer = new IntersectionObserver(update, {
+      rootMargin: `-${topMargin}% 0px -${99 - topMargin}% 0px`
+    });
+
+    stepList.forEach(el => observer.observe(el));
+
+    return () => observer.disconnect();
+  }
+
+  /**
+   * Resolve which embed container a step belongs to: its data-viz-target
+   * selector, else the nearest preceding container, else the first one.
+   */
+  function findStepContainer(step, containers) {
+    if (step.dataset.vizTarget) {
+      return document.querySelector(step.dataset.vizTarget);
+    }
+
+    let match = null;
+    containers.forEach(container => {
+      if (container.compareDocumentPosition(step) & Node.DOCUMENT_POSITION_FOLLOWING) {
+        match = container;
+      }
+    });
+    return match || containers[0] || null;
   }
 
   /**
    * Auto-initialize embeds from data attributes
    * Usage: <div data-viz-embed="complementarity-view" data-viz-width="100%" data-viz-height="600px"></div>
+   * Start from a deep-linked state with data-viz-state="view=ai-view&focus=metrics"
+   * Pick a locale with data-viz-lang="fr" (defaults to the page's ?lang=)
+   * Start in reduced motion with data-viz-motion="reduced"
+   *
+   * Scroll steps:
+   *   <div data-viz-embed="four-rungs" data-viz-initial-step="clearFocus; setViewMode:recommended"></div>
+   *   <section data-viz-step="focusOnRung:outcome">...</section>
+   *   <section data-viz-step="setViewMode:current">...</section>
    */
   function autoInit() {
     const embedContainers = document.querySelectorAll('[data-viz-embed]');
+    const controllers = [];
 
     embedContainers.forEach(container => {
       const vizId = container.dataset.vizEmbed;
       const options = {
         width: container.dataset.vizWidth,
         height: container.dataset.vizHeight,
-        borderRadius: container.dataset.vizBorderRadius
+        borderRadius: container.dataset.vizBorderRadius,
+        state: container.dataset.vizState,
+        lang: container.dataset.vizLang,
+        motion: container.dataset.vizMotion
       };
 
-      createIframeEmbed(vizId, container, options);
+      const controller = createIframeEmbed(vizId, container, options);
+      if (controller) {
+        container.vizController = controller;
+        controllers.push(controller);
+      }
     });
+
+    // Group scroll steps by the embed they drive
+    const containers = Array.from(embedContainers).filter(c => c.vizController);
+    const stepsByContainer = new Map();
+    document.querySelectorAll('[data-viz-step]').forEach(step => {
+      const container = findStepContainer(step, containers);
+      if (!container || !container.vizController) return;
+      if (!stepsByContainer.has(container)) stepsByContainer.set(container, []);
+      stepsByContainer.get(container).push(step);
+    });
+
+    stepsByContainer.forEach((steps, container) => {
+      bindSteps(container.vizController, steps, {
+        initial: container.dataset.vizInitialStep,
+        offset: container.dataset.vizStepOffset
+      });
+    });
+
+    return controllers;
   }
 
   /**
    * Manual embed API
+   * Usage:
+   *   const viz = HumanAIViz.embed('friction-spectrum', '#figure');
+   *   viz.on('zonechange', ({ zone }) => console.log(zone));
+   *   viz.switchZone('gated');
+   *
+   * Still images (PNG, or SVG with the labels as text) of the current view:
+   *   viz.exportImage({ size: '4k', format: 'png', transparent: true })
+   *     .then(blob => URL.createObjectURL(blob));
    */
   window.HumanAIViz = {
     embed: createIframeEmbed,
     visualizations: Object.keys(VISUALIZATIONS),
     getConfig: (vizId) => VISUALIZATIONS[vizId],
+    bindSteps,
 
     // Initialize all embeds with data attributes
     init: autoInit
@@ -0,0 +1,239 @@
+/**
+ * Accessibility Layer
+ * Screen-reader mirror of a WebGL scene: a visually hidden, focusable list
+ * of the objects drawn in the canvas, plus a polite ARIA live region for
+ * announcing state changes. The list appears as a panel while it has focus,
+ * so keyboard users can see where they are.
+ * Loaded as a classic script; exposes window.VizA11y.
+ *
+ *   const mirror = VizA11y.createSceneMirror({
+ *     label: 'Objects in the scene',
+ *     groups: [{ id: 'orbs', label: 'Unobservables', items: [{ id, label, description }] }],
+ *     onSelect: (id, groupId) => focusOnOrb(id),
+ *     onClear: exitFocus
+ *   });
+ *   StateManager.subscribe('focusedOrb', id => mirror.setCurrent(id));
+ */
+
+(function() {
+  'use strict';
+
+  const STYLES = `
+    .viz-a11y-hidden,
+    .viz-a11y-mirror:not(:focus-within) {
+      position: absolute !important;
+      width: 1px !important;
+      height: 1px !important;
+      padding: 0 !important;
+      margin: -1px !important;
+      overflow: hidden !important;
+      clip: rect(0, 0, 0, 0) !important;
+      white-space: nowrap !important;
+      border: 0 !important;
+    }
+    .viz-a11y-mirror {
+      position: fixed;
+      top: 1rem;
+      left: 1rem;
+      z-index: 200;
+      max-width: min(360px, calc(100vw - 2rem));
+      max-height: calc(100vh - 2rem);
+      overflow-y: auto;
+      padding: 1rem 1.25rem;
+      background: rgba(12, 12, 18, 0.96);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      font-size: 0.8rem;
+      color: rgba(255, 255, 255, 0.85);
+    }
+    .viz-a11y-mirror__title,
+    .viz-a11y-mirror__group {
+      margin: 0 0 0.4rem;
+      font-size: 0.7rem;
+      font-weight: 500;
+      color: rgba(255, 255, 255, 0.55);
+    }
+    .viz-a11y-mirror__list {
+      margin: 0 0 0.75rem;
+      padding: 0;
+      list-style: none;
+    }
+    .viz-a11y-mirror__item {
+      display: block;
+      width: 100%;
+      padding: 0.3rem 0.5rem;
+      background: none;
+      border: 1px solid transparent;
+      border-radius: 4px;
+      font: inherit;
+      color: inherit;
+      text-align: start;
+      cursor: pointer;
+    }
+    .viz-a11y-mirror__item:focus-visible {
+      outline: 2px solid rgba(251, 191, 36, 0.8);
+      outline-offset: 1px;
+    }
+    .viz-a11y-mirror__item[aria-current="true"] {
+      border-color: rgba(251, 191, 36, 0.4);
+      background: rgba(251, 191, 36, 0.12);
+    }
+  `;
+
+  function injectStyles() {
+    if (document.getElementById('viz-a11y-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'viz-a11y-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  // ============================================================
+  // Live Region
+  // ============================================================
+
+  let liveRegion = null;
+  let announceTimer = null;
+
+  function getLiveRegion() {
+    if (liveRegion) return liveRegion;
+    injectStyles();
+    liveRegion = document.createElement('div');
+    liveRegion.className = 'viz-a11y-hidden';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(liveRegion);
+    return liveRegion;
+  }
+
+  /**
+   * Read a message out through the live region. Repeating the same message
+   * announces it again; a newer message replaces one not yet read.
+   * @param {string} message
+   */
+  function announce(message) {
+    const region = getLiveRegion();
+    clearTimeout(announceTimer);
+    region.textContent = '';
+    // Screen readers only notice a change, so clear first and write on the next tick
+    announceTimer = setTimeout(() => {
+      region.textContent = message;
+    }, 50);
+  }
+
+  // ============================================================
+  // Scene Mirror
+  // ============================================================
+
+  let mirrorCount = 0;
+
+  /**
+   * Build the mirror list for a scene
+   * @param {Object} options
+   * @param {string} options.label - Accessible name of the list, also its visible title
+   * @param {Array<{id: string, label: string, items: Array<{id: string, label: string, description?: string}>}>} options.groups
+   * @param {Function} options.onSelect - Called with (itemId, groupId) when an item is activated
+   * @param {Function} [options.onClear] - Called on Escape, or when the current item is activated again
+   * @returns {{ element: HTMLElement, setCurrent: Function, announce: Function, destroy: Function }}
+   */
+  function createSceneMirror(options) {
+    injectStyles();
+    const prefix = `viz-a11y-${++mirrorCount}`;
+
+    const nav = document.createElement('nav');
+    nav.className = 'viz-a11y-mirror';
+    nav.setAttribute('aria-labelledby', `${prefix}-title`);
+
+    const title = document.createElement('h2');
+    title.className = 'viz-a11y-mirror__title';
+    title.id = `${prefix}-title`;
+    title.textContent = options.label;
+    nav.appendChild(title);
+
+    const buttons = {};
+    let currentId = null;
+
+    options.groups.forEach(group => {
+      const heading = document.createElement('h3');
+      heading.className = 'viz-a11y-mirror__group';
+      heading.id = `${prefix}-${group.id}`;
+      heading.textContent = group.label;
+
+      const list = document.createElement('ul');
+      list.className = 'viz-a11y-mirror__list';
+      list.setAttribute('aria-labelledby', heading.id);
+
+      group.items.forEach(item => {
+        const li = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'viz-a11y-mirror__item';
+        button.textContent = item.label;
+
+        if (item.description) {
+          const description = document.createElement('span');
+          description.className = 'viz-a11y-hidden';
+          description.id = `${prefix}-${group.id}-${item.id}`;
+          description.textContent = item.description;
+          li.appendChild(description);
+          button.setAttribute('aria-describedby', description.id);
+        }
+
+        button.addEventListener('click', () => {
+          if (item.id === currentId && options.onClear) {
+            options.onClear();
+          } else {
+            options.onSelect(item.id, group.id);
+          }
+        });
+
+        buttons[item.id] = button;
+        li.appendChild(button);
+        list.appendChild(li);
+      });
+
+      nav.append(heading, list);
+    });
+
+    nav.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && options.onClear) {
+        event.stopPropagation();
+        options.onClear();
+      }
+    });
+
+    document.body.appendChild(nav);
+
+    return {
+      element: nav,
+
+      /**
+       * Mark the item the scene is focused on (null for none)
+       */
+      setCurrent(id) {
+        currentId = id || null;
+        Object.keys(buttons).forEach(key => {
+          if (key === currentId) {
+            buttons[key].setAttribute('aria-current', 'true');
+          } else {
+            buttons[key].removeAttribute('aria-current');
+          }
+        });
+      },
+
+      announce,
+
+      destroy() {
+        if (nav.parentNode) nav.parentNode.removeChild(nav);
+      }
+    };
+  }
+
+  window.VizA11y = {
+    createSceneMirror,
+    announce
+  };
+
+})();
@@ -0,0 +1,314 @@
+/**
+ * Content Loader
+ * Loads a visualization's copy (titles, descriptions, quotes) from a JSON file
+ * next to it, validates it against a schema, and shows an error overlay that
+ * names every missing or malformed field. Translated copies
+ * (content.<locale>.json) are picked up when VizI18n is loaded first.
+ * Loaded as a classic script; exposes window.VizContent.
+ *
+ * Schema notation:
+ *   'string' | 'number' | 'boolean'   Required value of that type
+ *   { field: spec, ... }              Object with exactly these required fields
+ *   optional(spec)                    Field may be omitted
+ *   oneOf([...] | () => [...])        One of a fixed set of values
+ *   listOf(spec, { length, unique, empty })
+ *                                     Non-empty array (`empty: true` allows []);
+ *                                     `unique` names an id field
+ *   mapOf(spec, { keys })             Object keyed by id; `keys` must all be present
+ */
+
+(function() {
+  'use strict';
+
+  const KIND = '__vizContentSpec';
+
+  function optional(spec) {
+    return { [KIND]: 'optional', spec };
+  }
+
+  function oneOf(values) {
+    return { [KIND]: 'oneOf', values };
+  }
+
+  function listOf(spec, options = {}) {
+    return { [KIND]: 'list', spec, length: options.length, unique: options.unique, empty: !!options.empty };
+  }
+
+  function mapOf(spec, options = {}) {
+    return { [KIND]: 'map', spec, keys: options.keys };
+  }
+
+  function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    return `a ${typeof value}`;
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function join(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Validate data against a spec
+   * @returns {string[]} One message per problem, prefixed with the field path
+   */
+  function validate(data, spec, path = '') {
+    const errors = [];
+    const where = path || 'content';
+
+    if (typeof spec === 'string') {
+      if (typeof data !== spec) {
+        errors.push(`${where} should be ${spec === 'string' ? 'text' : `a ${spec}`}, got ${describe(data)}`);
+      } else if (spec === 'string' && data.trim() === '') {
+        errors.push(`${where} is empty`);
+      }
+      return errors;
+    }
+
+    switch (spec[KIND]) {
+      case 'optional':
+        return data === undefined ? errors : validate(data, spec.spec, path);
+
+      case 'oneOf': {
+        const values = typeof spec.values === 'function' ? spec.values() : spec.values;
+        if (!values.includes(data)) {
+          errors.push(`${where} should be one of ${values.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(data)}`);
+        }
+        return errors;
+      }
+
+      case 'list': {
+        if (!Array.isArray(data) || (data.length === 0 && !spec.empty)) {
+          errors.push(`${where} should be ${spec.empty ? 'a list' : 'a non-empty list'}, got ${describe(data)}`);
+          return errors;
+        }
+        if (spec.length !== undefined && data.length !== spec.length) {
+          errors.push(`${where} should have ${spec.length} entries, has ${data.length}`);
+        }
+        const seen = {};
+        data.forEach((item, i) => {
+          errors.push(...validate(item, spec.spec, `${path}[${i}]`));
+          if (spec.unique && isPlainObject(item) && item[spec.unique] !== undefined) {
+            const id = item[spec.unique];
+            if (seen[id]) errors.push(`${path}[${i}].${spec.unique} "${id}" is used more than once`);
+            seen[id] = true;
+          }
+        });
+        return errors;
+      }
+
+      case 'map': {
+        if (!isPlainObject(data)) {
+          errors.push(`${where} should be an object, got ${describe(data)}`);
+          return errors;
+        }
+        (spec.keys || []).forEach(key => {
+          if (!(key in data)) errors.push(`${join(path, key)} is missing`);
+        });
+        Object.keys(data).forEach(key => {
+          if (spec.keys && !spec.keys.includes(key)) {
+            errors.push(`${join(path, key)} is not a known entry (expected ${spec.keys.join(', ')})`);
+            return;
+          }
+          errors.push(...validate(data[key], spec.spec, join(path, key)));
+        });
+        return errors;
+      }
+
+      default: {
+        if (!isPlainObject(data)) {
+          errors.push(`${where} should be an object, got ${describe(data)}`);
+          return errors;
+        }
+        Object.keys(spec).forEach(key => {
+          const fieldSpec = spec[key];
+          if (data[key] === undefined) {
+            if (!(isPlainObject(fieldSpec) && fieldSpec[KIND] === 'optional')) {
+              errors.push(`${join(path, key)} is missing`);
+            }
+            return;
+          }
+          errors.push(...validate(data[key], fieldSpec, join(path, key)));
+        });
+        return errors;
+      }
+    }
+  }
+
+  // ============================================================
+  // Error Overlay
+  // ============================================================
+
+  const OVERLAY_STYLES = `
+    .viz-content-error {
+      position: fixed;
+      inset: 0;
+      z-index: 10000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 24px;
+      background: rgba(8, 8, 12, 0.96);
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      color: rgba(255, 255, 255, 0.85);
+    }
+    .viz-content-error__panel {
+      max-width: 640px;
+      max-height: 100%;
+      overflow-y: auto;
+      padding: 28px 32px;
+      border: 1px solid rgba(212, 117, 106, 0.45);
+      border-radius: 8px;
+      background: rgba(20, 20, 28, 0.95);
+    }
+    .viz-content-error__title {
+      margin: 0 0 8px;
+      font-size: 1.1rem;
+      font-weight: 500;
+      color: #e8958a;
+    }
+    .viz-content-error__file {
+      margin: 0 0 16px;
+      font-size: 0.85rem;
+      color: rgba(255, 255, 255, 0.5);
+    }
+    .viz-content-error__file code,
+    .viz-content-error__list {
+      font-family: 'SF Mono', Menlo, Consolas, monospace;
+    }
+    .viz-content-error__list {
+      margin: 0;
+      padding-left: 18px;
+      font-size: 0.8rem;
+      line-height: 1.7;
+    }
+  `;
+
+  /**
+   * Replace the page with a readable list of content problems
+   * @param {string} url - The content file that failed
+   * @param {string[]} errors
+   */
+  function showError(url, errors) {
+    if (!document.getElementById('viz-content-error-styles')) {
+      const style = document.createElement('style');
+      style.id = 'viz-content-error-styles';
+      style.textContent = OVERLAY_STYLES;
+      document.head.appendChild(style);
+    }
+
+    const overlay = document.createElement('div');
+    overlay.className = 'viz-content-error';
+    overlay.setAttribute('role', 'alert');
+
+    const panel = document.createElement('div');
+    panel.className = 'viz-content-error__panel';
+
+    const title = document.createElement('h2');
+    title.className = 'viz-content-error__title';
+    title.textContent = 'This visualization could not load its content';
+
+    const file = document.createElement('p');
+    file.className = 'viz-content-error__file';
+    const code = document.createElement('code');
+    code.textContent = url;
+    file.append('Fix the following in ', code, ':');
+
+    const list = document.createElement('ul');
+    list.className = 'viz-content-error__list';
+    errors.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      list.appendChild(item);
+    });
+
+    panel.append(title, file, list);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+  }
+
+  // ============================================================
+  // Loading
+  // ============================================================
+
+  function fail(url, errors) {
+    console.error(`Content errors in ${url}:\n  ${errors.join('\n  ')}`);
+    showError(url, errors);
+    const error = new Error(`Invalid content: ${url}`);
+    error.contentErrors = errors;
+    return Promise.reject(error);
+  }
+
+  /**
+   * Translated copies sit next to the original: content.json -> content.fr.json.
+   * Most specific locale first; the untranslated file is the last resort.
+   */
+  function localizedUrls(url) {
+    const locales = window.VizI18n ? window.VizI18n.fallbacks() : [];
+    return locales.map(tag => url.replace(/\.json$/, `.${tag}.json`)).concat(url);
+  }
+
+  // First URL that exists; a 404 moves on to the next candidate
+  function fetchFirst(urls) {
+    const [url, ...rest] = urls;
+    return fetch(url, { cache: 'no-cache' }).then(response => {
+      if (response.status === 404 && rest.length) return fetchFirst(rest);
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+        error.url = url;
+        throw error;
+      }
+      return response.text().then(text => ({ url, text }));
+    }, err => {
+      err.url = url;
+      throw err;
+    });
+  }
+
+  /**
+   * Fetch and validate a content file, preferring the copy for the current
+   * locale (see VizI18n). On any problem the error overlay is shown and the
+   * promise rejects, so callers only build the scene on success.
+   * @param {string} url - Relative to the visualization page, e.g. 'content.json'
+   * @param {Object} schema
+   * @returns {Promise<Object>}
+   */
+  function load(url, schema) {
+    return fetchFirst(localizedUrls(url))
+      .then(
+        ({ url: resolvedUrl, text }) => {
+          let data;
+          try {
+            data = JSON.parse(text);
+          } catch (e) {
+            return fail(resolvedUrl, [`Not valid JSON: ${e.message}`]);
+          }
+
+          const errors = validate(data, schema);
+          return errors.length ? fail(resolvedUrl, errors) : data;
+        },
+        err => {
+          const errors = [`Could not fetch the file (${err.message})`];
+          if (window.location.protocol === 'file:') {
+            errors.push('Serve the site over http:// (e.g. python -m http.server) rather than opening it from disk');
+          }
+          return fail(err.url || url, errors);
+        }
+      );
+  }
+
+  window.VizContent = {
+    load,
+    validate,
+    showError,
+    optional,
+    oneOf,
+    listOf,
+    mapOf
+  };
+
+})();
@@ -0,0 +1,115 @@
+/**
+ * Embed Bridge
+ * Visualization side of the postMessage protocol used by embed/loader.js.
+ * Loaded as a classic script; exposes window.VizBridge.
+ *
+ * Host -> viz:  { protocol, type: 'call', id, method, args }
+ * Viz -> host:  { protocol, type: 'ready', viz, methods }
+ *               { protocol, type: 'result', id, result } | { ..., error }
+ *               { protocol, type: 'event', event, detail }
+ */
+
+(function() {
+  'use strict';
+
+  const PROTOCOL = 'human-ai-viz';
+
+  const isEmbedded = window.parent !== window;
+
+  let vizId = null;
+  let methods = {};
+
+  /**
+   * Resolve the host page origin. The loader passes it explicitly as
+   * ?hostOrigin=; document.referrer is the fallback for hand-written iframes.
+   */
+  function resolveHostOrigin() {
+    const fromParam = new URLSearchParams(window.location.search).get('hostOrigin');
+    if (fromParam) return fromParam;
+
+    if (document.referrer) {
+      try {
+        return new URL(document.referrer).origin;
+      } catch (e) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  const hostOrigin = isEmbedded ? resolveHostOrigin() : null;
+
+  /**
+   * Post a protocol message to the host page (no-op when standalone)
+   */
+  function post(message) {
+    if (!isEmbedded || !hostOrigin || hostOrigin === 'null') return;
+    window.parent.postMessage(Object.assign({ protocol: PROTOCOL }, message), hostOrigin);
+  }
+
+  /**
+   * Only accept calls from the embedding window at the expected origin
+   */
+  function onMessage(event) {
+    if (event.source !== window.parent || event.origin !== hostOrigin) return;
+
+    const data = event.data;
+    if (!data || data.protocol !== PROTOCOL || data.type !== 'call') return;
+
+    const handler = methods[data.method];
+    if (!handler) {
+      post({ type: 'result', id: data.id, error: `Unknown method: ${data.method}` });
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => handler.apply(null, Array.isArray(data.args) ? data.args : []))
+      .then(
+        result => post({ type: 'result', id: data.id, result: result === undefined ? null : result }),
+        err => post({ type: 'result', id: data.id, error: (err && err.message) || String(err) })
+      );
+  }
+
+  /**
+   * Expose a visualization's commands to the host and announce readiness
+   * @param {string} id - Visualization id (matches embed/loader.js)
+   * @param {Object<string, Function>} commands - Method name -> handler
+   */
+  function register(id, commands) {
+    vizId = id;
+    methods = Object.assign({}, commands);
+    post({ type: 'ready', viz: vizId, methods: Object.keys(methods) });
+  }
+
+  /**
+   * Notify the host of a state change
+   * @param {string} eventName - e.g. 'focuschange', 'zonechange', 'introcomplete'
+   * @param {Object} [detail] - Structured-cloneable payload
+   */
+  function emit(eventName, detail) {
+    post({ type: 'event', event: eventName, detail: detail === undefined ? null : detail });
+  }
+
+  /**
+   * Run a registered command from inside the page, e.g. a recorder script step
+   * @param {string} method
+   * @param {Array} [args]
+   */
+  function call(method, args) {
+    const handler = methods[method];
+    if (!handler) throw new Error(`Unknown method: ${method}`);
+    return handler.apply(null, Array.isArray(args) ? args : []);
+  }
+
+  if (isEmbedded) {
+    window.addEventListener('message', onMessage);
+  }
+
+  window.VizBridge = {
+    isEmbedded,
+    register,
+    emit,
+    call
+  };
+
+})();
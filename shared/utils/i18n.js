@@ -0,0 +1,170 @@
+/**
+ * I18n
+ * Message catalogs and locale switching for the visualizations.
+ * The locale comes from ?lang= (embed/loader.js forwards it); catalogs live in
+ * shared/i18n/<locale>.json and fall back key by key to English.
+ * Loaded as a classic script; exposes window.VizI18n.
+ *
+ * Markup opts in with data attributes, applied once the catalog has loaded:
+ *   data-i18n="key"             textContent
+ *   data-i18n-title="key"       title attribute
+ *   data-i18n-aria-label="key"  aria-label attribute
+ *
+ * Visualization copy (orb titles, rung questions, zone essences...) is
+ * translated through content.<locale>.json instead; see content-loader.js.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_LOCALE = 'en';
+  const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+  const CATALOG_BASE = new URL('../i18n/', document.currentScript.src).href;
+
+  const ATTRIBUTES = {
+    'data-i18n-title': 'title',
+    'data-i18n-aria-label': 'aria-label'
+  };
+
+  /**
+   * Lowercase BCP 47-ish tag ('pt_BR' -> 'pt-br'); null if it isn't one
+   */
+  function normalize(tag) {
+    if (!tag) return null;
+    const normalized = String(tag).trim().toLowerCase().replace(/_/g, '-');
+    return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(normalized) ? normalized : null;
+  }
+
+  const requested = normalize(new URLSearchParams(window.location.search).get('lang')) || DEFAULT_LOCALE;
+
+  /**
+   * Locales to try, most specific first: 'pt-br' -> ['pt-br', 'pt'].
+   * The default locale is left out; it is always the last resort.
+   */
+  function fallbacks(tag = requested) {
+    const parts = tag.split('-');
+    const chain = [];
+    for (let i = parts.length; i > 0; i--) {
+      const candidate = parts.slice(0, i).join('-');
+      if (candidate !== DEFAULT_LOCALE) chain.push(candidate);
+    }
+    return chain;
+  }
+
+  // Nested catalog objects become dotted keys: { audio: { on: '' } } -> 'audio.on'
+  function flatten(catalog, prefix = '', into = {}) {
+    Object.keys(catalog).forEach(key => {
+      const value = catalog[key];
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object') {
+        flatten(value, path, into);
+      } else {
+        into[path] = String(value);
+      }
+    });
+    return into;
+  }
+
+  function fetchCatalog(tag) {
+    return fetch(`${CATALOG_BASE}${tag}.json`)
+      .then(response => (response.ok ? response.json() : null))
+      .catch(err => {
+        console.warn(`I18n catalog "${tag}" could not be read:`, err.message);
+        return null;
+      });
+  }
+
+  let messages = {};
+  let locale = DEFAULT_LOCALE;
+
+  /**
+   * Translate a key; {name} placeholders are filled from params.
+   * Missing keys fall back to English, then to the key itself.
+   */
+  function t(key, params) {
+    const message = Object.prototype.hasOwnProperty.call(messages, key) ? messages[key] : key;
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  function has(key) {
+    return Object.prototype.hasOwnProperty.call(messages, key);
+  }
+
+  function isRTL(tag = locale) {
+    return RTL_LANGUAGES.includes(tag.split('-')[0]);
+  }
+
+  /**
+   * Translate data-i18n* attributes under root. Elements whose key has no
+   * message keep their markup text.
+   */
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      if (has(el.dataset.i18n)) el.textContent = t(el.dataset.i18n);
+    });
+    Object.keys(ATTRIBUTES).forEach(attr => {
+      root.querySelectorAll(`[${attr}]`).forEach(el => {
+        const key = el.getAttribute(attr);
+        if (has(key)) el.setAttribute(ATTRIBUTES[attr], t(key));
+      });
+    });
+  }
+
+  function applyDocumentLocale() {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = isRTL() ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Load English, then the first catalog found for the requested locale.
+   * Never rejects: a missing translation leaves the page in English.
+   */
+  function loadCatalogs() {
+    return fetchCatalog(DEFAULT_LOCALE).then(base => {
+      messages = flatten(base || {});
+
+      const tryNext = chain => {
+        if (chain.length === 0) {
+          if (requested !== DEFAULT_LOCALE) console.warn(`No catalog for "${requested}"; using ${DEFAULT_LOCALE}`);
+          return null;
+        }
+        return fetchCatalog(chain[0]).then(catalog => {
+          if (!catalog) return tryNext(chain.slice(1));
+          locale = chain[0];
+          Object.assign(messages, flatten(catalog));
+          return catalog;
+        });
+      };
+
+      return tryNext(fallbacks());
+    });
+  }
+
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  // Resolves with the locale once the markup has been translated
+  const ready = Promise.all([loadCatalogs(), domReady]).then(() => {
+    applyDocumentLocale();
+    apply();
+    return locale;
+  });
+
+  window.VizI18n = {
+    ready,
+    t,
+    has,
+    apply,
+    isRTL,
+    fallbacks,
+    get locale() { return locale; },
+    get requested() { return requested; }
+  };
+
+})();
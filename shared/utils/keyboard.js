@@ -0,0 +1,363 @@
+/**
+ * Keyboard Controller
+ * One keyboard model for every visualization, wired to its own focus functions:
+ *   Arrow keys   Move between items (orbs, rungs, zones, layers, quadrants)
+ *   Enter        Focus the highlighted item
+ *   Escape       Leave focus (or close the shortcut overlay)
+ *   1-9          View modes, in the order given
+ *   ?            Show / hide the shortcut overlay
+ * While an item is focused the arrows move the focus itself, so the detail
+ * panel follows. Otherwise they move a highlight, shown in a small status chip
+ * (also read by screen readers), and Enter commits it.
+ * Loaded as a classic script; exposes window.VizKeys.
+ */
+
+(function() {
+  'use strict';
+
+  const STYLES = `
+    .viz-keys-cursor {
+      position: fixed;
+      left: 50%;
+      bottom: 4.5rem;
+      z-index: 150;
+      transform: translateX(-50%);
+      padding: 0.45rem 0.9rem;
+      background: rgba(12, 12, 18, 0.92);
+      border: 1px solid rgba(251, 191, 36, 0.4);
+      border-radius: 999px;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      font-size: 0.75rem;
+      color: rgba(255, 255, 255, 0.9);
+      white-space: nowrap;
+      pointer-events: none;
+    }
+    .viz-keys-cursor[hidden] {
+      display: none;
+    }
+    .viz-keys-cursor__hint {
+      margin-inline-start: 0.6rem;
+      color: rgba(255, 255, 255, 0.45);
+    }
+    .viz-keys-overlay {
+      position: fixed;
+      inset: 0;
+      z-index: 9000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 24px;
+      background: rgba(8, 8, 12, 0.75);
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+    }
+    .viz-keys-overlay[hidden] {
+      display: none;
+    }
+    .viz-keys-overlay__panel {
+      position: relative;
+      min-width: 280px;
+      max-width: 420px;
+      max-height: 100%;
+      overflow-y: auto;
+      padding: 24px 28px;
+      background: rgba(20, 20, 28, 0.97);
+      border: 1px solid rgba(255, 255, 255, 0.12);
+      border-radius: 8px;
+      color: rgba(255, 255, 255, 0.85);
+    }
+    .viz-keys-overlay__title {
+      margin: 0 0 16px;
+      font-size: 1rem;
+      font-weight: 500;
+    }
+    .viz-keys-overlay__list {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 8px 16px;
+      margin: 0;
+      font-size: 0.8rem;
+    }
+    .viz-keys-overlay__list dt {
+      text-align: end;
+      white-space: nowrap;
+    }
+    .viz-keys-overlay__list dd {
+      margin: 0;
+      color: rgba(255, 255, 255, 0.6);
+    }
+    .viz-keys-overlay kbd {
+      display: inline-block;
+      min-width: 1.5em;
+      padding: 1px 6px;
+      border: 1px solid rgba(255, 255, 255, 0.25);
+      border-radius: 4px;
+      font-family: 'SF Mono', Menlo, Consolas, monospace;
+      font-size: 0.75rem;
+      text-align: center;
+    }
+    .viz-keys-overlay__close {
+      position: absolute;
+      top: 12px;
+      inset-inline-end: 12px;
+      background: none;
+      border: none;
+      font-size: 1.2rem;
+      line-height: 1;
+      color: rgba(255, 255, 255, 0.5);
+      cursor: pointer;
+    }
+    .viz-keys-overlay__close:hover,
+    .viz-keys-overlay__close:focus-visible {
+      color: rgba(255, 255, 255, 0.9);
+    }
+  `;
+
+  const FALLBACK_TEXT = {
+    'common.keys.title': 'Keyboard shortcuts',
+    'common.keys.move': 'Move between items',
+    'common.keys.select': 'Focus the highlighted item',
+    'common.keys.exit': 'Leave focus',
+    'common.keys.help': 'Show or hide these shortcuts',
+    'common.keys.undo': 'Undo',
+    'common.keys.redo': 'Redo',
+    'common.keys.enterHint': 'Enter to open',
+    'common.close': 'Close'
+  };
+
+  function text(key) {
+    return window.VizI18n && window.VizI18n.has(key) ? window.VizI18n.t(key) : FALLBACK_TEXT[key];
+  }
+
+  function injectStyles() {
+    if (document.getElementById('viz-keys-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'viz-keys-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  // Keys typed into form fields belong to the field
+  function isTyping(target) {
+    return !!(target && target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+  }
+
+  // Enter on a button or link already activates it
+  function isActivatable(target) {
+    return !!(target && target.closest && target.closest('button, a[href], [role="button"]'));
+  }
+
+  function kbd(...keys) {
+    return keys.map(key => `<kbd>${key}</kbd>`).join(' ');
+  }
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  /**
+   * Attach the keyboard model to the page
+   * @param {Object} options
+   * @param {Function} options.items - Returns the traversal order: [{ id, label }]
+   * @param {Function} options.current - Returns the focused item id, or null
+   * @param {Function} options.focus - Focus an item by id
+   * @param {Function} [options.exit] - Leave focus (Escape)
+   * @param {Function} [options.open] - Enter on the item that is already focused
+   * @param {Function} [options.preview] - Highlight an item (or null) while the arrows move
+   * @param {Array<{label: string, run: Function}>} [options.views] - Number keys 1..n
+   * @param {boolean} [options.undo] - List Ctrl/Cmd+Z in the overlay (see VizState.bindUndoKeys)
+   * @returns {{ openHelp: Function, closeHelp: Function, destroy: Function }}
+   */
+  function bind(options) {
+    injectStyles();
+
+    const views = (options.views || []).slice(0, 9);
+    let cursorId = null;
+
+    // ===== Highlight chip =====
+
+    const chip = document.createElement('div');
+    chip.className = 'viz-keys-cursor';
+    chip.setAttribute('role', 'status');
+    chip.setAttribute('aria-live', 'polite');
+    chip.hidden = true;
+    document.body.appendChild(chip);
+
+    function setCursor(item) {
+      cursorId = item ? item.id : null;
+      if (options.preview) options.preview(cursorId);
+
+      if (!item) {
+        chip.hidden = true;
+        chip.textContent = '';
+        return;
+      }
+      chip.innerHTML = `${escapeHtml(item.label)}<span class="viz-keys-cursor__hint">${escapeHtml(text('common.keys.enterHint'))}</span>`;
+      chip.hidden = false;
+    }
+
+    function move(step) {
+      const items = options.items();
+      if (items.length === 0) return;
+
+      const focused = options.current();
+      const fromId = focused || cursorId;
+      const index = items.findIndex(item => item.id === fromId);
+      const next = items[index === -1
+        ? (step > 0 ? 0 : items.length - 1)
+        : (index + step + items.length) % items.length];
+
+      if (focused) {
+        setCursor(null);
+        options.focus(next.id);
+      } else {
+        setCursor(next);
+      }
+    }
+
+    function select() {
+      const focused = options.current();
+      if (cursorId) {
+        const id = cursorId;
+        setCursor(null);
+        options.focus(id);
+      } else if (focused && options.open) {
+        options.open(focused);
+      }
+    }
+
+    function exit() {
+      if (cursorId) {
+        setCursor(null);
+        return;
+      }
+      if (options.exit) options.exit();
+    }
+
+    // ===== Shortcut overlay =====
+
+    const overlay = document.createElement('div');
+    overlay.className = 'viz-keys-overlay';
+    overlay.hidden = true;
+    document.body.appendChild(overlay);
+
+    let returnFocus = null;
+
+    function renderHelp() {
+      const rows = [
+        [kbd('←', '→', '↑', '↓'), text('common.keys.move')],
+        [kbd('Enter'), text('common.keys.select')]
+      ];
+      if (options.exit) rows.push([kbd('Esc'), text('common.keys.exit')]);
+      views.forEach((view, i) => rows.push([kbd(String(i + 1)), escapeHtml(view.label)]));
+      if (options.undo) {
+        rows.push([kbd('Ctrl', 'Z'), text('common.keys.undo')]);
+        rows.push([kbd('Ctrl', 'Shift', 'Z'), text('common.keys.redo')]);
+      }
+      rows.push([kbd('?'), text('common.keys.help')]);
+
+      overlay.innerHTML = `
+        <div class="viz-keys-overlay__panel" role="dialog" aria-modal="true" aria-labelledby="vizKeysTitle">
+          <button type="button" class="viz-keys-overlay__close" aria-label="${escapeHtml(text('common.close'))}">&times;</button>
+          <h2 class="viz-keys-overlay__title" id="vizKeysTitle">${escapeHtml(text('common.keys.title'))}</h2>
+          <dl class="viz-keys-overlay__list">
+            ${rows.map(([keys, label]) => `<dt>${keys}</dt><dd>${label}</dd>`).join('')}
+          </dl>
+        </div>
+      `;
+      overlay.querySelector('.viz-keys-overlay__close').addEventListener('click', closeHelp);
+    }
+
+    function openHelp() {
+      if (!overlay.hidden) return;
+      renderHelp();
+      returnFocus = document.activeElement;
+      overlay.hidden = false;
+      overlay.querySelector('.viz-keys-overlay__close').focus();
+    }
+
+    function closeHelp() {
+      if (overlay.hidden) return;
+      overlay.hidden = true;
+      if (returnFocus && returnFocus.focus) returnFocus.focus();
+      returnFocus = null;
+    }
+
+    overlay.addEventListener('click', event => {
+      if (event.target === overlay) closeHelp();
+    });
+
+    // ===== Key handling =====
+
+    function onKeyDown(event) {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTyping(event.target)) return;
+
+      if (!overlay.hidden) {
+        if (event.key === 'Escape' || event.key === '?') {
+          event.preventDefault();
+          closeHelp();
+        } else if (event.key === 'Tab') {
+          // Only the close button is focusable; keep focus inside the dialog
+          event.preventDefault();
+        }
+        return;
+      }
+
+      switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+          event.preventDefault();
+          move(1);
+          return;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          event.preventDefault();
+          move(-1);
+          return;
+        case 'Enter':
+          if (isActivatable(event.target)) return;
+          event.preventDefault();
+          select();
+          return;
+        case 'Escape':
+          exit();
+          return;
+        case '?':
+          event.preventDefault();
+          openHelp();
+          return;
+      }
+
+      const view = /^[1-9]$/.test(event.key) ? views[Number(event.key) - 1] : null;
+      if (view) {
+        event.preventDefault();
+        setCursor(null);
+        view.run();
+      }
+    }
+
+    // Pointer use ends keyboard browsing
+    function onPointerDown() {
+      if (cursorId) setCursor(null);
+    }
+
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('pointerdown', onPointerDown);
+
+    return {
+      openHelp,
+      closeHelp,
+      destroy() {
+        document.removeEventListener('keydown', onKeyDown);
+        document.removeEventListener('pointerdown', onPointerDown);
+        chip.remove();
+        overlay.remove();
+      }
+    };
+  }
+
+  window.VizKeys = {
+    bind
+  };
+
+})();
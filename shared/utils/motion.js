@@ -0,0 +1,283 @@
+/**
+ * Motion Policy
+ * Decides whether the visualizations animate at full strength or in reduced
+ * mode, and helps them honour it: big camera moves become crossfades, ambient
+ * particles freeze, idle auto-orbit and wandering figures stop.
+ * Loaded as a classic script; exposes window.VizMotion.
+ *
+ * Precedence, highest first:
+ *   1. The reader's choice made with the toggle (remembered in localStorage)
+ *   2. ?motion=reduced|full (embed/loader.js: options.motion, data-viz-motion)
+ *   3. The OS setting, prefers-reduced-motion: reduce
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'human-ai-viz-motion';
+  const MEDIA_QUERY = '(prefers-reduced-motion: reduce)';
+  const VALUES = { reduced: true, reduce: true, full: false };
+
+  function readStored() {
+    try {
+      const value = window.localStorage.getItem(STORAGE_KEY);
+      return value in VALUES ? VALUES[value] : null;
+    } catch (e) {
+      // Storage is blocked in some sandboxed iframes
+      return null;
+    }
+  }
+
+  function readParam() {
+    const value = new URLSearchParams(window.location.search).get('motion');
+    return value in VALUES ? VALUES[value] : null;
+  }
+
+  const media = window.matchMedia ? window.matchMedia(MEDIA_QUERY) : null;
+  const fromParam = readParam();
+  let fromUser = readStored();
+  const listeners = [];
+
+  function resolve() {
+    if (fromUser !== null) return { reduced: fromUser, source: 'user' };
+    if (fromParam !== null) return { reduced: fromParam, source: 'embed' };
+    return { reduced: !!(media && media.matches), source: 'system' };
+  }
+
+  let current = resolve();
+
+  function update() {
+    const next = resolve();
+    const changed = next.reduced !== current.reduced;
+    current = next;
+    document.documentElement.classList.toggle('viz-reduced-motion', current.reduced);
+    if (!changed) return;
+    listeners.slice().forEach(cb => {
+      try {
+        cb(current.reduced);
+      } catch (e) {
+        console.error('VizMotion listener failed', e);
+      }
+    });
+  }
+
+  /**
+   * Reader's choice; overrides the embed option and the OS setting
+   * @param {boolean} reduced
+   */
+  function setReduced(reduced) {
+    fromUser = !!reduced;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, fromUser ? 'reduced' : 'full');
+    } catch (e) {
+      // Not persisted; the choice still holds for this page
+    }
+    update();
+  }
+
+  function toggle() {
+    setReduced(!current.reduced);
+  }
+
+  /**
+   * Called with the new value whenever reduced mode switches on or off.
+   * Returns an unsubscribe function.
+   */
+  function onChange(callback) {
+    listeners.push(callback);
+    return () => {
+      const index = listeners.indexOf(callback);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+  if (media) {
+    // Safari < 14 only has the deprecated addListener
+    if (media.addEventListener) {
+      media.addEventListener('change', update);
+    } else if (media.addListener) {
+      media.addListener(update);
+    }
+  }
+
+  // ============================================================
+  // Crossfade
+  // ============================================================
+
+  const STYLES = `
+    .viz-motion-veil {
+      position: fixed;
+      inset: 0;
+      z-index: 50;
+      pointer-events: none;
+      opacity: 0;
+      transition: opacity var(--viz-motion-fade, 200ms) ease;
+    }
+    .viz-motion-veil--visible {
+      opacity: 1;
+    }
+    .viz-motion-toggle {
+      position: fixed;
+      bottom: 4rem;
+      right: 1.5rem;
+      z-index: 100;
+      display: flex;
+      align-items: center;
+      gap: 0.35rem;
+      padding: 0.45rem 0.7rem;
+      background: rgba(8, 8, 12, 0.8);
+      border: 1px solid rgba(255, 255, 255, 0.06);
+      border-radius: 4px;
+      font-family: inherit;
+      font-size: 0.6rem;
+      font-weight: 300;
+      color: rgba(255, 255, 255, 0.5);
+      cursor: pointer;
+      transition: border-color 0.25s ease, color 0.25s ease;
+    }
+    .viz-motion-toggle:hover {
+      border-color: rgba(255, 255, 255, 0.12);
+      color: rgba(255, 255, 255, 0.85);
+    }
+    .viz-motion-toggle[aria-pressed="true"] {
+      border-color: rgba(255, 255, 255, 0.25);
+      color: rgba(255, 255, 255, 0.85);
+    }
+    .viz-motion-toggle__icon {
+      font-size: 0.75rem;
+    }
+    @media (max-width: 768px) {
+      .viz-motion-toggle {
+        bottom: 3.5rem;
+        right: 1rem;
+      }
+      .viz-motion-toggle__label {
+        display: none;
+      }
+    }
+  `;
+
+  function injectStyles() {
+    if (document.getElementById('viz-motion-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'viz-motion-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  let veil = null;
+
+  function getVeil() {
+    if (veil) return veil;
+    injectStyles();
+    veil = document.createElement('div');
+    veil.className = 'viz-motion-veil';
+    veil.setAttribute('aria-hidden', 'true');
+    // Match the page so the fade reads as a cut through darkness, not a flash
+    veil.style.background = getComputedStyle(document.body).backgroundColor || '#08080c';
+    document.body.appendChild(veil);
+    return veil;
+  }
+
+  // The fade in progress while the scene is still being covered
+  let pending = null;
+
+  /**
+   * Replace a camera move with a fade: cover the scene, apply the change in
+   * one step, then uncover. A call made while the scene is being covered
+   * replaces the pending change, so back-to-back moves fade only once.
+   * @param {Function} apply - Puts the camera (or scene) in its final state
+   * @param {Object} [options]
+   * @param {number} [options.duration=0.4] - Seconds for the whole fade
+   * @returns {Promise} Resolves once the scene is visible again
+   */
+  function crossfade(apply, options = {}) {
+    if (pending) {
+      pending.apply = apply;
+      return pending.promise;
+    }
+
+    const half = Math.round(((options.duration !== undefined ? options.duration : 0.4) * 1000) / 2);
+    const el = getVeil();
+    const fade = { apply };
+
+    fade.promise = new Promise(done => {
+      el.style.setProperty('--viz-motion-fade', `${half}ms`);
+      el.classList.add('viz-motion-veil--visible');
+
+      setTimeout(() => {
+        pending = null;
+        try {
+          fade.apply();
+        } catch (e) {
+          console.error('VizMotion crossfade failed', e);
+        }
+        el.classList.remove('viz-motion-veil--visible');
+        setTimeout(done, half);
+      }, half);
+    });
+
+    pending = fade;
+    return fade.promise;
+  }
+
+  // ============================================================
+  // Toggle
+  // ============================================================
+
+  function label(key, fallback) {
+    return window.VizI18n && window.VizI18n.has(key) ? window.VizI18n.t(key) : fallback;
+  }
+
+  /**
+   * Add the reader's "Reduce motion" switch to the page
+   * @param {Element} [parent=document.body]
+   * @returns {HTMLButtonElement}
+   */
+  function mountToggle(parent = document.body) {
+    injectStyles();
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'viz-motion-toggle';
+
+    const icon = document.createElement('span');
+    icon.className = 'viz-motion-toggle__icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '◐';
+
+    const text = document.createElement('span');
+    text.className = 'viz-motion-toggle__label';
+
+    button.append(icon, text);
+
+    const render = () => {
+      const name = label('common.reduceMotion', 'Reduce motion');
+      text.textContent = name;
+      button.title = name;
+      button.setAttribute('aria-label', name);
+      button.setAttribute('aria-pressed', String(current.reduced));
+    };
+
+    button.addEventListener('click', toggle);
+    onChange(render);
+    render();
+    if (window.VizI18n) window.VizI18n.ready.then(render);
+
+    parent.appendChild(button);
+    return button;
+  }
+
+  update();
+
+  window.VizMotion = {
+    get reduced() { return current.reduced; },
+    get source() { return current.source; },
+    setReduced,
+    toggle,
+    onChange,
+    crossfade,
+    mountToggle
+  };
+
+})();
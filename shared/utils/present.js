@@ -0,0 +1,215 @@
+/**
+ * Presentation Mode
+ * ?mode=present turns a visualization into a deck for talks: text and panels
+ * grow for reading across a room, on-screen chrome is hidden, and the scene
+ * steps through an ordered list of states with a presentation clicker.
+ *   PageDown, Space         Next slide
+ *   PageUp, Shift+Space     Previous slide
+ *   Home / End              First / last slide
+ *   N                       Open the speaker notes window
+ * The notes window (present/notes.html) follows along over a BroadcastChannel
+ * and can drive the deck itself, so the presenter can keep it on a laptop
+ * screen while the visualization fills the projector.
+ * Loaded as a classic script; exposes window.VizPresent.
+ *
+ *   VizPresent.deck({ name: 'four-rungs', slides: [{ id, title, notes, enter }] })
+ *
+ * Each slide's enter() must put the scene in that state from wherever it is,
+ * since the presenter can jump to any slide.
+ */
+
+(function() {
+  'use strict';
+
+  // Must match present/notes.html
+  const CHANNEL = 'human-ai-viz-present';
+
+  const NOTES_URL = new URL('../../present/notes.html', document.currentScript.src).href;
+
+  const STYLES = `
+    html.viz-present {
+      font-size: 160%;
+    }
+    html.viz-present .viz-motion-toggle,
+    html.viz-present .viz-snapshot,
+    html.viz-present .viz-tour-button,
+    html.viz-present .viz-keys-cursor {
+      display: none !important;
+    }
+    .viz-present-counter {
+      position: fixed;
+      right: 1.5rem;
+      bottom: 1.5rem;
+      z-index: 150;
+      font-family: 'SF Mono', Menlo, Consolas, monospace;
+      font-size: 0.6rem;
+      letter-spacing: 0.1em;
+      color: rgba(255, 255, 255, 0.4);
+      pointer-events: none;
+    }
+  `;
+
+  const FALLBACK_TEXT = {
+    'common.present.counter': '{index} / {total}'
+  };
+
+  const active = new URLSearchParams(window.location.search).get('mode') === 'present';
+
+  if (active) document.documentElement.classList.add('viz-present');
+
+  function text(key, vars) {
+    if (window.VizI18n && window.VizI18n.has(key)) return window.VizI18n.t(key, vars);
+    return FALLBACK_TEXT[key].replace(/\{(\w+)\}/g, (match, name) => vars[name]);
+  }
+
+  function injectStyles() {
+    if (document.getElementById('viz-present-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'viz-present-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  // Space on a control should press the control, not advance the deck
+  function isInteractive(target) {
+    return !!(target && target.closest && target.closest('button, a[href], [role="button"], input, textarea, select, [contenteditable="true"]'));
+  }
+
+  /**
+   * Turn the page into a deck. Does nothing outside ?mode=present.
+   * The starting slide comes from ?slide= (1-based) so a reload keeps the place;
+   * slide 1 is left to the intro animation rather than entered.
+   * @param {Object} options
+   * @param {string} options.name - Visualization id, shown to the notes window
+   * @param {Array<{id: string, title: string, notes: string, enter: Function}>} options.slides
+   * @returns {{ go: Function, next: Function, prev: Function, index: Function, openNotes: Function }|null}
+   */
+  function deck(options) {
+    if (!active) return null;
+    injectStyles();
+
+    const slides = options.slides;
+    const requested = parseInt(new URLSearchParams(window.location.search).get('slide'), 10);
+    let current = requested >= 1 && requested <= slides.length ? requested - 1 : 0;
+
+    const counter = document.createElement('div');
+    counter.className = 'viz-present-counter';
+    counter.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(counter);
+
+    const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL) : null;
+
+    function broadcast() {
+      if (!channel) return;
+      const slide = slides[current];
+      const upcoming = slides[current + 1];
+      channel.postMessage({
+        type: 'slide',
+        viz: options.name,
+        index: current,
+        total: slides.length,
+        slide: { id: slide.id, title: slide.title, notes: slide.notes },
+        next: upcoming ? { id: upcoming.id, title: upcoming.title } : null
+      });
+    }
+
+    function render() {
+      counter.textContent = text('common.present.counter', { index: current + 1, total: slides.length });
+      UrlState.write({ slide: current > 0 ? current + 1 : null });
+      broadcast();
+    }
+
+    function go(index) {
+      if (index < 0 || index >= slides.length || index === current) return;
+      current = index;
+      slides[current].enter();
+      render();
+    }
+
+    const next = () => go(current + 1);
+    const prev = () => go(current - 1);
+
+    function openNotes() {
+      const url = new URL(NOTES_URL);
+      url.searchParams.set('viz', options.name);
+      const lang = new URLSearchParams(window.location.search).get('lang');
+      if (lang) url.searchParams.set('lang', lang);
+      window.open(url.href, 'viz-present-notes', 'width=720,height=540');
+    }
+
+    function onKeyDown(event) {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+
+      switch (event.key) {
+        case 'PageDown':
+          event.preventDefault();
+          next();
+          return;
+        case 'PageUp':
+          event.preventDefault();
+          prev();
+          return;
+        case ' ':
+          if (isInteractive(event.target)) return;
+          event.preventDefault();
+          if (event.shiftKey) prev(); else next();
+          return;
+        case 'Home':
+          event.preventDefault();
+          go(0);
+          return;
+        case 'End':
+          event.preventDefault();
+          go(slides.length - 1);
+          return;
+        case 'n':
+        case 'N':
+          if (isInteractive(event.target)) return;
+          openNotes();
+          return;
+      }
+    }
+
+    document.addEventListener('keydown', onKeyDown);
+
+    if (channel) {
+      channel.addEventListener('message', event => {
+        const message = event.data || {};
+        if (message.viz && message.viz !== options.name) return;
+
+        switch (message.type) {
+          case 'hello':
+            broadcast();
+            break;
+          case 'next':
+            next();
+            break;
+          case 'prev':
+            prev();
+            break;
+          case 'goto':
+            go(message.index);
+            break;
+        }
+      });
+    }
+
+    if (current > 0) slides[current].enter();
+    render();
+    if (window.VizI18n) window.VizI18n.ready.then(render);
+
+    return {
+      go,
+      next,
+      prev,
+      index: () => current,
+      openNotes
+    };
+  }
+
+  window.VizPresent = {
+    active,
+    deck
+  };
+
+})();
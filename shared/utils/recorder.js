@@ -0,0 +1,666 @@
+/**
+ * Deterministic Recorder
+ * Short video loops of a visualization for newsletters and social. Time is
+ * virtual while recording: requestAnimationFrame, performance.now, Date.now,
+ * timers and GSAP all advance in fixed 1/60 s steps, whatever the machine's
+ * speed, and Math.random is seeded, so the same script gives the same frames.
+ * Frames are encoded to WebM in the browser (WebCodecs); where that is
+ * missing, a zip of numbered JPEG (or PNG) frames is saved instead.
+ * Loaded as a classic script, before the other shared utils and main.js;
+ * exposes window.VizRecorder.
+ *
+ *   index.html?record=zones              Record the "zones" script from page load, then download
+ *   &fps=30                              Output frame rate (a divisor of 60; default 30)
+ *   &seed=7                              Math.random seed (default 1)
+ *   &format=frames&frames=png            Skip WebM; save lossless PNG frames
+ *
+ * Scripts are registered by each visualization:
+ *   VizRecorder.register({
+ *     name: 'friction-spectrum', renderer, labels: () => nodes,
+ *     scripts: { zones: { duration: 16, steps: [{ at: 4, call: 'switchZone', args: ['visible'] }] } }
+ *   });
+ * A step runs `call` through VizBridge (the embed commands) or a `run` function.
+ */
+
+(function() {
+  'use strict';
+
+  const STEP_MS = 1000 / 60;
+  const params = new URLSearchParams(window.location.search);
+  const requested = params.get('record');
+
+  // Untouched browser clocks; the recorder itself always runs on these
+  const real = {
+    requestAnimationFrame: window.requestAnimationFrame.bind(window),
+    cancelAnimationFrame: window.cancelAnimationFrame.bind(window),
+    setTimeout: window.setTimeout.bind(window),
+    clearTimeout: window.clearTimeout.bind(window),
+    setInterval: window.setInterval.bind(window),
+    clearInterval: window.clearInterval.bind(window),
+    performanceNow: performance.now.bind(performance),
+    dateNow: Date.now
+  };
+
+  // ============================================================
+  // Virtual Clock
+  // ============================================================
+
+  // Small seeded generator (mulberry32); good enough for particles and patrols
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  let clock = null;
+
+  function installClock(seed) {
+    if (clock) return clock;
+
+    const startNow = real.performanceNow();
+    const dateOffset = real.dateNow() - startNow;
+    const gsapBase = window.gsap ? window.gsap.ticker.time : 0;
+    let now = startNow;
+    let nextId = 1;
+    let frames = new Map();
+    const timers = new Map();
+
+    function addTimer(fn, delay, args, repeat) {
+      const id = nextId++;
+      const wait = Math.max(0, Number(delay) || 0);
+      timers.set(id, { fn, args, at: now + wait, interval: repeat ? Math.max(1, wait) : 0 });
+      return id;
+    }
+
+    function clearTimer(id) {
+      if (timers.has(id)) {
+        timers.delete(id);
+      } else {
+        // Scheduled on the real clock before recording began
+        real.clearTimeout(id);
+      }
+    }
+
+    window.requestAnimationFrame = callback => {
+      const id = nextId++;
+      frames.set(id, callback);
+      return id;
+    };
+    window.cancelAnimationFrame = id => {
+      if (!frames.delete(id)) real.cancelAnimationFrame(id);
+    };
+    window.setTimeout = (fn, delay, ...args) => addTimer(fn, delay, args, false);
+    window.setInterval = (fn, delay, ...args) => addTimer(fn, delay, args, true);
+    window.clearTimeout = clearTimer;
+    window.clearInterval = clearTimer;
+    performance.now = () => now;
+    Date.now = () => Math.floor(dateOffset + now);
+    Math.random = seededRandom(seed);
+
+    // GSAP is stepped with the clock instead of by its own ticker
+    if (window.gsap) window.gsap.ticker.remove(window.gsap.updateRoot);
+
+    function dueTimer(limit) {
+      let due = null;
+      timers.forEach((timer, id) => {
+        if (timer.at <= limit && (!due || timer.at < due.timer.at)) due = { id, timer };
+      });
+      return due;
+    }
+
+    clock = {
+      /**
+       * Move time forward, firing timers in order, then run one animation frame
+       */
+      advance(ms) {
+        const target = now + ms;
+
+        let due;
+        while ((due = dueTimer(target))) {
+          now = Math.max(now, due.timer.at);
+          if (due.timer.interval) {
+            due.timer.at += due.timer.interval;
+          } else {
+            timers.delete(due.id);
+          }
+          if (typeof due.timer.fn !== 'function') continue;
+          try {
+            due.timer.fn(...due.timer.args);
+          } catch (e) {
+            console.error('VizRecorder: timer failed', e);
+          }
+        }
+
+        now = target;
+        if (window.gsap) window.gsap.updateRoot(gsapBase + (now - startNow) / 1000);
+
+        // Callbacks requested during this frame wait for the next one
+        const callbacks = frames;
+        frames = new Map();
+        callbacks.forEach(callback => {
+          try {
+            callback(now);
+          } catch (e) {
+            console.error('VizRecorder: animation frame failed', e);
+          }
+        });
+      }
+    };
+
+    return clock;
+  }
+
+  let realtime = false;
+
+  // After a recording the page keeps running on the virtual clock, now fed by wall time
+  function runRealtime() {
+    if (realtime) return;
+    realtime = true;
+    let last = real.performanceNow();
+    const tick = () => {
+      const current = real.performanceNow();
+      // Cap long gaps (background tabs) the way browsers throttle rAF
+      clock.advance(Math.min(current - last, 100));
+      last = current;
+      real.requestAnimationFrame(tick);
+    };
+    real.requestAnimationFrame(tick);
+  }
+
+  // ============================================================
+  // WebM (WebCodecs + a minimal Matroska writer)
+  // ============================================================
+
+  const CODECS = [
+    { codec: 'vp09.00.10.08', id: 'V_VP9' },
+    { codec: 'vp8', id: 'V_VP8' }
+  ];
+
+  function idBytes(id) {
+    const out = [];
+    while (id > 0) {
+      out.unshift(id & 0xff);
+      id = Math.floor(id / 256);
+    }
+    return new Uint8Array(out);
+  }
+
+  // Every size is written as an 8-byte vint, so element sizes never need a second pass
+  function sizeBytes(size) {
+    const out = new Uint8Array(8);
+    out[0] = 0x01;
+    for (let i = 7, n = size; i >= 1; i--, n = Math.floor(n / 256)) out[i] = n % 256;
+    return out;
+  }
+
+  function uintBytes(value) {
+    const out = [];
+    do {
+      out.unshift(value % 256);
+      value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(out);
+  }
+
+  function floatBytes(value) {
+    const out = new Uint8Array(8);
+    new DataView(out.buffer).setFloat64(0, value);
+    return out;
+  }
+
+  function stringBytes(value) {
+    return new TextEncoder().encode(value);
+  }
+
+  // Returns a flat list of byte arrays; nested elements are passed straight in
+  function element(id, ...children) {
+    const body = children.flat(Infinity);
+    const size = body.reduce((sum, part) => sum + part.length, 0);
+    return [idBytes(id), sizeBytes(size), ...body];
+  }
+
+  function muxWebm(chunks, track) {
+    const clusters = [];
+    let cluster = null;
+
+    chunks.forEach(chunk => {
+      const time = Math.round(chunk.time);
+      // Block timecodes are 16-bit offsets from the cluster's; keyframes start new clusters anyway
+      if (!cluster || chunk.key || time - cluster.time > 30000) {
+        cluster = { time, blocks: [] };
+        clusters.push(cluster);
+      }
+      const header = new Uint8Array(4);
+      header[0] = 0x81; // Track 1
+      new DataView(header.buffer).setInt16(1, time - cluster.time);
+      header[3] = chunk.key ? 0x80 : 0x00;
+      cluster.blocks.push(element(0xA3, header, chunk.data));
+    });
+
+    const parts = [
+      element(0x1A45DFA3,
+        element(0x4286, uintBytes(1)),
+        element(0x42F7, uintBytes(1)),
+        element(0x42F2, uintBytes(4)),
+        element(0x42F3, uintBytes(8)),
+        element(0x4282, stringBytes('webm')),
+        element(0x4287, uintBytes(2)),
+        element(0x4285, uintBytes(2))
+      ),
+      element(0x18538067,
+        element(0x1549A966,
+          element(0x2AD7B1, uintBytes(1000000)), // Timecodes in milliseconds
+          element(0x4D80, stringBytes('VizRecorder')),
+          element(0x5741, stringBytes('VizRecorder')),
+          element(0x4489, floatBytes(track.duration))
+        ),
+        element(0x1654AE6B,
+          element(0xAE,
+            element(0xD7, uintBytes(1)),
+            element(0x73C5, uintBytes(1)),
+            element(0x83, uintBytes(1)), // Video
+            element(0x86, stringBytes(track.codecId)),
+            element(0xE0,
+              element(0xB0, uintBytes(track.width)),
+              element(0xBA, uintBytes(track.height))
+            )
+          )
+        ),
+        clusters.map(c => element(0x1F43B675, element(0xE7, uintBytes(c.time)), c.blocks))
+      )
+    ];
+
+    return new Blob(parts.flat(Infinity), { type: 'video/webm' });
+  }
+
+  function pickCodec(width, height, fps, bitrate) {
+    const tryNext = index => {
+      const candidate = CODECS[index];
+      if (!candidate) return Promise.resolve(null);
+      const config = { codec: candidate.codec, width, height, framerate: fps, bitrate };
+      return window.VideoEncoder.isConfigSupported(config).then(
+        result => (result.supported ? { config, codecId: candidate.id } : tryNext(index + 1)),
+        () => tryNext(index + 1)
+      );
+    };
+    return tryNext(0);
+  }
+
+  function createWebmSink(width, height, fps, bitrate) {
+    if (!window.VideoEncoder || !window.VideoFrame) return Promise.resolve(null);
+
+    return pickCodec(width, height, fps, bitrate).then(codec => {
+      if (!codec) return null;
+
+      const chunks = [];
+      let failure = null;
+      const encoder = new window.VideoEncoder({
+        output: chunk => {
+          const data = new Uint8Array(chunk.byteLength);
+          chunk.copyTo(data);
+          chunks.push({ key: chunk.type === 'key', time: chunk.timestamp / 1000, data });
+        },
+        error: e => {
+          failure = e;
+        }
+      });
+      encoder.configure(codec.config);
+
+      const frameDuration = 1e6 / fps;
+      let count = 0;
+
+      return {
+        type: 'webm',
+        add(canvas) {
+          if (failure) return Promise.reject(failure);
+          const frame = new window.VideoFrame(canvas, {
+            timestamp: Math.round(count * frameDuration),
+            duration: Math.round(frameDuration)
+          });
+          // A keyframe every two seconds keeps the file seekable
+          encoder.encode(frame, { keyFrame: count % (fps * 2) === 0 });
+          frame.close();
+          count++;
+          // Let the encoder catch up rather than queue the whole video in memory
+          const drain = () => (encoder.encodeQueueSize > 4
+            ? new Promise(resolve => real.setTimeout(resolve, 5)).then(drain)
+            : Promise.resolve());
+          return drain();
+        },
+        finish() {
+          return encoder.flush().then(() => {
+            encoder.close();
+            if (failure) throw failure;
+            return muxWebm(chunks, {
+              codecId: codec.codecId,
+              width,
+              height,
+              duration: count * frameDuration / 1000
+            });
+          });
+        }
+      };
+    });
+  }
+
+  // ============================================================
+  // Frame Sequence (stored zip)
+  // ============================================================
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Images are compressed already, so entries are stored as-is
+  function zip(files) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = stringBytes(file.name);
+      const crc = crc32(file.data);
+      const size = file.data.length;
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(12, 0x21, true); // 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, size, true);
+      local.setUint32(22, size, true);
+      local.setUint16(26, name.length, true);
+      parts.push(new Uint8Array(local.buffer), name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(14, 0x21, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, size, true);
+      entry.setUint32(24, size, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      directory.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + size;
+    });
+
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  }
+
+  function createFrameSink(imageType) {
+    const extension = imageType === 'png' ? 'png' : 'jpg';
+    const mime = imageType === 'png' ? 'image/png' : 'image/jpeg';
+    const files = [];
+
+    return {
+      type: 'frames',
+      add(canvas) {
+        const name = `frame-${String(files.length).padStart(5, '0')}.${extension}`;
+        const entry = { name, data: null };
+        files.push(entry);
+        return new Promise((resolve, reject) => {
+          canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode frame'))), mime, 0.92);
+        })
+          .then(blob => blob.arrayBuffer())
+          .then(buffer => {
+            entry.data = new Uint8Array(buffer);
+          });
+      },
+      finish() {
+        return Promise.resolve(zip(files));
+      }
+    };
+  }
+
+  // ============================================================
+  // Progress Overlay
+  // ============================================================
+
+  const STYLES = `
+    .viz-recording *,
+    .viz-recording *::before,
+    .viz-recording *::after {
+      transition: none !important;
+      animation: none !important;
+    }
+    .viz-recorder-status {
+      position: fixed;
+      inset: 0;
+      z-index: 10000;
+      display: flex;
+      align-items: flex-end;
+      justify-content: center;
+      padding-bottom: 1.5rem;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      font-size: 0.75rem;
+      color: rgba(255, 255, 255, 0.85);
+      cursor: progress;
+    }
+    .viz-recorder-status__text {
+      padding: 0.45rem 0.9rem;
+      background: rgba(12, 12, 18, 0.92);
+      border: 1px solid rgba(239, 68, 68, 0.5);
+      border-radius: 999px;
+    }
+  `;
+
+  const FALLBACK_TEXT = {
+    'common.recorder.progress': 'Recording frame {frame} of {total}',
+    'common.recorder.encoding': 'Encoding…'
+  };
+
+  function text(key, vars) {
+    if (window.VizI18n && window.VizI18n.has(key)) return window.VizI18n.t(key, vars);
+    return FALLBACK_TEXT[key].replace(/\{(\w+)\}/g, (m, name) => (vars && name in vars ? vars[name] : m));
+  }
+
+  function injectStyles() {
+    if (document.getElementById('viz-recorder-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'viz-recorder-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  // Covers the page so stray clicks cannot change what is being recorded
+  function showStatus() {
+    const status = document.createElement('div');
+    status.className = 'viz-recorder-status';
+    status.setAttribute('role', 'status');
+    status.innerHTML = '<span class="viz-recorder-status__text"></span>';
+    document.body.appendChild(status);
+    const label = status.firstChild;
+    return {
+      set(message) {
+        label.textContent = message;
+      },
+      remove() {
+        status.remove();
+      }
+    };
+  }
+
+  // ============================================================
+  // Recording
+  // ============================================================
+
+  let view = null;
+  let recording = false;
+
+  function realYield() {
+    return new Promise(resolve => real.setTimeout(resolve, 0));
+  }
+
+  function captureFrame(target) {
+    const source = view.renderer.domElement;
+    const ctx = target.getContext('2d');
+    ctx.clearRect(0, 0, target.width, target.height);
+    ctx.drawImage(source, 0, 0, target.width, target.height, 0, 0, target.width, target.height);
+    if (view.labels && window.VizSnapshot) {
+      const origin = source.getBoundingClientRect();
+      window.VizSnapshot.drawLabels(ctx, Array.from(view.labels()), origin, source.width / origin.width);
+    }
+    return target;
+  }
+
+  /**
+   * Record a script from the current state
+   * @param {string|Object} script - Registered script name, or { duration, steps }
+   * @param {Object} [options]
+   * @param {number} [options.fps=30] - Output frame rate; must divide 60
+   * @param {number} [options.seed=1] - Math.random seed (applies when the clock is installed)
+   * @param {string} [options.format] - 'frames' to skip WebM
+   * @param {string} [options.frames='jpeg'] - 'png' for lossless frame sequences
+   * @param {number} [options.bitrate=8e6] - WebM bitrate in bits per second
+   * @returns {Promise<Blob>} WebM video, or a zip of frames
+   */
+  function record(script, options = {}) {
+    if (!view) return Promise.reject(new Error('Nothing registered to record'));
+    if (recording) return Promise.reject(new Error('Already recording'));
+
+    const plan = typeof script === 'string' ? view.scripts[script] : script;
+    if (!plan) {
+      return Promise.reject(new Error(`Unknown recording script: ${script} (available: ${Object.keys(view.scripts).join(', ')})`));
+    }
+
+    const fps = Number(options.fps) || 30;
+    if (60 % fps !== 0) return Promise.reject(new Error(`fps must divide 60, got ${fps}`));
+
+    installClock(Number(options.seed) || 1);
+    injectStyles();
+    recording = true;
+    document.documentElement.classList.add('viz-recording');
+
+    // Even dimensions keep 4:2:0 video encoders happy
+    const source = view.renderer.domElement;
+    const frame = document.createElement('canvas');
+    frame.width = source.width - (source.width % 2);
+    frame.height = source.height - (source.height % 2);
+
+    const totalSteps = Math.round(plan.duration * 60);
+    const every = 60 / fps;
+    const totalFrames = Math.ceil(totalSteps / every);
+    const steps = (plan.steps || []).slice().sort((a, b) => a.at - b.at);
+    const status = showStatus();
+
+    const sinkReady = options.format === 'frames'
+      ? Promise.resolve(null)
+      : createWebmSink(frame.width, frame.height, fps, Number(options.bitrate) || 8e6);
+
+    let nextStep = 0;
+    let sink = null;
+
+    const runDueSteps = seconds => {
+      while (nextStep < steps.length && steps[nextStep].at <= seconds) {
+        const step = steps[nextStep++];
+        try {
+          if (step.run) {
+            step.run();
+          } else {
+            window.VizBridge.call(step.call, step.args);
+          }
+        } catch (e) {
+          console.error(`VizRecorder: step at ${step.at}s failed`, e);
+        }
+      }
+    };
+
+    const loop = (stepIndex, frameIndex) => {
+      if (stepIndex >= totalSteps) return Promise.resolve();
+
+      runDueSteps(stepIndex / 60);
+      clock.advance(STEP_MS);
+
+      if (stepIndex % every !== 0) return loop(stepIndex + 1, frameIndex);
+
+      status.set(text('common.recorder.progress', { frame: frameIndex + 1, total: totalFrames }));
+      return sink.add(captureFrame(frame))
+        .then(realYield)
+        .then(() => loop(stepIndex + 1, frameIndex + 1));
+    };
+
+    return sinkReady
+      .then(webm => {
+        sink = webm || createFrameSink(options.frames);
+        return loop(0, 0);
+      })
+      .then(() => {
+        status.set(text('common.recorder.encoding'));
+        return sink.finish();
+      })
+      .finally(() => {
+        recording = false;
+        status.remove();
+        document.documentElement.classList.remove('viz-recording');
+        runRealtime();
+      });
+  }
+
+  /**
+   * Make a visualization recordable. With ?record=<script> in the URL the
+   * recording starts right away and is downloaded when done.
+   * @param {Object} options
+   * @param {string} options.name - File name prefix
+   * @param {THREE.WebGLRenderer} options.renderer
+   * @param {Function} [options.labels] - HTML labels to draw into each frame (see VizSnapshot)
+   * @param {Object<string, {duration: number, steps: Array}>} options.scripts
+   */
+  function register(options) {
+    view = options;
+    if (!requested) return;
+
+    record(requested, {
+      fps: params.get('fps'),
+      seed: params.get('seed'),
+      format: params.get('format'),
+      frames: params.get('frames')
+    }).then(blob => {
+      const extension = blob.type === 'video/webm' ? 'webm' : 'zip';
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${view.name}-${requested}.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    }, err => console.error('VizRecorder: recording failed', err));
+  }
+
+  // A ?record= session runs on virtual time from the first script on,
+  // so the intro plays out identically on every machine
+  if (requested) installClock(Number(params.get('seed')) || 1);
+
+  window.VizRecorder = {
+    register,
+    record,
+    get recording() { return recording; }
+  };
+
+})();
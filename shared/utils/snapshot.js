@@ -0,0 +1,569 @@
+/**
+ * Snapshot Export
+ * Still images of the current view for social posts and print: the Three.js
+ * scene is re-rendered at the requested size and the HTML labels floating over
+ * it are drawn in, so the picture matches what is on screen at any resolution.
+ * PNG is a flat image; SVG embeds the scene as an image and keeps the labels as
+ * text, so they stay sharp and editable.
+ * Loaded as a classic script; exposes window.VizSnapshot.
+ *
+ *   VizSnapshot.capture({ renderer, scene, camera, labels: () => nodes }, { scale: 2 })
+ *     .then(blob => VizSnapshot.download(blob, 'four-rungs.png'));
+ *
+ * The renderer needs alpha: true for transparent exports.
+ */
+
+(function() {
+  'use strict';
+
+  // Output width for { size: '4k' }; height follows the view's aspect ratio
+  const PRESETS = {
+    '1x': { scale: 1 },
+    '2x': { scale: 2 },
+    '4k': { width: 3840 }
+  };
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // ============================================================
+  // Scene
+  // ============================================================
+
+  /**
+   * Render one frame at width x height (drawing-buffer pixels) and copy it out.
+   * The renderer is put back exactly as it was, including its on-screen frame.
+   */
+  function renderScene(view, width, height, transparent) {
+    const { renderer, scene, camera } = view;
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    const background = scene.background;
+
+    const out = document.createElement('canvas');
+    out.width = width;
+    out.height = height;
+
+    try {
+      renderer.setPixelRatio(1);
+      // false: keep the canvas's CSS size so the page does not reflow
+      renderer.setSize(width, height, false);
+      if (transparent) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+      }
+      renderer.render(scene, camera);
+      // Read back before the browser composites, so preserveDrawingBuffer is not needed
+      out.getContext('2d').drawImage(renderer.domElement, 0, 0, width, height);
+    } finally {
+      scene.background = background;
+      renderer.setClearColor(clearColor, clearAlpha);
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(size.x, size.y, false);
+      renderer.render(scene, camera);
+    }
+
+    return out;
+  }
+
+  // ============================================================
+  // Labels
+  // ============================================================
+
+  function effectiveOpacity(el, root) {
+    let opacity = 1;
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      opacity *= parseFloat(getComputedStyle(node).opacity);
+      if (node === root) break;
+    }
+    return opacity;
+  }
+
+  function isTransparent(color) {
+    return !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+  }
+
+  function fontOf(style) {
+    return `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+  }
+
+  function transformText(text, style) {
+    if (style.textTransform === 'uppercase') return text.toUpperCase();
+    if (style.textTransform === 'lowercase') return text.toLowerCase();
+    return text;
+  }
+
+  /**
+   * Split a text node into the lines the browser wrapped it into,
+   * measured word by word in page coordinates
+   */
+  function measureLines(node) {
+    const text = node.textContent;
+    const range = document.createRange();
+    const lines = [];
+    const pattern = /\S+/g;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) continue;
+
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.top - rect.top) < rect.height / 2) {
+        line.words.push(match[0]);
+        line.right = rect.right;
+      } else {
+        lines.push({ words: [match[0]], left: rect.left, right: rect.right, top: rect.top, height: rect.height });
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Flatten the visible labels into boxes and lines of text, in CSS pixels
+   * relative to the canvas
+   */
+  function collectLabels(elements, origin) {
+    const marks = [];
+
+    elements.forEach(root => {
+      if (!root || !root.isConnected) return;
+
+      const walk = el => {
+        const style = getComputedStyle(el);
+        if (style.display === 'none' || style.visibility === 'hidden') return;
+
+        const opacity = effectiveOpacity(el, root);
+        if (opacity <= 0.01) return;
+
+        const rect = el.getBoundingClientRect();
+        if (!isTransparent(style.backgroundColor) && rect.width > 0) {
+          marks.push({
+            type: 'box',
+            x: rect.left - origin.left,
+            y: rect.top - origin.top,
+            width: rect.width,
+            height: rect.height,
+            radius: parseFloat(style.borderTopLeftRadius) || 0,
+            fill: style.backgroundColor,
+            opacity
+          });
+        }
+
+        el.childNodes.forEach(child => {
+          if (child.nodeType === 1) {
+            walk(child);
+            return;
+          }
+          if (child.nodeType !== 3 || !child.textContent.trim()) return;
+
+          measureLines(child).forEach(line => {
+            marks.push({
+              type: 'text',
+              text: transformText(line.words.join(' '), style),
+              x: line.left - origin.left,
+              y: line.top - origin.top + line.height / 2,
+              width: line.right - line.left,
+              font: fontOf(style),
+              fontStyle: style.fontStyle,
+              fontWeight: style.fontWeight,
+              fontSize: parseFloat(style.fontSize),
+              fontFamily: style.fontFamily,
+              letterSpacing: style.letterSpacing === 'normal' ? 0 : parseFloat(style.letterSpacing) || 0,
+              color: style.color,
+              opacity
+            });
+          });
+        });
+      };
+
+      walk(root);
+    });
+
+    return marks;
+  }
+
+  function drawMarks(ctx, marks, scale) {
+    ctx.save();
+    ctx.scale(scale, scale);
+    ctx.textBaseline = 'middle';
+
+    marks.forEach(mark => {
+      ctx.globalAlpha = mark.opacity;
+      if (mark.type === 'box') {
+        ctx.fillStyle = mark.fill;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+          ctx.roundRect(mark.x, mark.y, mark.width, mark.height, Math.min(mark.radius, mark.height / 2));
+        } else {
+          ctx.rect(mark.x, mark.y, mark.width, mark.height);
+        }
+        ctx.fill();
+      } else {
+        ctx.font = mark.font;
+        ctx.fillStyle = mark.color;
+        // Canvas letter spacing is recent; without it the text is a little tighter
+        if ('letterSpacing' in ctx) ctx.letterSpacing = `${mark.letterSpacing}px`;
+        ctx.fillText(mark.text, mark.x, mark.y);
+      }
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the given HTML labels onto a 2D context laid over the canvas
+   * (used by the recorder for each video frame)
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Element[]} elements
+   * @param {DOMRect} origin - The WebGL canvas's bounding rect
+   * @param {number} scale - Output pixels per CSS pixel
+   */
+  function drawLabels(ctx, elements, origin, scale) {
+    drawMarks(ctx, collectLabels(elements, origin), scale);
+  }
+
+  // ============================================================
+  // Output
+  // ============================================================
+
+  function canvasToBlob(canvas, type) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type);
+    });
+  }
+
+  function buildSvg(sceneCanvas, marks, cssWidth, cssHeight) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('xmlns', SVG_NS);
+    svg.setAttribute('width', sceneCanvas.width);
+    svg.setAttribute('height', sceneCanvas.height);
+    svg.setAttribute('viewBox', `0 0 ${cssWidth} ${cssHeight}`);
+
+    const image = document.createElementNS(SVG_NS, 'image');
+    image.setAttribute('href', sceneCanvas.toDataURL('image/png'));
+    image.setAttribute('width', cssWidth);
+    image.setAttribute('height', cssHeight);
+    image.setAttribute('preserveAspectRatio', 'none');
+    svg.appendChild(image);
+
+    marks.forEach(mark => {
+      let node;
+      if (mark.type === 'box') {
+        node = document.createElementNS(SVG_NS, 'rect');
+        node.setAttribute('x', mark.x);
+        node.setAttribute('y', mark.y);
+        node.setAttribute('width', mark.width);
+        node.setAttribute('height', mark.height);
+        node.setAttribute('rx', Math.min(mark.radius, mark.height / 2));
+        node.setAttribute('fill', mark.fill);
+      } else {
+        node = document.createElementNS(SVG_NS, 'text');
+        node.setAttribute('x', mark.x);
+        node.setAttribute('y', mark.y);
+        node.setAttribute('dominant-baseline', 'central');
+        node.setAttribute('font-family', mark.fontFamily);
+        node.setAttribute('font-size', mark.fontSize);
+        node.setAttribute('font-weight', mark.fontWeight);
+        node.setAttribute('font-style', mark.fontStyle);
+        if (mark.letterSpacing) node.setAttribute('letter-spacing', mark.letterSpacing);
+        node.setAttribute('fill', mark.color);
+        node.textContent = mark.text;
+      }
+      if (mark.opacity < 1) node.setAttribute('opacity', mark.opacity);
+      svg.appendChild(node);
+    });
+
+    return new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+  }
+
+  /**
+   * Export the current view
+   * @param {Object} view
+   * @param {THREE.WebGLRenderer} view.renderer
+   * @param {THREE.Scene} view.scene
+   * @param {THREE.Camera} view.camera
+   * @param {Function} [view.labels] - Returns the HTML label elements to draw in
+   * @param {Object} [options]
+   * @param {string} [options.size] - '1x', '2x' or '4k' (overrides scale/width)
+   * @param {number} [options.scale=1] - Multiple of the on-screen size
+   * @param {number} [options.width] - Output width in pixels; height keeps the aspect ratio
+   * @param {string} [options.format='png'] - 'png' or 'svg'
+   * @param {boolean} [options.transparent=false] - Drop the scene background
+   * @param {boolean} [options.labels=true] - Draw the HTML labels in
+   * @returns {Promise<Blob>}
+   */
+  function capture(view, options = {}) {
+    const preset = PRESETS[options.size] || {};
+    const format = options.format === 'svg' ? 'svg' : 'png';
+    const origin = view.renderer.domElement.getBoundingClientRect();
+    const cssWidth = origin.width;
+    const cssHeight = origin.height;
+
+    let scale = preset.scale || options.scale || 1;
+    const width = preset.width || options.width;
+    if (width) scale = width / cssWidth;
+
+    // Stay inside what the GPU can draw in one pass
+    const maxSize = view.renderer.capabilities.maxTextureSize || 4096;
+    scale = Math.min(scale, maxSize / cssWidth, maxSize / cssHeight);
+    if (!(scale > 0)) return Promise.reject(new Error(`Invalid snapshot size: ${options.size || options.scale || width}`));
+
+    const pixelWidth = Math.round(cssWidth * scale);
+    const pixelHeight = Math.round(cssHeight * scale);
+
+    return (document.fonts ? document.fonts.ready : Promise.resolve()).then(() => {
+      const sceneCanvas = renderScene(view, pixelWidth, pixelHeight, !!options.transparent);
+      const labelElements = options.labels === false || !view.labels ? [] : Array.from(view.labels());
+      const marks = collectLabels(labelElements, origin);
+
+      if (format === 'svg') return buildSvg(sceneCanvas, marks, cssWidth, cssHeight);
+
+      drawMarks(sceneCanvas.getContext('2d'), marks, scale);
+      return canvasToBlob(sceneCanvas, 'image/png');
+    });
+  }
+
+  /**
+   * Save a blob through the browser's download prompt
+   */
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function timestamp() {
+    const d = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+  }
+
+  // ============================================================
+  // Export Button
+  // ============================================================
+
+  const STYLES = `
+    .viz-snapshot {
+      position: fixed;
+      bottom: 6.5rem;
+      right: 1.5rem;
+      z-index: 100;
+      font-family: inherit;
+    }
+    .viz-snapshot__toggle {
+      display: flex;
+      align-items: center;
+      gap: 0.35rem;
+      padding: 0.45rem 0.7rem;
+      background: rgba(8, 8, 12, 0.8);
+      border: 1px solid rgba(255, 255, 255, 0.06);
+      border-radius: 4px;
+      font-family: inherit;
+      font-size: 0.6rem;
+      font-weight: 300;
+      color: rgba(255, 255, 255, 0.5);
+      cursor: pointer;
+      transition: border-color 0.25s ease, color 0.25s ease;
+    }
+    .viz-snapshot__toggle:hover,
+    .viz-snapshot__toggle[aria-expanded="true"] {
+      border-color: rgba(255, 255, 255, 0.12);
+      color: rgba(255, 255, 255, 0.85);
+    }
+    .viz-snapshot__icon {
+      font-size: 0.75rem;
+    }
+    .viz-snapshot__menu {
+      position: absolute;
+      bottom: calc(100% + 0.5rem);
+      right: 0;
+      display: grid;
+      gap: 0.6rem;
+      min-width: 180px;
+      padding: 0.8rem;
+      background: rgba(12, 12, 18, 0.95);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      border-radius: 6px;
+      font-size: 0.65rem;
+      color: rgba(255, 255, 255, 0.7);
+    }
+    .viz-snapshot__menu[hidden] {
+      display: none;
+    }
+    .viz-snapshot__menu label {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 0.6rem;
+    }
+    .viz-snapshot__menu select {
+      background: rgba(255, 255, 255, 0.06);
+      border: 1px solid rgba(255, 255, 255, 0.12);
+      border-radius: 3px;
+      color: inherit;
+      font: inherit;
+    }
+    .viz-snapshot__menu option {
+      background: #14141c;
+    }
+    .viz-snapshot__save {
+      padding: 0.4rem;
+      background: rgba(255, 255, 255, 0.1);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 3px;
+      color: rgba(255, 255, 255, 0.9);
+      font: inherit;
+      cursor: pointer;
+    }
+    .viz-snapshot__save:disabled {
+      opacity: 0.5;
+      cursor: progress;
+    }
+    @media (max-width: 768px) {
+      .viz-snapshot {
+        bottom: 6rem;
+        right: 1rem;
+      }
+      .viz-snapshot__label {
+        display: none;
+      }
+    }
+  `;
+
+  const FALLBACK_TEXT = {
+    'common.snapshot.button': 'Export image',
+    'common.snapshot.size': 'Size',
+    'common.snapshot.screen': 'Screen',
+    'common.snapshot.format': 'Format',
+    'common.snapshot.transparent': 'Transparent background',
+    'common.snapshot.save': 'Save'
+  };
+
+  function text(key) {
+    return window.VizI18n && window.VizI18n.has(key) ? window.VizI18n.t(key) : FALLBACK_TEXT[key];
+  }
+
+  function injectStyles() {
+    if (document.getElementById('viz-snapshot-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'viz-snapshot-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Add the "Export image" button and its options menu
+   * @param {Function} exportImage - (options) => Promise<Blob>, e.g. the viz's exportSnapshot
+   * @param {string} name - File name prefix, e.g. 'cost-of-speed'
+   * @param {Element} [parent=document.body]
+   * @returns {HTMLElement}
+   */
+  function mountButton(exportImage, name, parent = document.body) {
+    injectStyles();
+
+    const wrap = document.createElement('div');
+    wrap.className = 'viz-snapshot';
+    wrap.innerHTML = `
+      <button type="button" class="viz-snapshot__toggle" aria-expanded="false" aria-controls="vizSnapshotMenu">
+        <span class="viz-snapshot__icon" aria-hidden="true">⤓</span>
+        <span class="viz-snapshot__label"></span>
+      </button>
+      <form class="viz-snapshot__menu" id="vizSnapshotMenu" hidden>
+        <label><span data-text="common.snapshot.size"></span>
+          <select name="size">
+            <option value="1x"></option>
+            <option value="2x" selected>2×</option>
+            <option value="4k">4K</option>
+          </select>
+        </label>
+        <label><span data-text="common.snapshot.format"></span>
+          <select name="format">
+            <option value="png">PNG</option>
+            <option value="svg">SVG</option>
+          </select>
+        </label>
+        <label><span data-text="common.snapshot.transparent"></span>
+          <input type="checkbox" name="transparent">
+        </label>
+        <button type="submit" class="viz-snapshot__save" data-text="common.snapshot.save"></button>
+      </form>
+    `;
+
+    const toggle = wrap.querySelector('.viz-snapshot__toggle');
+    const menu = wrap.querySelector('.viz-snapshot__menu');
+    const save = wrap.querySelector('.viz-snapshot__save');
+
+    const render = () => {
+      const label = text('common.snapshot.button');
+      wrap.querySelector('.viz-snapshot__label').textContent = label;
+      toggle.title = label;
+      toggle.setAttribute('aria-label', label);
+      menu.querySelector('option[value="1x"]').textContent = text('common.snapshot.screen');
+      menu.querySelectorAll('[data-text]').forEach(el => {
+        el.textContent = text(el.dataset.text);
+      });
+    };
+
+    const setOpen = open => {
+      menu.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+    };
+
+    toggle.addEventListener('click', () => setOpen(menu.hidden));
+
+    menu.addEventListener('submit', event => {
+      event.preventDefault();
+      const options = {
+        size: menu.elements.size.value,
+        format: menu.elements.format.value,
+        transparent: menu.elements.transparent.checked
+      };
+
+      save.disabled = true;
+      exportImage(options)
+        .then(blob => {
+          download(blob, `${name}-${timestamp()}.${options.format}`);
+          setOpen(false);
+        })
+        .catch(err => console.error('Snapshot export failed', err))
+        .then(() => {
+          save.disabled = false;
+        });
+    });
+
+    wrap.addEventListener('keydown', event => {
+      if (event.key === 'Escape' && !menu.hidden) {
+        event.stopPropagation();
+        setOpen(false);
+        toggle.focus();
+      }
+    });
+
+    document.addEventListener('pointerdown', event => {
+      if (!menu.hidden && !wrap.contains(event.target)) setOpen(false);
+    });
+
+    render();
+    if (window.VizI18n) window.VizI18n.ready.then(render);
+
+    parent.appendChild(wrap);
+    return wrap;
+  }
+
+  window.VizSnapshot = {
+    capture,
+    drawLabels,
+    download,
+    mountButton
+  };
+
+})();
@@ -0,0 +1,335 @@
+/**
+ * State Store
+ * Typed key/value store shared by the visualizations: per-key subscriptions,
+ * undo/redo for history keys, and serialization for URL state and the embed bridge.
+ * Loaded as a classic script; exposes window.VizState.
+ *
+ * Schema entry per key:
+ *   type       'string' | 'number' | 'boolean'
+ *   default    Initial value (null if omitted)
+ *   values     Allowed values, or a function returning them
+ *   nullable   Accept null
+ *   min / max  Bounds for numbers
+ *   history    Changes are undoable
+ *   param      Query parameter name used by toParams/fromParams
+ *   transient  Left out of serialize()
+ */
+
+(function() {
+  'use strict';
+
+  const HISTORY_LIMIT = 50;
+  const WILDCARD = '*';
+  const RESERVED = ['get', 'set', 'update', 'getState', 'subscribe', 'undo', 'redo', 'canUndo', 'canRedo',
+    'clearHistory', 'serialize', 'deserialize', 'toParams', 'fromParams', 'paramNames'];
+
+  function allowedValues(def) {
+    return typeof def.values === 'function' ? def.values() : def.values;
+  }
+
+  /**
+   * Validate a value against its schema entry; throws on mismatch
+   */
+  function validate(key, def, value) {
+    if (value === null || value === undefined) {
+      if (def.nullable) return null;
+      throw new TypeError(`State "${key}" cannot be null`);
+    }
+
+    if (typeof value !== def.type) {
+      throw new TypeError(`State "${key}" expects a ${def.type}, got ${typeof value}`);
+    }
+
+    if (def.type === 'number') {
+      if (!isFinite(value)) throw new RangeError(`State "${key}" must be finite`);
+      if (def.min !== undefined && value < def.min) throw new RangeError(`State "${key}" must be >= ${def.min}`);
+      if (def.max !== undefined && value > def.max) throw new RangeError(`State "${key}" must be <= ${def.max}`);
+    }
+
+    const values = allowedValues(def);
+    if (values && !values.includes(value)) {
+      throw new RangeError(`State "${key}" has no value "${value}"`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Turn a query-string value into the key's type (undefined if it can't be)
+   */
+  function coerce(def, raw) {
+    if (def.type === 'number') {
+      const num = parseFloat(raw);
+      return isNaN(num) ? undefined : num;
+    }
+    if (def.type === 'boolean') {
+      if (raw === 'true') return true;
+      if (raw === 'false') return false;
+      return undefined;
+    }
+    return raw;
+  }
+
+  /**
+   * Create a store
+   * @param {Object} schema - Key -> schema entry (see file header)
+   * @param {Object} [options]
+   * @param {Function} [options.applyHistory] - Called with a snapshot of the history
+   *   keys on undo/redo. Use it to drive the scene (focusOnOrb etc.); state changes
+   *   made while it runs are not recorded. Defaults to update(snapshot).
+   */
+  function createStore(schema, options = {}) {
+    const keys = Object.keys(schema);
+    const historyKeys = keys.filter(key => schema[key].history);
+    const state = {};
+    const listeners = {};
+
+    let past = [];
+    let future = [];
+    let pendingSnapshot = null;
+    let isRestoring = false;
+
+    keys.forEach(key => {
+      if (RESERVED.includes(key)) throw new Error(`State key "${key}" is reserved`);
+      state[key] = schema[key].default === undefined ? null : schema[key].default;
+    });
+
+    function snapshotHistory() {
+      const snapshot = {};
+      historyKeys.forEach(key => { snapshot[key] = state[key]; });
+      return snapshot;
+    }
+
+    function isSameSnapshot(a, b) {
+      return historyKeys.every(key => a[key] === b[key]);
+    }
+
+    // Changes made in one synchronous run (e.g. clearing the focused orb then
+    // focusing an observable) are committed as a single undo step
+    function commitHistory() {
+      if (!pendingSnapshot) return;
+      if (!isSameSnapshot(pendingSnapshot, state)) {
+        past.push(pendingSnapshot);
+        if (past.length > HISTORY_LIMIT) past.shift();
+        future = [];
+      }
+      pendingSnapshot = null;
+    }
+
+    function beginHistoryStep() {
+      if (isRestoring || pendingSnapshot) return;
+      pendingSnapshot = snapshotHistory();
+      Promise.resolve().then(commitHistory);
+    }
+
+    function notify(key, value, previous) {
+      (listeners[key] || []).slice().forEach(cb => cb(value, previous));
+      (listeners[WILDCARD] || []).slice().forEach(cb => cb(key, value, previous));
+    }
+
+    /**
+     * Set several keys at once; listeners run after all values are applied
+     * @returns {boolean} Whether anything changed
+     */
+    function update(changes) {
+      const validated = Object.keys(changes).map(key => {
+        const def = schema[key];
+        if (!def) throw new Error(`Unknown state key: ${key}`);
+        return [key, validate(key, def, changes[key])];
+      });
+
+      const changed = [];
+      validated.forEach(([key, value]) => {
+        if (state[key] === value) return;
+        if (schema[key].history) beginHistoryStep();
+        changed.push([key, value, state[key]]);
+        state[key] = value;
+      });
+
+      changed.forEach(([key, value, previous]) => notify(key, value, previous));
+      return changed.length > 0;
+    }
+
+    function restore(snapshot) {
+      isRestoring = true;
+      try {
+        if (options.applyHistory) {
+          options.applyHistory(snapshot);
+        } else {
+          update(snapshot);
+        }
+      } finally {
+        isRestoring = false;
+      }
+    }
+
+    const store = {
+      get(key) {
+        return state[key];
+      },
+
+      set(key, value) {
+        return update({ [key]: value });
+      },
+
+      update,
+
+      getState() {
+        return Object.assign({}, state);
+      },
+
+      /**
+       * subscribe(key, cb(value, previous)) or subscribe(cb(key, value, previous))
+       * @returns {Function} Unsubscribe
+       */
+      subscribe(keyOrCallback, callback) {
+        const key = typeof keyOrCallback === 'function' ? WILDCARD : keyOrCallback;
+        const cb = typeof keyOrCallback === 'function' ? keyOrCallback : callback;
+        if (key !== WILDCARD && !schema[key]) throw new Error(`Unknown state key: ${key}`);
+
+        (listeners[key] = listeners[key] || []).push(cb);
+        return () => {
+          listeners[key] = listeners[key].filter(l => l !== cb);
+        };
+      },
+
+      undo() {
+        commitHistory();
+        if (past.length === 0) return false;
+        const target = past.pop();
+        future.push(snapshotHistory());
+        restore(target);
+        return true;
+      },
+
+      redo() {
+        commitHistory();
+        if (future.length === 0) return false;
+        const target = future.pop();
+        past.push(snapshotHistory());
+        restore(target);
+        return true;
+      },
+
+      canUndo() {
+        return past.length > 0 || (pendingSnapshot !== null && !isSameSnapshot(pendingSnapshot, state));
+      },
+
+      canRedo() {
+        return future.length > 0;
+      },
+
+      clearHistory() {
+        past = [];
+        future = [];
+        pendingSnapshot = null;
+      },
+
+      /**
+       * Plain, JSON-safe copy of the non-transient keys
+       */
+      serialize() {
+        const data = {};
+        keys.forEach(key => {
+          if (!schema[key].transient) data[key] = state[key];
+        });
+        return data;
+      },
+
+      /**
+       * Validate serialized data; invalid or unknown entries are dropped
+       * @returns {Object} Key -> value, ready for update()
+       */
+      deserialize(data) {
+        const values = {};
+        Object.keys(data || {}).forEach(key => {
+          const def = schema[key];
+          if (!def || def.transient) return;
+          try {
+            values[key] = validate(key, def, data[key]);
+          } catch (e) {
+            console.warn(`Ignoring state "${key}":`, e.message);
+          }
+        });
+        return values;
+      },
+
+      /**
+       * Query parameters for keys with a `param`; defaults map to null (omitted).
+       * Several keys may share a parameter when their values can't collide.
+       */
+      toParams() {
+        const params = {};
+        keys.forEach(key => {
+          const param = schema[key].param;
+          if (!param) return;
+          if (state[key] !== null && state[key] !== schema[key].default) {
+            params[param] = state[key];
+          } else if (!(param in params)) {
+            params[param] = null;
+          }
+        });
+        return params;
+      },
+
+      /**
+       * Parse query parameters (strings) into validated key values
+       */
+      fromParams(params) {
+        const values = {};
+        keys.forEach(key => {
+          const def = schema[key];
+          if (!def.param || params[def.param] === undefined) return;
+          const value = coerce(def, params[def.param]);
+          if (value === undefined) return;
+          try {
+            values[key] = validate(key, def, value);
+          } catch (e) {
+            // Not a value for this key (possibly one sharing the parameter)
+          }
+        });
+        return values;
+      },
+
+      paramNames() {
+        return keys.map(key => schema[key].param).filter((p, i, all) => p && all.indexOf(p) === i);
+      }
+    };
+
+    // Property access for convenience: store.mode, store.focusedOrb = 'trust'
+    keys.forEach(key => {
+      Object.defineProperty(store, key, {
+        get: () => state[key],
+        set: value => { update({ [key]: value }); },
+        enumerable: true
+      });
+    });
+
+    return store;
+  }
+
+  /**
+   * Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+   */
+  function bindUndoKeys(store) {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        store.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        store.redo();
+      }
+    });
+  }
+
+  window.VizState = {
+    createStore,
+    bindUndoKeys
+  };
+
+})();
@@ -0,0 +1,485 @@
+/**
+ * Guided Tour
+ * Narrated walk-throughs built from steps, each one a state of the scene held
+ * for a while under a caption:
+ *   { id, preset, focus, caption, duration, cue, run }
+ * `preset` and `focus` go through the visualization's own functions (hooks),
+ * so a step looks exactly like the reader having clicked there. The tour
+ * plays, pauses, skips either way, and can start or resume at any step; the
+ * step a reader left off at is remembered for the next visit.
+ * Loaded as a classic script; exposes window.VizTour.
+ *
+ *   const tour = VizTour.create({
+ *     name: 'four-rungs',
+ *     steps: [{ id: 'outcome', focus: 'outcome', caption: '...', duration: 6 }],
+ *     hooks: { preset: setViewMode, focus: showRung, clear: clearFocus }
+ *   });
+ *   VizTour.mountButton(tour);
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_PREFIX = 'human-ai-viz-tour:';
+
+  // Seconds a step stays up when it does not say
+  const DEFAULT_DURATION = 6;
+
+  const STYLES = `
+    .viz-tour-button {
+      position: fixed;
+      bottom: 9rem;
+      right: 1.5rem;
+      z-index: 100;
+      display: flex;
+      align-items: center;
+      gap: 0.35rem;
+      padding: 0.45rem 0.7rem;
+      background: rgba(8, 8, 12, 0.8);
+      border: 1px solid rgba(255, 255, 255, 0.06);
+      border-radius: 4px;
+      font-family: inherit;
+      font-size: 0.6rem;
+      font-weight: 300;
+      color: rgba(255, 255, 255, 0.5);
+      cursor: pointer;
+      transition: border-color 0.25s ease, color 0.25s ease;
+    }
+    .viz-tour-button:hover,
+    .viz-tour-button:focus-visible {
+      border-color: rgba(255, 255, 255, 0.12);
+      color: rgba(255, 255, 255, 0.85);
+    }
+    .viz-tour-button[hidden] {
+      display: none;
+    }
+    .viz-tour {
+      position: fixed;
+      left: 50%;
+      bottom: 5rem;
+      z-index: 160;
+      width: min(34rem, calc(100vw - 2rem));
+      transform: translateX(-50%);
+      padding: 1rem 1.25rem 0.75rem;
+      background: rgba(12, 12, 18, 0.94);
+      border: 1px solid rgba(251, 191, 36, 0.3);
+      border-radius: 0.5rem;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+      color: rgba(255, 255, 255, 0.9);
+    }
+    .viz-tour[hidden] {
+      display: none;
+    }
+    .viz-tour__caption {
+      margin: 0 0 0.75rem;
+      font-size: 0.9rem;
+      line-height: 1.55;
+    }
+    .viz-tour__bar {
+      display: flex;
+      align-items: center;
+      gap: 0.4rem;
+    }
+    .viz-tour__btn {
+      min-width: 1.8rem;
+      height: 1.8rem;
+      padding: 0 0.4rem;
+      background: none;
+      border: 1px solid rgba(255, 255, 255, 0.12);
+      border-radius: 0.25rem;
+      font: inherit;
+      font-size: 0.75rem;
+      color: rgba(255, 255, 255, 0.7);
+      cursor: pointer;
+    }
+    .viz-tour__btn:hover:not(:disabled),
+    .viz-tour__btn:focus-visible {
+      border-color: rgba(251, 191, 36, 0.6);
+      color: rgba(255, 255, 255, 0.95);
+    }
+    .viz-tour__btn:disabled {
+      opacity: 0.3;
+      cursor: default;
+    }
+    .viz-tour__steps {
+      display: flex;
+      flex: 1;
+      justify-content: center;
+      gap: 0.3rem;
+      margin: 0;
+      padding: 0;
+      list-style: none;
+    }
+    .viz-tour__dot {
+      width: 0.55rem;
+      height: 0.55rem;
+      padding: 0;
+      background: rgba(255, 255, 255, 0.2);
+      border: none;
+      border-radius: 50%;
+      cursor: pointer;
+    }
+    .viz-tour__dot[aria-current="step"] {
+      background: #fbbf24;
+    }
+    .viz-tour__dot:focus-visible {
+      outline: 2px solid rgba(251, 191, 36, 0.6);
+      outline-offset: 2px;
+    }
+    .viz-tour__progress {
+      height: 2px;
+      margin-top: 0.6rem;
+      background: rgba(255, 255, 255, 0.08);
+      overflow: hidden;
+    }
+    .viz-tour__progress-fill {
+      width: 100%;
+      height: 100%;
+      background: rgba(251, 191, 36, 0.6);
+      transform-origin: left;
+      animation: viz-tour-progress var(--viz-tour-duration, 6s) linear forwards;
+    }
+    .viz-tour--paused .viz-tour__progress-fill {
+      animation-play-state: paused;
+    }
+    @keyframes viz-tour-progress {
+      from { transform: scaleX(0); }
+      to { transform: scaleX(1); }
+    }
+    [dir="rtl"] .viz-tour__progress-fill {
+      transform-origin: right;
+    }
+    @media (max-width: 768px) {
+      .viz-tour-button {
+        bottom: 8.5rem;
+        right: 1rem;
+      }
+      .viz-tour {
+        bottom: 1rem;
+      }
+    }
+  `;
+
+  const FALLBACK_TEXT = {
+    'common.tour.button': 'Tour',
+    'common.tour.resume': 'Resume tour',
+    'common.tour.label': 'Guided tour',
+    'common.tour.play': 'Play',
+    'common.tour.pause': 'Pause',
+    'common.tour.previous': 'Previous step',
+    'common.tour.next': 'Next step',
+    'common.tour.step': 'Step {index} of {total}',
+    'common.tour.end': 'End tour'
+  };
+
+  function text(key, vars) {
+    if (window.VizI18n && window.VizI18n.has(key)) return window.VizI18n.t(key, vars);
+    return FALLBACK_TEXT[key].replace(/\{(\w+)\}/g, (match, name) => vars[name]);
+  }
+
+  function injectStyles() {
+    if (document.getElementById('viz-tour-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'viz-tour-styles';
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  // Where the reader left off; storage is blocked in some sandboxed iframes
+  function readProgress(name) {
+    try {
+      const value = parseInt(window.localStorage.getItem(STORAGE_PREFIX + name), 10);
+      return Number.isNaN(value) ? null : value;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeProgress(name, index) {
+    try {
+      if (index === null) {
+        window.localStorage.removeItem(STORAGE_PREFIX + name);
+      } else {
+        window.localStorage.setItem(STORAGE_PREFIX + name, String(index));
+      }
+    } catch (e) {
+      // Not remembered; the tour still works for this visit
+    }
+  }
+
+  /**
+   * Build a tour. Nothing shows until play() is called.
+   * @param {Object} options
+   * @param {string} options.name - Visualization id; keys the remembered step
+   * @param {Array<Object>} options.steps - { id, preset, focus, caption, duration (s), cue, run }
+   * @param {Object} options.hooks
+   * @param {Function} [options.hooks.preset] - Go to a camera preset / view mode by name
+   * @param {Function} [options.hooks.focus] - Focus an item by id
+   * @param {Function} [options.hooks.clear] - Leave focus (steps with neither preset nor focus)
+   * @returns {Object} Tour controller
+   */
+  function create(options) {
+    injectStyles();
+
+    const steps = options.steps;
+    const hooks = options.hooks || {};
+    let current = null;     // Index of the step on screen, null when closed
+    let playing = false;
+    let timer = null;
+    let remaining = 0;      // ms left on the current step
+    let startedAt = 0;
+    let returnFocus = null;
+    const listeners = [];
+
+    function notify() {
+      listeners.slice().forEach(cb => cb(current));
+    }
+
+    // ===== Caption panel =====
+
+    const panel = document.createElement('section');
+    panel.className = 'viz-tour';
+    panel.hidden = true;
+    panel.innerHTML = `
+      <p class="viz-tour__caption" aria-live="polite"></p>
+      <div class="viz-tour__bar">
+        <button type="button" class="viz-tour__btn" data-action="prev">‹</button>
+        <button type="button" class="viz-tour__btn" data-action="toggle"></button>
+        <button type="button" class="viz-tour__btn" data-action="next">›</button>
+        <ol class="viz-tour__steps"></ol>
+        <button type="button" class="viz-tour__btn" data-action="stop">&times;</button>
+      </div>
+      <div class="viz-tour__progress" aria-hidden="true"><div class="viz-tour__progress-fill"></div></div>
+    `;
+    document.body.appendChild(panel);
+
+    const caption = panel.querySelector('.viz-tour__caption');
+    const dots = panel.querySelector('.viz-tour__steps');
+    const fill = panel.querySelector('.viz-tour__progress-fill');
+    const buttons = {};
+    panel.querySelectorAll('[data-action]').forEach(btn => {
+      buttons[btn.dataset.action] = btn;
+    });
+
+    function labelButton(btn, label) {
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+    }
+
+    function render() {
+      if (current === null) return;
+      const step = steps[current];
+
+      panel.setAttribute('aria-label', text('common.tour.label'));
+      caption.textContent = step.caption;
+      buttons.prev.disabled = current === 0;
+      buttons.next.disabled = current === steps.length - 1;
+      buttons.toggle.textContent = playing ? '❚❚' : '▶';
+      labelButton(buttons.prev, text('common.tour.previous'));
+      labelButton(buttons.next, text('common.tour.next'));
+      labelButton(buttons.toggle, text(playing ? 'common.tour.pause' : 'common.tour.play'));
+      labelButton(buttons.stop, text('common.tour.end'));
+
+      dots.innerHTML = steps.map((s, i) => `
+        <li><button type="button" class="viz-tour__dot" data-index="${i}"${i === current ? ' aria-current="step"' : ''}></button></li>
+      `).join('');
+      dots.querySelectorAll('.viz-tour__dot').forEach(dot => {
+        labelButton(dot, text('common.tour.step', { index: Number(dot.dataset.index) + 1, total: steps.length }));
+      });
+
+      panel.classList.toggle('viz-tour--paused', !playing);
+    }
+
+    // ===== Timing =====
+
+    function clearTimer() {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    function startTimer() {
+      clearTimer();
+      startedAt = performance.now();
+      timer = setTimeout(() => {
+        remaining = 0;
+        if (current < steps.length - 1) {
+          show(current + 1);
+        } else {
+          finish();
+        }
+      }, remaining);
+    }
+
+    // Restart the progress bar for a fresh step
+    function resetProgress(duration) {
+      panel.style.setProperty('--viz-tour-duration', `${duration}s`);
+      fill.style.animation = 'none';
+      void fill.offsetWidth; // Reflow so the animation starts over
+      fill.style.animation = '';
+    }
+
+    // ===== Steps =====
+
+    function apply(step) {
+      if (step.preset && hooks.preset) hooks.preset(step.preset);
+      if (step.focus && hooks.focus) hooks.focus(step.focus);
+      if (!step.preset && !step.focus && hooks.clear) hooks.clear();
+      if (step.run) step.run();
+      if (step.cue) step.cue();
+    }
+
+    function show(index) {
+      current = index;
+      const step = steps[index];
+      const duration = step.duration || DEFAULT_DURATION;
+      remaining = duration * 1000;
+
+      panel.hidden = false;
+      resetProgress(duration);
+      apply(step);
+      render();
+      writeProgress(options.name, index);
+      notify();
+
+      if (playing) startTimer();
+    }
+
+    function finish() {
+      playing = false;
+      clearTimer();
+      writeProgress(options.name, null);
+      close();
+    }
+
+    function close() {
+      if (current === null) return;
+      clearTimer();
+      playing = false;
+      remaining = 0;
+      current = null;
+      if (panel.contains(document.activeElement) && returnFocus && returnFocus.focus) returnFocus.focus();
+      returnFocus = null;
+      panel.hidden = true;
+      notify();
+    }
+
+    // ===== Controls =====
+
+    /**
+     * Start at a step; with no argument, where the reader left off (or the start)
+     */
+    function play(index) {
+      if (index === undefined) index = readProgress(options.name);
+      if (index === null || index < 0 || index >= steps.length) index = 0;
+      if (current === null) returnFocus = document.activeElement;
+      playing = true;
+      show(index);
+      buttons.toggle.focus();
+    }
+
+    function pause() {
+      if (!playing) return;
+      playing = false;
+      remaining = Math.max(0, remaining - (performance.now() - startedAt));
+      clearTimer();
+      render();
+    }
+
+    function resume() {
+      if (playing || current === null) return;
+      playing = true;
+      startTimer();
+      render();
+    }
+
+    function goTo(index) {
+      if (current === null || index < 0 || index >= steps.length) return;
+      show(index);
+    }
+
+    buttons.prev.addEventListener('click', () => goTo(current - 1));
+    buttons.next.addEventListener('click', () => goTo(current + 1));
+    buttons.toggle.addEventListener('click', () => (playing ? pause() : resume()));
+    // Ending early keeps the place for next time
+    buttons.stop.addEventListener('click', close);
+    dots.addEventListener('click', event => {
+      const dot = event.target.closest('.viz-tour__dot');
+      if (dot) goTo(Number(dot.dataset.index));
+    });
+
+    panel.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        // Keep VizKeys from also leaving focus
+        event.preventDefault();
+        close();
+      }
+    });
+
+    // Reaching into the scene means the reader is taking over
+    function onInteract(event) {
+      if (playing && !panel.contains(event.target)) pause();
+    }
+
+    document.addEventListener('pointerdown', onInteract);
+    document.addEventListener('wheel', onInteract, { passive: true });
+    document.addEventListener('keydown', onInteract);
+
+    if (window.VizI18n) window.VizI18n.ready.then(render);
+
+    return {
+      name: options.name,
+      play,
+      pause,
+      resume,
+      next: () => goTo(current + 1),
+      prev: () => goTo(current - 1),
+      goTo,
+      stop: close,
+      index: () => current,
+      isPlaying: () => playing,
+      // Step the reader left off at, or null
+      saved: () => readProgress(options.name),
+      // Called with the step index as steps change, null when the tour closes
+      onChange(cb) {
+        listeners.push(cb);
+      }
+    };
+  }
+
+  /**
+   * Launcher button; offers to resume when the reader left a tour part-way
+   * @param {Object} tour - From create()
+   * @param {HTMLElement} [parent=document.body]
+   */
+  function mountButton(tour, parent = document.body) {
+    injectStyles();
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'viz-tour-button';
+
+    const render = () => {
+      const label = text(tour.saved() !== null ? 'common.tour.resume' : 'common.tour.button');
+      button.innerHTML = '<span aria-hidden="true">▶</span> ';
+      button.append(label);
+      button.title = label;
+      button.hidden = tour.index() !== null;
+    };
+
+    button.addEventListener('click', () => tour.play());
+    // Hidden while the tour runs; relabelled when it ends
+    tour.onChange(render);
+
+    render();
+    if (window.VizI18n) window.VizI18n.ready.then(render);
+
+    parent.appendChild(button);
+    return button;
+  }
+
+  window.VizTour = {
+    create,
+    mountButton
+  };
+
+})();
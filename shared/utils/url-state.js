@@ -0,0 +1,58 @@
+/**
+ * URL State
+ * Reads and writes deep-link parameters (?view=ai-view&focus=trust) without
+ * touching unrelated ones like embed, lowfi or hostOrigin.
+ * Loaded as a classic script; exposes window.UrlState.
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Read the given query parameters; missing or empty ones are omitted
+   * @param {string[]} keys
+   * @returns {Object<string, string>}
+   */
+  function read(keys) {
+    const params = new URLSearchParams(window.location.search);
+    const values = {};
+    keys.forEach(key => {
+      const value = params.get(key);
+      if (value !== null && value !== '') values[key] = value;
+    });
+    return values;
+  }
+
+  /**
+   * Replace the given query parameters in the current URL.
+   * null/undefined/'' removes a parameter. Uses replaceState so interacting
+   * with a visualization does not flood the back button.
+   * @param {Object<string, *>} values
+   */
+  function write(values) {
+    const url = new URL(window.location.href);
+    Object.keys(values).forEach(key => {
+      const value = values[key];
+      if (value === null || value === undefined || value === '') {
+        url.searchParams.delete(key);
+      } else {
+        url.searchParams.set(key, String(value));
+      }
+    });
+
+    if (url.href === window.location.href) return;
+
+    try {
+      window.history.replaceState(window.history.state, '', url.href);
+    } catch (e) {
+      // Sandboxed frames and file:// pages may refuse history updates
+      console.warn('URL state not updated:', e.message);
+    }
+  }
+
+  window.UrlState = {
+    read,
+    write
+  };
+
+})();
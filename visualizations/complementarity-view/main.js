@@ -20,73 +20,75 @@ const CONFIG = {
         observable: 0x22d3ee,   // Cyan - AI's observable domain
     },
 
-    // Unobservables positioned in human's perception area (x=0 to x=7, centered at x=3.5)
-    // All OUTSIDE AI's light cone (which ends at x=1.5)
-    // Arranged in a pleasing arc around the human figure
-    unobservables: [
-        { id: 'intuition', symbol: '◎', title: 'Intuition',
-          description: 'Knowing something is wrong before you can articulate why.',
-          position: { x: 2.5, z: -2.5 } },
-        { id: 'presence', symbol: '◈', title: 'Physical Presence',
-          description: 'The weight of a handshake, the tension in a room.',
-          position: { x: 4.5, z: 2 } },
-        { id: 'room', symbol: '◇', title: 'Reading the Room',
-          description: 'The collective mood. Energy that shifts without anyone speaking.',
-          position: { x: 5.5, z: -1.5 } },
-        { id: 'trust', symbol: '∞', title: 'Relationship Capital',
-          description: 'Trust built through years.',
-          position: { x: 3.5, z: 2.5 } },
-        { id: 'memory', symbol: '⌘', title: 'Institutional Memory',
-          description: 'How things actually work, beyond the org chart.',
-          position: { x: 6, z: 0.5 } },
-        { id: 'context', symbol: '⟡', title: 'Contextual Meaning',
-          description: 'Understanding what "fine" really means.',
-          position: { x: 4.5, z: -2 } },
-        { id: 'timing', symbol: '◐', title: 'Timing & Rhythm',
-          description: 'Knowing when to push and when to wait.',
-          position: { x: 5, z: 1 } },
-        { id: 'silence', symbol: '○', title: "What's Not Said",
-          description: 'The pause that speaks volumes.',
-          position: { x: 6.5, z: -0.5 } },
-    ],
-
-    // Observables positioned WITHIN the light cone (radius 3.5 from center at -2, 0)
-    // Arranged in a semi-circular arc around the back edge of the cone
-    // All positions verified to be within radius 3.0 from cone center
-    observables: [
-        { id: 'metrics', symbol: '◉', title: 'Metrics',
-          short: 'The numbered reality',
-          description: 'Scores, percentages, KPIs. AI excels at processing quantified measurements—but a metric captures what was measured, not what matters.',
-          position: { x: -3.4, z: -2.4 } },
-        { id: 'records', symbol: '◆', title: 'Records',
-          short: 'The documented trail',
-          description: 'Documents, emails, transcripts. AI searches what was written down—but the record captures words, not the meaning they carried.',
-          position: { x: -4.2, z: 1.8 } },
-        { id: 'patterns', symbol: '⬡', title: 'Patterns',
-          short: 'The statistical shape',
-          description: 'Correlations, trends, clusters. AI finds patterns humans never could—but patterns describe what happens, not why.',
-          position: { x: -4.7, z: -1 } },
-        { id: 'categories', symbol: '▣', title: 'Categories',
-          short: 'The organized structure',
-          description: 'Labels, taxonomies, classifications. AI works within structured ontologies—but categories force reality into boxes.',
-          position: { x: -3.4, z: 2.4 } },
-        { id: 'timestamps', symbol: '◐', title: 'Timestamps',
-          short: 'The recorded moment',
-          description: 'Dates, durations, sequences. AI knows when things happened—but timestamps mark time without sensing rhythm.',
-          position: { x: -5, z: 0 } },
-        { id: 'transactions', symbol: '⟐', title: 'Transactions',
-          short: 'The logged exchange',
-          description: 'Purchases, clicks, recorded events. AI sees the exchange—the relationship that made it possible remains invisible.',
-          position: { x: -4.2, z: -1.8 } },
-        { id: 'signals', symbol: '◇', title: 'Explicit Signals',
-          short: 'The stated intent',
-          description: 'Direct statements, formal decisions. AI processes what was clearly said—but explicit is only the surface of meaning.',
-          position: { x: -4.7, z: 1 } },
-        { id: 'keywords', symbol: '○', title: 'Keywords',
-          short: 'The searchable term',
-          description: 'Indexed vocabulary, tagged content. AI can find any word—but words mean different things in different contexts.',
-          position: { x: -2.5, z: -2.5 } },
-    ],
+    // Orb copy and positions live in content.json (see CONTENT_SCHEMA).
+    // Unobservables sit in the human's perception area, outside the light cone
+    // (which ends at x=1.5); observables sit within radius 3.0 of the cone center.
+    unobservables: [],
+    observables: [],
+
+    // Which observable is the shadow of which unobservable, many-to-many, with
+    // what the observable captures and misses about its partner (see pairsFor)
+    pairs: [],
+
+    // Slide titles and speaker notes for ?mode=present (see setupPresentation)
+    slides: {},
+
+    // Guided tour captions by step id (see setupTour)
+    tour: {},
+};
+
+// Shape of content.json, checked before the scene is built
+const ORB_POSITION = { x: 'number', z: 'number' };
+
+// Presentation deck order: the whole scene, each side's view, one orb from
+// each side, then back to the whole scene
+const SLIDE_IDS = ['overview', 'ai', 'human', 'observable', 'unobservable', 'together'];
+
+// Guided tour order; each step's state is set in setupTour()
+const TOUR_STEP_IDS = ['scene', 'ai-view', 'observable', 'human-view', 'unobservable', 'explore'];
+
+const CONTENT_SCHEMA = {
+    unobservables: VizContent.listOf({
+        id: 'string',
+        symbol: 'string',
+        title: 'string',
+        description: 'string',
+        effect: VizContent.optional('string'), // ORB_EFFECTS key; defaults to the id
+        position: ORB_POSITION
+    }, { unique: 'id' }),
+    observables: VizContent.listOf({
+        id: 'string',
+        symbol: 'string',
+        title: 'string',
+        short: 'string',
+        description: 'string',
+        effect: VizContent.optional('string'), // OBSERVABLE_EFFECTS key; defaults to the id
+        position: ORB_POSITION
+    }, { unique: 'id' }),
+    pairs: VizContent.listOf({
+        unobservable: 'string',
+        observable: 'string',
+        captures: 'string',
+        misses: 'string'
+    }),
+    conversations: VizContent.listOf({
+        topic: 'string', // Unobservable id the exchange illustrates; they meet by its orb
+        observable: 'string', // Observable the AI leans on in it, paired with the topic; linked while they talk
+        // Dialogue graph, starting at the first node (see advanceDialogue)
+        nodes: VizContent.listOf({
+            id: 'string',
+            speaker: VizContent.oneOf(['ai', 'human']),
+            text: 'string',
+            next: VizContent.optional('string'),
+            choices: VizContent.optional(VizContent.listOf({ text: 'string', next: 'string' })),
+            branches: VizContent.optional(VizContent.listOf({ focused: 'string', next: 'string' }))
+        }, { unique: 'id' })
+    }),
+    presentation: VizContent.mapOf({
+        title: 'string',
+        notes: 'string'
+    }, { keys: SLIDE_IDS }),
+    tour: VizContent.mapOf('string', { keys: TOUR_STEP_IDS })
 };
 
 // ============================================================
@@ -149,7 +151,7 @@ const PerformanceMode = {
             document.querySelector('.controls-hint')?.classList.add('hidden');
             document.querySelector('.footer-quote')?.classList.add('hidden');
             document.querySelector('.view-mode-toggle')?.classList.add('hidden');
-            document.querySelector('.audio-btn')?.classList.add('hidden');
+            document.querySelector('.audio-controls')?.classList.add('hidden');
 
             // Show minimal embed controls instead
             this.createEmbedControls();
@@ -160,8 +162,8 @@ const PerformanceMode = {
         const controls = document.createElement('div');
         controls.className = 'embed-controls';
         controls.innerHTML = `
-            <button class="embed-btn" onclick="transitionToPreset('overview')" title="Reset view">⟲</button>
-            <button class="embed-btn" onclick="document.documentElement.requestFullscreen()" title="Fullscreen">⛶</button>
+            <button class="embed-btn" onclick="transitionToPreset('overview')" title="${VizI18n.t('common.resetView')}">⟲</button>
+            <button class="embed-btn" onclick="document.documentElement.requestFullscreen()" title="${VizI18n.t('common.fullscreen')}">⛶</button>
         `;
         document.body.appendChild(controls);
     }
@@ -171,10 +173,24 @@ const PerformanceMode = {
 // Audio Manager
 // ============================================================
 
+const AUDIO_LEVELS_KEY = 'complementarity-audio-levels';
+const AUDIO_BUSES = ['ambient', 'orbs', 'ui'];
+const ORB_SIGNATURE_GAIN = 0.04; // Quiet: an orb murmurs up close and fades out with distance
+const ORB_SIGNATURE_SCALE = [0, 2, 4, 7, 9]; // Pentatonic steps, so any orbs heard together agree
+const FOOTSTEP_STRIDE = { ai: 0.3, human: 0.45 }; // Scene units walked per step
+
 const AudioManager = {
     context: null,
     masterGain: null,    // For ambient soundscape (fades in/out)
     uiGain: null,        // For UI sounds (always audible when enabled)
+    orbGain: null,       // For positional sounds: orb signatures and footsteps
+    levelGains: {},      // Mixer levels per bus, after the fades so toggle and sliders don't fight
+    levels: { ambient: 1, orbs: 1, ui: 1 },
+    orbVoices: new Map(), // Orb group -> { nodes, level, panner, volume }
+    footsteps: {},       // Per figure: { panner, last, walked }
+    stepBuffer: null,    // Short noise burst shared by every step
+    listenerForward: new THREE.Vector3(),
+    listenerUp: new THREE.Vector3(),
     ambientNodes: [],
     lfoNode: null,
     enabled: false,
@@ -188,15 +204,28 @@ const AudioManager = {
             const AudioContextClass = window.AudioContext || window.webkitAudioContext;
             this.context = new AudioContextClass();
 
+            // One level per mixer slider, straight into the speakers
+            AUDIO_BUSES.forEach(bus => {
+                const level = this.context.createGain();
+                level.gain.value = this.levels[bus];
+                level.connect(this.context.destination);
+                this.levelGains[bus] = level;
+            });
+
             // Master gain for ambient soundscape (controlled by fade)
             this.masterGain = this.context.createGain();
             this.masterGain.gain.value = 0;
-            this.masterGain.connect(this.context.destination);
+            this.masterGain.connect(this.levelGains.ambient);
 
             // Separate UI gain for interaction sounds (bypasses ambient fade)
             this.uiGain = this.context.createGain();
             this.uiGain.gain.value = 0.5; // Always audible at 50%
-            this.uiGain.connect(this.context.destination);
+            this.uiGain.connect(this.levelGains.ui);
+
+            // Positional sounds fade in and out with the ambience
+            this.orbGain = this.context.createGain();
+            this.orbGain.gain.value = 0;
+            this.orbGain.connect(this.levelGains.orbs);
 
             this.initialized = true;
             console.log('Audio Manager initialized, state:', this.context.state);
@@ -210,10 +239,11 @@ const AudioManager = {
                     if (btn) {
                         btn.classList.remove('audio-btn--active');
                         const label = btn.querySelector('.audio-btn__label');
-                        if (label) label.textContent = 'Sound Off';
+                        if (label) label.textContent = VizI18n.t('common.soundOff');
                     }
                     this.enabled = false;
                     this.stopAmbientSoundscape();
+                    this.stopSpatial();
                 }
             });
         } catch (e) {
@@ -233,7 +263,7 @@ const AudioManager = {
         if (btn) {
             btn.classList.toggle('audio-btn--active', this.enabled);
             const label = btn.querySelector('.audio-btn__label');
-            if (label) label.textContent = this.enabled ? 'Sound On' : 'Sound Off';
+            if (label) label.textContent = VizI18n.t(this.enabled ? 'common.soundOn' : 'common.soundOff');
         }
 
         if (this.enabled) {
@@ -249,7 +279,7 @@ const AudioManager = {
                     if (btn) {
                         btn.classList.remove('audio-btn--active');
                         const label = btn.querySelector('.audio-btn__label');
-                        if (label) label.textContent = 'Sound Off';
+                        if (label) label.textContent = VizI18n.t('common.soundOff');
                     }
                     return;
                 }
@@ -258,10 +288,13 @@ const AudioManager = {
             // Create ambient soundscape after context is running
             this.createAmbientSoundscape();
 
-            // Fade in ambient
+            // Fade in ambient, and the orbs and footsteps with it
             this.masterGain.gain.cancelScheduledValues(this.context.currentTime);
             this.masterGain.gain.setValueAtTime(this.masterGain.gain.value, this.context.currentTime);
             this.masterGain.gain.linearRampToValueAtTime(0.12, this.context.currentTime + 2);
+            this.orbGain.gain.cancelScheduledValues(this.context.currentTime);
+            this.orbGain.gain.setValueAtTime(this.orbGain.gain.value, this.context.currentTime);
+            this.orbGain.gain.linearRampToValueAtTime(1, this.context.currentTime + 2);
 
             // Enable UI sounds
             if (this.uiGain) {
@@ -271,6 +304,8 @@ const AudioManager = {
             // Immediately mute and stop to ensure no sound plays
             this.masterGain.gain.cancelScheduledValues(this.context.currentTime);
             this.masterGain.gain.setValueAtTime(0, this.context.currentTime);
+            this.orbGain.gain.cancelScheduledValues(this.context.currentTime);
+            this.orbGain.gain.setValueAtTime(0, this.context.currentTime);
 
             // Also mute UI sounds
             if (this.uiGain) {
@@ -279,6 +314,7 @@ const AudioManager = {
 
             // Stop all nodes immediately
             this.stopAmbientSoundscape();
+            this.stopSpatial();
         }
     },
 
@@ -411,6 +447,250 @@ const AudioManager = {
         this.ambientNodes = [];
     },
 
+    // ===== Spatial sound =====
+
+    // Each frame: the listener rides with the camera, each orb's signature
+    // sits at the orb, and the figures' footsteps sound under them
+    updateSpatial() {
+        if (!this.enabled || !this.context || this.context.state !== 'running') return;
+
+        this.updateListener();
+        this.updateOrbVoices();
+        this.updateFootsteps();
+    },
+
+    createPanner() {
+        const panner = this.context.createPanner();
+        panner.panningModel = PerformanceMode.isLowFi ? 'equalpower' : 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 2;
+        panner.rolloffFactor = 1.5;
+        panner.maxDistance = 40;
+        return panner;
+    },
+
+    // Older Safari only has the deprecated setters
+    placeNode(node, x, y, z) {
+        if (node.positionX) {
+            node.positionX.value = x;
+            node.positionY.value = y;
+            node.positionZ.value = z;
+        } else {
+            node.setPosition(x, y, z);
+        }
+    },
+
+    updateListener() {
+        const listener = this.context.listener;
+        const forward = camera.getWorldDirection(this.listenerForward);
+        const up = this.listenerUp.set(0, 1, 0).applyQuaternion(camera.quaternion);
+
+        this.placeNode(listener, camera.position.x, camera.position.y, camera.position.z);
+        if (listener.forwardX) {
+            listener.forwardX.value = forward.x;
+            listener.forwardY.value = forward.y;
+            listener.forwardZ.value = forward.z;
+            listener.upX.value = up.x;
+            listener.upY.value = up.y;
+            listener.upZ.value = up.z;
+        } else {
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    },
+
+    updateOrbVoices() {
+        const orbs = unobservableObjects.concat(observableObjects);
+        orbs.forEach(group => {
+            let voice = this.orbVoices.get(group);
+            if (!voice) {
+                voice = this.createOrbVoice(group);
+                this.orbVoices.set(group, voice);
+            }
+            this.placeNode(voice.panner, group.position.x, group.position.y, group.position.z);
+
+            // Orbs the view mode hides fall silent with them
+            const volume = ORB_SIGNATURE_GAIN * Math.min(group.scale.x, 1);
+            if (Math.abs(volume - voice.volume) > 0.002) {
+                voice.volume = volume;
+                voice.level.gain.setTargetAtTime(volume, this.context.currentTime, 0.1);
+            }
+        });
+
+        // Workshop orbs can be removed while the sound is on
+        this.orbVoices.forEach((voice, group) => {
+            if (!orbs.includes(group)) {
+                this.stopVoice(voice);
+                this.orbVoices.delete(group);
+            }
+        });
+    },
+
+    // A soft sine that breathes for an unobservable; a filtered triangle with a
+    // steady digital pulse for an observable. Pitch steps up the scale by index.
+    createOrbVoice(group) {
+        const observable = !!group.userData.observable;
+        const index = group.userData.index;
+        const step = ORB_SIGNATURE_SCALE[index % ORB_SIGNATURE_SCALE.length] +
+            12 * (Math.floor(index / ORB_SIGNATURE_SCALE.length) % 2);
+
+        const osc = this.context.createOscillator();
+        const filter = this.context.createBiquadFilter();
+        const tremolo = this.context.createGain();
+        const lfo = this.context.createOscillator();
+        const lfoGain = this.context.createGain();
+        const level = this.context.createGain();
+        const panner = this.createPanner();
+
+        osc.type = observable ? 'triangle' : 'sine';
+        osc.frequency.value = (observable ? 392 : 196) * Math.pow(2, step / 12);
+        osc.detune.value = Math.random() * 6 - 3;
+
+        filter.type = 'lowpass';
+        filter.frequency.value = observable ? 1200 : 800;
+
+        lfo.type = observable ? 'square' : 'sine';
+        lfo.frequency.value = observable ? 1.5 + (index % 3) * 0.5 : 0.15 + (index % 4) * 0.05;
+        lfoGain.gain.value = observable ? 0.3 : 0.4;
+        tremolo.gain.value = 0.6;
+        lfo.connect(lfoGain);
+        lfoGain.connect(tremolo.gain);
+
+        level.gain.value = 0;
+
+        osc.connect(filter);
+        filter.connect(tremolo);
+        tremolo.connect(level);
+        level.connect(panner);
+        panner.connect(this.orbGain);
+        osc.start();
+        lfo.start();
+
+        return { nodes: [osc, lfo, filter, tremolo, lfoGain, level, panner], level, panner, volume: 0 };
+    },
+
+    stopVoice(voice) {
+        voice.nodes.forEach(node => {
+            try {
+                if (node.stop) node.stop();
+                node.disconnect();
+            } catch (e) {}
+        });
+    },
+
+    updateFootsteps() {
+        [['ai', aiRobot], ['human', humanModel]].forEach(([figure, object]) => {
+            if (!object) return;
+
+            let steps = this.footsteps[figure];
+            if (!steps) {
+                steps = { panner: this.createPanner(), last: object.position.clone(), walked: 0 };
+                steps.panner.connect(this.orbGain);
+                this.footsteps[figure] = steps;
+            }
+
+            this.placeNode(steps.panner, object.position.x, 0.05, object.position.z);
+            steps.walked += Math.hypot(object.position.x - steps.last.x, object.position.z - steps.last.z);
+            steps.last.copy(object.position);
+
+            if (steps.walked >= FOOTSTEP_STRIDE[figure]) {
+                steps.walked = 0;
+                this.playStep(figure, steps.panner);
+            }
+        });
+    },
+
+    // Human: a soft low thud. Robot: a bright servo tick with a little blip.
+    playStep(figure, panner) {
+        if (!this.stepBuffer) {
+            const length = Math.floor(this.context.sampleRate * 0.2);
+            this.stepBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const output = this.stepBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) output[i] = Math.random() * 2 - 1;
+        }
+
+        const now = this.context.currentTime;
+        const isHuman = figure === 'human';
+        const duration = isHuman ? 0.14 : 0.05;
+
+        const noise = this.context.createBufferSource();
+        noise.buffer = this.stepBuffer;
+        noise.playbackRate.value = 0.9 + Math.random() * 0.2;
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = isHuman ? 'lowpass' : 'bandpass';
+        filter.frequency.value = isHuman ? 450 : 3000;
+        filter.Q.value = isHuman ? 0.7 : 4;
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(isHuman ? 0.3 : 0.12, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(panner);
+        noise.start(now);
+        noise.stop(now + duration);
+
+        if (isHuman) return;
+
+        const blip = this.context.createOscillator();
+        const blipGain = this.context.createGain();
+        blip.type = 'sine';
+        blip.frequency.value = 1800;
+        blipGain.gain.setValueAtTime(0.03, now);
+        blipGain.gain.exponentialRampToValueAtTime(0.001, now + 0.06);
+        blip.connect(blipGain);
+        blipGain.connect(panner);
+        blip.start(now);
+        blip.stop(now + 0.06);
+    },
+
+    stopSpatial() {
+        this.orbVoices.forEach(voice => this.stopVoice(voice));
+        this.orbVoices.clear();
+        Object.values(this.footsteps).forEach(steps => { steps.walked = 0; });
+    },
+
+    // ===== Mixer (levels button beside the sound toggle) =====
+
+    setupMixer() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(AUDIO_LEVELS_KEY));
+            if (saved) {
+                AUDIO_BUSES.forEach(bus => {
+                    if (typeof saved[bus] === 'number') this.levels[bus] = Math.max(0, Math.min(1, saved[bus]));
+                });
+            }
+        } catch (e) {
+            console.warn('Could not read saved sound levels:', e);
+        }
+
+        const panel = document.getElementById('audioMixer');
+        const toggle = document.getElementById('audioMixerToggle');
+        if (!panel || !toggle) return;
+
+        AUDIO_BUSES.forEach(bus => {
+            const input = panel.querySelector(`[data-bus="${bus}"]`);
+            if (!input) return;
+            input.value = this.levels[bus];
+            input.addEventListener('input', () => this.setLevel(bus, parseFloat(input.value)));
+        });
+
+        setupPanel({ panel, openButton: toggle, focus: () => panel.querySelector('input'), toggle: true });
+    },
+
+    setLevel(bus, value) {
+        this.levels[bus] = value;
+        const level = this.levelGains[bus];
+        if (level) level.gain.setTargetAtTime(value, this.context.currentTime, 0.05);
+        try {
+            localStorage.setItem(AUDIO_LEVELS_KEY, JSON.stringify(this.levels));
+        } catch (e) {
+            // Blocked in sandboxed embeds; the levels still apply until reload
+            console.warn('Could not save sound levels:', e);
+        }
+    },
+
     // Play hover sound for an orb
     playHoverSound(orbIndex) {
         if (!this.enabled || !this.context || !this.uiGain) return;
@@ -559,68 +839,50 @@ const AudioManager = {
 // State Manager
 // ============================================================
 
-const StateManager = {
+const StateManager = Object.assign(VizState.createStore({
     // View mode: 'normal' | 'ai-view' | 'human-view'
-    mode: 'normal',
+    mode: { type: 'string', values: ['normal', 'ai-view', 'human-view'], default: 'normal', param: 'view' },
 
-    // Currently focused unobservable (null or orb id)
-    focusedOrb: null,
-
-    // Currently focused observable (null or orb id)
-    focusedObservable: null,
+    // Currently focused unobservable / observable (null or orb id).
+    // Ids never collide, so both share the ?focus= parameter.
+    focusedOrb: {
+        type: 'string', nullable: true, history: true, param: 'focus',
+        values: () => CONFIG.unobservables.map(u => u.id)
+    },
+    focusedObservable: {
+        type: 'string', nullable: true, history: true, param: 'focus',
+        values: () => CONFIG.observables.map(o => o.id)
+    },
 
     // Camera state
-    currentPreset: 'overview',
-    idleTime: 0,
-    isAutoOrbit: false,
+    currentPreset: { type: 'string', values: () => Object.keys(CAMERA_PRESETS), default: 'overview', param: 'preset' },
+    idleTime: { type: 'number', default: 0, transient: true },
+    isAutoOrbit: { type: 'boolean', default: false, transient: true },
 
     // Audio
-    audioEnabled: false,
+    audioEnabled: { type: 'boolean', default: false, transient: true },
 
     // Detail level: 'full' | 'reduced'
-    detailLevel: 'full',
-
-    // Interaction state
+    detailLevel: { type: 'string', values: ['full', 'reduced'], default: 'full', transient: true }
+}, {
+    applyHistory: applyFocusSnapshot
+}), {
+    // Interaction state (not part of the shared store - changes on every mousemove)
     lastInteractionTime: Date.now(),
 
-    // Listeners for state changes
-    listeners: [],
-
-    // Subscribe to state changes
-    subscribe(callback) {
-        this.listeners.push(callback);
-        return () => {
-            this.listeners = this.listeners.filter(l => l !== callback);
-        };
-    },
-
-    // Notify all listeners
-    notify(key, value) {
-        this.listeners.forEach(callback => callback(key, value));
-    },
+    // Orb ids each figure perceives right now (see Perception) - sets, which the store can't hold
+    perceived: { ai: new Set(), human: new Set() },
 
-    // Set mode with notification
     setMode(mode) {
-        if (this.mode !== mode) {
-            this.mode = mode;
-            this.notify('mode', mode);
-        }
+        this.set('mode', mode);
     },
 
-    // Set focused orb with notification
     setFocusedOrb(orbId) {
-        if (this.focusedOrb !== orbId) {
-            this.focusedOrb = orbId;
-            this.notify('focusedOrb', orbId);
-        }
+        this.set('focusedOrb', orbId);
     },
 
-    // Set focused observable with notification
     setFocusedObservable(orbId) {
-        if (this.focusedObservable !== orbId) {
-            this.focusedObservable = orbId;
-            this.notify('focusedObservable', orbId);
-        }
+        this.set('focusedObservable', orbId);
     },
 
     // Record user interaction (resets idle timer)
@@ -628,7 +890,6 @@ const StateManager = {
         this.lastInteractionTime = Date.now();
         if (this.isAutoOrbit) {
             this.isAutoOrbit = false;
-            this.notify('isAutoOrbit', false);
         }
     },
 
@@ -639,12 +900,20 @@ const StateManager = {
 
     // Set camera preset
     setPreset(presetName) {
-        if (this.currentPreset !== presetName) {
-            this.currentPreset = presetName;
-            this.notify('currentPreset', presetName);
-        }
+        this.set('currentPreset', presetName);
     }
-};
+});
+
+// Undo/redo target: drive the scene so camera, panel and dimming follow
+function applyFocusSnapshot(snapshot) {
+    if (snapshot.focusedOrb) {
+        focusOnOrb(snapshot.focusedOrb);
+    } else if (snapshot.focusedObservable) {
+        focusOnObservable(snapshot.focusedObservable);
+    } else {
+        exitFocus();
+    }
+}
 
 // ============================================================
 // Camera Presets
@@ -680,12 +949,15 @@ function setViewMode(mode) {
 
     if (mode === 'normal') {
         document.getElementById('viewNormal')?.classList.add('view-btn--active');
+        FirstPerson.exit();
         transitionToPreset('overview', 1.5);
     } else if (mode === 'ai-view') {
         document.getElementById('viewAI')?.classList.add('view-btn--active');
+        FirstPerson.enter('ai');
         transitionToPreset('ai', 1.5);
     } else if (mode === 'human-view') {
         document.getElementById('viewHuman')?.classList.add('view-btn--active');
+        FirstPerson.enter('human');
         transitionToPreset('human', 1.5);
     }
 
@@ -773,6 +1045,14 @@ function transitionToPreset(presetName, duration = 1.5) {
     StateManager.setPreset(presetName);
     StateManager.recordInteraction();
 
+    // The head camera holds the view until the reader returns to the overview
+    if (FirstPerson.active) return;
+
+    if (VizMotion.reduced) {
+        jumpCamera(preset.position, preset.target);
+        return;
+    }
+
     gsap.to(camera.position, {
         x: preset.position.x,
         y: preset.position.y,
@@ -798,6 +1078,13 @@ function transitionToPosition(position, target, duration = 1.2) {
 
     StateManager.recordInteraction();
 
+    if (FirstPerson.active) return;
+
+    if (VizMotion.reduced) {
+        jumpCamera(position, target);
+        return;
+    }
+
     gsap.to(camera.position, {
         x: position.x,
         y: position.y,
@@ -818,6 +1105,18 @@ function transitionToPosition(position, target, duration = 1.2) {
     });
 }
 
+// Reduced motion: fade to the new viewpoint instead of flying there
+function jumpCamera(position, target) {
+    gsap.killTweensOf(camera.position);
+    gsap.killTweensOf(controls.target);
+
+    VizMotion.crossfade(() => {
+        camera.position.set(position.x, position.y, position.z);
+        controls.target.set(target.x, target.y, target.z);
+        controls.update();
+    });
+}
+
 // ============================================================
 // Focus System
 // ============================================================
@@ -921,9 +1220,14 @@ function setSceneDimming(dimmed, exceptUnobservableId, exceptObservableId) {
     const dimOpacity = 0.3;
     const normalOpacity = 1.0;
 
+    // The kept orbs' partners stay lit at the far end of their bridges
+    const partners = pairsFor(exceptUnobservableId).concat(pairsFor(exceptObservableId));
+    const exceptUnobservables = [exceptUnobservableId].concat(partners.map(pair => pair.unobservable));
+    const exceptObservables = [exceptObservableId].concat(partners.map(pair => pair.observable));
+
     // Dim/restore unobservable orbs
     unobservableObjects.forEach(group => {
-        const isException = group.userData.unobservable.id === exceptUnobservableId;
+        const isException = exceptUnobservables.includes(group.userData.unobservable.id);
         const targetOpacity = dimmed && !isException ? dimOpacity : normalOpacity;
 
         group.children.forEach(child => {
@@ -938,7 +1242,7 @@ function setSceneDimming(dimmed, exceptUnobservableId, exceptObservableId) {
 
     // Dim/restore observable orbs
     observableObjects.forEach(group => {
-        const isException = group.userData.observable.id === exceptObservableId;
+        const isException = exceptObservables.includes(group.userData.observable.id);
         const targetOpacity = dimmed && !isException ? dimOpacity : normalOpacity;
 
         group.children.forEach(child => {
@@ -971,6 +1275,7 @@ function showDetailPanel(orbData, isObservable = false) {
     symbol.textContent = orbData.symbol;
     title.textContent = orbData.title;
     description.textContent = orbData.description;
+    renderDetailPairs(orbData, isObservable);
 
     // Apply observable styling if needed
     if (isObservable) {
@@ -982,6 +1287,53 @@ function showDetailPanel(orbData, isObservable = false) {
     panel.classList.add('visible');
 }
 
+// What each observable partner captures and misses; the partner's name focuses it
+function renderDetailPairs(orbData, isObservable) {
+    const container = document.getElementById('detailPairs');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const pairs = pairsFor(orbData.id);
+    container.hidden = pairs.length === 0;
+    if (!pairs.length) return;
+
+    const heading = document.createElement('h3');
+    heading.className = 'detail-pairs__heading';
+    heading.textContent = VizI18n.t(isObservable ? 'complementarity.pairs.shadowOf' : 'complementarity.pairs.shadows');
+    container.appendChild(heading);
+
+    pairs.forEach(pair => {
+        const partnerId = isObservable ? pair.unobservable : pair.observable;
+        const partner = (isObservable ? CONFIG.unobservables : CONFIG.observables).find(orb => orb.id === partnerId);
+        if (!partner) return;
+
+        const item = document.createElement('div');
+        item.className = 'detail-pairs__item';
+
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = `detail-pairs__partner detail-pairs__partner--${isObservable ? 'unobservable' : 'observable'}`;
+        link.textContent = `${partner.symbol} ${partner.title}`;
+        link.setAttribute('aria-label', VizI18n.t('complementarity.pairs.focus', { name: partner.title }));
+        link.addEventListener('click', () => {
+            if (isObservable) focusOnOrb(partnerId); else focusOnObservable(partnerId);
+        });
+        item.appendChild(link);
+
+        [['captures', pair.captures], ['misses', pair.misses]].forEach(([key, text]) => {
+            const line = document.createElement('p');
+            line.className = `detail-pairs__${key}`;
+            const label = document.createElement('span');
+            label.className = 'detail-pairs__label';
+            label.textContent = VizI18n.t(`complementarity.pairs.${key}`);
+            line.append(label, ' ', text);
+            item.appendChild(line);
+        });
+
+        container.appendChild(item);
+    });
+}
+
 function hideDetailPanel() {
     const panel = document.getElementById('detailPanel');
     if (panel) {
@@ -1141,12 +1493,14 @@ let observableConnectionLine = null; // For observable hover connection lines
 let time = 0;
 let mouse = { x: 0, y: 0 };
 let mouseClient = { x: 0, y: 0 };
+let pointerOverUi = false; // Over a SCENE_UI_SELECTOR panel; orbs behind it don't hover
 let hoveredUnobservable = null;
 let hoveredObservable = null;
 let unobservableObjects = [];
 let observableObjects = [];
 let labelElements = [];
 let lightCone, humanGlow, aiEye, humanArm, humanBody;
+let streetLamp, lightPool; // Moved and scaled by LightControls
 let aiRobot = null; // Robot group for movement
 let aiWheels = []; // Wheel meshes for rotation animation
 let aiShield = null; // Legacy - removed from new design
@@ -1162,6 +1516,7 @@ let aiRobotState = {
     turnDuration: 0.6, // Dynamic based on angle
     moveDuration: 3,
     startPos: { x: -2, z: 0 },
+    path: null, // CatmullRomCurve3 from Navigation.findPath, walked while 'moving'
     // Head rotation tracking for smooth interpolation
     startHeadAngle: 0,
     targetHeadAngle: 0,
@@ -1171,10 +1526,11 @@ let aiRobotState = {
 // ============================================================
 // Meeting System - AI and Human converge to exchange information
 // ============================================================
-const MEETING_POINT = { x: 0.8, z: 0 }; // Intersection between AI and human zones
+const MEETING_POINT = { x: 0.8, z: 0 }; // Intersection between AI and human zones; fallback meeting spot
+const MEETING_ORB_GAP = 0.7; // How far the human stands from the orb under discussion
+const DISCUSSED_EFFECT_SPEED = 2.5; // The discussed orb's effect runs this much faster
 const MEETING_INTERVAL_MIN = 25; // Minimum seconds between meetings
 const MEETING_INTERVAL_MAX = 45; // Maximum seconds between meetings
-const MEETING_TALK_DURATION = 14; // How long they "talk" when meeting (6 messages × ~2s each + buffer)
 const MEETING_LINGER_DURATION = 1.8; // Shared moment after conversation before parting
 
 let meetingState = {
@@ -1182,99 +1538,32 @@ let meetingState = {
     phase: 'idle', // 'idle', 'ai_walking', 'human_walking', 'facing', 'talking', 'lingering'
     timer: 0,
     lingerTimer: 0, // Timer for the lingering phase
+    aiSpot: null, // Where each figure stands to talk (see meetingSpotsFor)
+    humanSpot: null,
     nextMeetingIn: 12, // Start with a meeting after 12 seconds
     aiAtMeetingPoint: false,
     humanAtMeetingPoint: false,
-    conversationIndex: 0, // Which message in the conversation
-    lastTooltipTime: 0 // When the last tooltip was shown
+    dialogueNode: null, // Line on screen
+    lineShownAt: 0, // meetingState.timer when it appeared
+    awaitingChoice: false // Reader choices are up; the exchange waits for one
 };
 
-// 8 Thematic Conversation Sets - Each illustrates a different Unobservable
+// Thematic dialogue graphs, one per unobservable (content.json "conversations").
+// Each node is a line with a speaker. `next` names the following node;
+// `choices` let the reader pick where it goes instead, and `branches` send it
+// elsewhere when the reader last focused a given orb. A node with none of
+// these ends the exchange.
 // Tone: Collaborative discovery, not debate. Ending with synthesis.
-const CONVERSATION_SETS = [
-    // 1. INTUITION - Sensing beyond the data
-    [
-        { speaker: 'ai', text: 'The metrics look strong.' },
-        { speaker: 'human', text: 'And there is something else...' },
-        { speaker: 'ai', text: 'What do you perceive?' },
-        { speaker: 'human', text: 'A hesitation in the room.' },
-        { speaker: 'ai', text: 'That is beyond my sensors.' },
-        { speaker: 'human', text: 'Together, we catch both.' }
-    ],
-
-    // 2. PHYSICAL PRESENCE - What being there adds
-    [
-        { speaker: 'ai', text: 'I have the meeting notes.' },
-        { speaker: 'human', text: 'The handshake mattered too.' },
-        { speaker: 'ai', text: 'Tell me what happened.' },
-        { speaker: 'human', text: 'Trust began in that moment.' },
-        { speaker: 'ai', text: 'Presence adds meaning.' },
-        { speaker: 'human', text: 'Data and being. Both matter.' }
-    ],
-
-    // 3. READING THE ROOM - Noticing what faces reveal
-    [
-        { speaker: 'ai', text: 'Everyone signed off.' },
-        { speaker: 'human', text: 'I noticed their expressions.' },
-        { speaker: 'ai', text: 'What did you see?' },
-        { speaker: 'human', text: 'Concern beneath the nods.' },
-        { speaker: 'ai', text: 'That changes the picture.' },
-        { speaker: 'human', text: 'We see more together.' }
-    ],
-
-    // 4. RELATIONSHIP CAPITAL - The weight of history
-    [
-        { speaker: 'ai', text: 'This vendor scores highest.' },
-        { speaker: 'human', text: 'We have history with another.' },
-        { speaker: 'ai', text: 'How long together?' },
-        { speaker: 'human', text: 'Fifteen years of trust.' },
-        { speaker: 'ai', text: 'That holds real weight.' },
-        { speaker: 'human', text: 'Some things take time to build.' }
-    ],
-
-    // 5. INSTITUTIONAL MEMORY - Learning from unwritten history
-    [
-        { speaker: 'ai', text: 'This approach seems new.' },
-        { speaker: 'human', text: 'We tried it once before.' },
-        { speaker: 'ai', text: 'There is no record of that.' },
-        { speaker: 'human', text: 'I was there. It almost worked.' },
-        { speaker: 'ai', text: 'What did you learn?' },
-        { speaker: 'human', text: 'The timing was wrong. Not the idea.' }
-    ],
-
-    // 6. CONTEXTUAL MEANING - Reading between the lines
-    [
-        { speaker: 'ai', text: 'They replied "sounds good."' },
-        { speaker: 'human', text: 'I know how they write.' },
-        { speaker: 'ai', text: 'What does that tell you?' },
-        { speaker: 'human', text: 'They have reservations.' },
-        { speaker: 'ai', text: 'The subtext matters.' },
-        { speaker: 'human', text: 'Words carry more than words.' }
-    ],
-
-    // 7. TIMING & RHYTHM - Sensing the right moment
-    [
-        { speaker: 'ai', text: 'The proposal is ready.' },
-        { speaker: 'human', text: 'Thursday would be better.' },
-        { speaker: 'ai', text: 'Why wait?' },
-        { speaker: 'human', text: 'They need space to settle.' },
-        { speaker: 'ai', text: 'Timing is its own wisdom.' },
-        { speaker: 'human', text: 'Some things need their moment.' }
-    ],
-
-    // 8. WHAT'S NOT SAID - Hearing the silences
-    [
-        { speaker: 'ai', text: 'The transcript is complete.' },
-        { speaker: 'human', text: 'The pauses were telling.' },
-        { speaker: 'ai', text: 'What did they reveal?' },
-        { speaker: 'human', text: 'Doubt. And something unspoken.' },
-        { speaker: 'ai', text: 'Silence carries meaning.' },
-        { speaker: 'human', text: 'You see the words. I hear the rest.' }
-    ]
-];
+const CONVERSATION_SETS = [];
 
 // Current conversation selected for the active meeting
-let currentConversation = CONVERSATION_SETS[0];
+let currentConversation = null;
+
+const DIALOGUE_LINE_INTERVAL = 2.0; // Seconds each line stays up before the next
+const DIALOGUE_CHOICE_TIMEOUT = 12; // Unanswered choices take the first option, so the figures move on
+
+// Last orb the reader focused (either kind), for dialogue branches
+let lastFocusedOrbId = null;
 
 // Simple sequential cycle: 1 → 2 → 3 → 4 → 5 → 6 → 7 → 8 → 1 → 2...
 let conversationIndex = 0;
@@ -1286,9 +1575,141 @@ function selectRandomConversation() {
     return currentConversation;
 }
 
+// Cross-references the schema can't check: the topic and observable must be
+// orbs in content.json and one of its pairs, every next must name a node in
+// the same conversation, every branch must name an orb, and no path may loop
+// back on itself (the figures would talk forever)
+function conversationErrors(content) {
+    const errors = [];
+    const orbIds = content.unobservables.concat(content.observables).map(orb => orb.id);
+    content.conversations.forEach((conversation, c) => {
+        if (!content.unobservables.some(u => u.id === conversation.topic)) {
+            errors.push(`conversations[${c}].topic "${conversation.topic}" is not an unobservable`);
+        }
+        if (!content.observables.some(o => o.id === conversation.observable)) {
+            errors.push(`conversations[${c}].observable "${conversation.observable}" is not an observable`);
+        }
+        if (!content.pairs.some(pair => pair.unobservable === conversation.topic && pair.observable === conversation.observable)) {
+            errors.push(`conversations[${c}] pairs ${conversation.topic} with ${conversation.observable}, which is not in pairs`);
+        }
+
+        const ids = conversation.nodes.map(node => node.id);
+        const check = (target, path) => {
+            if (!ids.includes(target)) errors.push(`${path} "${target}" is not a node in this conversation`);
+        };
+        conversation.nodes.forEach((node, n) => {
+            const path = `conversations[${c}].nodes[${n}]`;
+            if (node.next !== undefined) check(node.next, `${path}.next`);
+            (node.choices || []).forEach((choice, i) => check(choice.next, `${path}.choices[${i}].next`));
+            (node.branches || []).forEach((branch, i) => {
+                check(branch.next, `${path}.branches[${i}].next`);
+                if (!orbIds.includes(branch.focused)) {
+                    errors.push(`${path}.branches[${i}].focused "${branch.focused}" is not an orb`);
+                }
+            });
+        });
+
+        // Depth-first over every way on: 'open' while a node is on the current path
+        const visits = {};
+        let loopsTo = null;
+        const targets = node => [node.next]
+            .concat((node.choices || []).map(choice => choice.next), (node.branches || []).map(branch => branch.next))
+            .filter(id => ids.includes(id));
+        const loopsFrom = id => {
+            if (visits[id] === 'open') {
+                loopsTo = id;
+                return true;
+            }
+            if (visits[id] === 'done') return false;
+            visits[id] = 'open';
+            const loops = targets(conversation.nodes.find(node => node.id === id)).some(loopsFrom);
+            visits[id] = 'done';
+            return loops;
+        };
+        if (ids.some(loopsFrom)) {
+            errors.push(`conversations[${c}] loops back to node "${loopsTo}", so it never ends`);
+        }
+    });
+    return errors;
+}
+
+// Where the pair stands to talk about a topic: in line between its orb and the
+// lamp, the human nearer the orb, the AI a step further towards the lamp
+function meetingSpotsFor(topic) {
+    const orb = CONFIG.unobservables.find(u => u.id === topic);
+    if (!orb) {
+        return {
+            ai: { x: MEETING_POINT.x - 0.5, z: MEETING_POINT.z },
+            human: { x: MEETING_POINT.x + 0.5, z: MEETING_POINT.z }
+        };
+    }
+
+    const dx = LIGHT_CONE.x - orb.position.x;
+    const dz = LIGHT_CONE.z - orb.position.z;
+    const length = Math.hypot(dx, dz);
+    const spotAt = distance => ({
+        x: orb.position.x + (dx / length) * distance,
+        z: orb.position.z + (dz / length) * distance
+    });
+    return { human: spotAt(MEETING_ORB_GAP), ai: spotAt(MEETING_ORB_GAP + 1) };
+}
+
+// Topic orb while the pair talks about it and lingers after, else null
+function discussedTopic() {
+    const talking = meetingState.phase === 'talking' || meetingState.phase === 'lingering';
+    return talking && currentConversation ? currentConversation.topic : null;
+}
+
+function findDialogueNode(id) {
+    return currentConversation.nodes.find(node => node.id === id);
+}
+
+function showDialogueNode(node) {
+    meetingState.dialogueNode = node;
+    meetingState.lineShownAt = meetingState.timer;
+    showTooltip(node.speaker, node.text);
+}
+
+// Runs each frame of the talking phase; returns false once the exchange is over
+function advanceDialogue() {
+    const node = meetingState.dialogueNode;
+    if (!node) {
+        showDialogueNode(currentConversation.nodes[0]);
+        return true;
+    }
+
+    const shownFor = meetingState.timer - meetingState.lineShownAt;
+    if (meetingState.awaitingChoice) {
+        if (shownFor >= DIALOGUE_LINE_INTERVAL + DIALOGUE_CHOICE_TIMEOUT) chooseDialogueReply(0);
+        return true;
+    }
+    if (shownFor < DIALOGUE_LINE_INTERVAL) return true;
+
+    if (node.choices) {
+        meetingState.awaitingChoice = true;
+        showDialogueChoices(node.choices);
+        return true;
+    }
+
+    const branch = (node.branches || []).find(b => b.focused === lastFocusedOrbId);
+    const nextId = branch ? branch.next : node.next;
+    if (!nextId) return false;
+    showDialogueNode(findDialogueNode(nextId));
+    return true;
+}
+
+function chooseDialogueReply(index) {
+    if (!meetingState.awaitingChoice) return;
+    const choice = meetingState.dialogueNode.choices[index];
+    meetingState.awaitingChoice = false;
+    hideDialogueChoices();
+    showDialogueNode(findDialogueNode(choice.next));
+}
+
 // Tooltip DOM elements
 let aiTooltip = null;
 let humanTooltip = null;
+let dialogueChoices = null;
 
 function createConversationTooltips() {
     // AI tooltip
@@ -1336,6 +1757,42 @@ function createConversationTooltips() {
         z-index: 1000;
     `;
     document.body.appendChild(humanTooltip);
+
+    // Reader choices, between the two figures
+    dialogueChoices = document.createElement('div');
+    dialogueChoices.className = 'conversation-choices';
+    dialogueChoices.setAttribute('role', 'group');
+    dialogueChoices.setAttribute('aria-label', VizI18n.t('complementarity.dialogue.choose'));
+    dialogueChoices.hidden = true;
+    document.body.appendChild(dialogueChoices);
+}
+
+function showDialogueChoices(choices) {
+    if (!dialogueChoices || !camera) return;
+
+    dialogueChoices.innerHTML = '';
+    choices.forEach((choice, i) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'conversation-choice';
+        button.textContent = choice.text;
+        button.addEventListener('click', () => chooseDialogueReply(i));
+        dialogueChoices.appendChild(button);
+    });
+
+    // Below the pair, so the speech tooltips above stay clear
+    const pos = new THREE.Vector3(
+        (aiRobotState.currentPos.x + humanState.currentPos.x) / 2,
+        0,
+        (aiRobotState.currentPos.z + humanState.currentPos.z) / 2
+    ).project(camera);
+    dialogueChoices.style.left = `${(pos.x * 0.5 + 0.5) * window.innerWidth}px`;
+    dialogueChoices.style.top = `${(-pos.y * 0.5 + 0.5) * window.innerHeight + 20}px`;
+    dialogueChoices.hidden = false;
+}
+
+function hideDialogueChoices() {
+    if (dialogueChoices) dialogueChoices.hidden = true;
 }
 
 function showTooltip(speaker, text) {
@@ -1398,6 +1855,8 @@ function isNearTarget(current, target, threshold = 0.15) {
 function updateMeetingState(deltaTime) {
     // Count down to next meeting when idle
     if (!meetingState.active) {
+        // No new meetings in reduced motion; the figures stay where they are
+        if (VizMotion.reduced) return;
         meetingState.nextMeetingIn -= deltaTime;
         if (meetingState.nextMeetingIn <= 0) {
             // Start meeting - interrupt current patrol
@@ -1407,38 +1866,33 @@ function updateMeetingState(deltaTime) {
             meetingState.aiAtMeetingPoint = false;
             meetingState.humanAtMeetingPoint = false;
 
-            // Select a random conversation for this meeting
+            // Select a random conversation for this meeting; they meet by its orb
             selectRandomConversation();
+            const spots = meetingSpotsFor(currentConversation.topic);
+            meetingState.aiSpot = spots.ai;
+            meetingState.humanSpot = spots.human;
 
             // Consistent movement speeds for natural pacing
             const AI_MOVE_SPEED = 0.5; // Comfortable pace
             const HUMAN_MOVE_SPEED = 0.5; // Comfortable pace
 
-            // Send AI to meeting point
-            const aiTarget = { x: MEETING_POINT.x - 0.5, z: MEETING_POINT.z };
-            aiRobotState.startPos = { ...aiRobotState.currentPos };
-            aiRobotState.targetPos = aiTarget;
-            const aiDx = aiTarget.x - aiRobotState.currentPos.x;
-            const aiDz = aiTarget.z - aiRobotState.currentPos.z;
-            const aiDist = Math.sqrt(aiDx * aiDx + aiDz * aiDz);
+            // Send AI to meeting point (where its path ends, if the spot is blocked)
+            const aiRoute = planRoute(aiRobotState, meetingState.aiSpot, NAV_REGIONS.meeting);
+            meetingState.aiSpot = aiRobotState.targetPos;
             aiRobotState.startHeadAngle = aiRobotState.currentHeadAngle;
-            aiRobotState.targetHeadAngle = Math.atan2(aiDx, aiDz);
+            aiRobotState.targetHeadAngle = aiRoute.heading ?? aiRobotState.currentHeadAngle;
             aiRobotState.turnDuration = 0.5;
-            aiRobotState.moveDuration = aiDist / AI_MOVE_SPEED;
+            aiRobotState.moveDuration = aiRoute.length / AI_MOVE_SPEED;
             aiRobotState.phase = 'turning';
             aiRobotState.phaseTimer = 0;
 
             // Send human to meeting point
-            const humanTarget = { x: MEETING_POINT.x + 0.5, z: MEETING_POINT.z };
-            humanState.startPos = { ...humanState.currentPos };
-            humanState.targetPos = humanTarget;
-            const humanDx = humanTarget.x - humanState.currentPos.x;
-            const humanDz = humanTarget.z - humanState.currentPos.z;
-            const humanDist = Math.sqrt(humanDx * humanDx + humanDz * humanDz);
+            const humanRoute = planRoute(humanState, meetingState.humanSpot, NAV_REGIONS.meeting);
+            meetingState.humanSpot = humanState.targetPos;
             humanState.startAngle = humanState.currentAngle;
-            humanState.targetAngle = Math.atan2(humanDx, humanDz);
+            humanState.targetAngle = humanRoute.heading ?? humanState.currentAngle;
             humanState.turnDuration = 0.5;
-            humanState.moveDuration = humanDist / HUMAN_MOVE_SPEED;
+            humanState.moveDuration = humanRoute.length / HUMAN_MOVE_SPEED;
             humanState.phase = 'turning';
             humanState.phaseTimer = 0;
         }
@@ -1452,7 +1906,7 @@ function updateMeetingState(deltaTime) {
     if (meetingState.phase === 'ai_walking' || meetingState.phase === 'human_walking') {
         // Check if AI arrived
         if (!meetingState.aiAtMeetingPoint) {
-            const aiTarget = { x: MEETING_POINT.x - 0.5, z: MEETING_POINT.z };
+            const aiTarget = meetingState.aiSpot;
             if (isNearTarget(aiRobotState.currentPos, aiTarget) && aiRobotState.phase === 'paused') {
                 meetingState.aiAtMeetingPoint = true;
             }
@@ -1460,7 +1914,7 @@ function updateMeetingState(deltaTime) {
 
         // Check if human arrived
         if (!meetingState.humanAtMeetingPoint) {
-            const humanTarget = { x: MEETING_POINT.x + 0.5, z: MEETING_POINT.z };
+            const humanTarget = meetingState.humanSpot;
             if (isNearTarget(humanState.currentPos, humanTarget) && humanState.phase === 'paused') {
                 meetingState.humanAtMeetingPoint = true;
             }
@@ -1479,8 +1933,7 @@ function updateMeetingState(deltaTime) {
             );
             aiRobotState.startHeadAngle = aiRobotState.currentHeadAngle;
             aiRobotState.targetHeadAngle = aiToHumanAngle;
-            aiRobotState.startPos = { ...aiRobotState.currentPos };
-            aiRobotState.targetPos = { ...aiRobotState.currentPos }; // Don't move
+            aiRobotState.path = null; // Don't move
             aiRobotState.turnDuration = 0.5;
             aiRobotState.moveDuration = 0.1; // Minimal
             aiRobotState.phase = 'turning';
@@ -1493,8 +1946,7 @@ function updateMeetingState(deltaTime) {
             );
             humanState.startAngle = humanState.currentAngle;
             humanState.targetAngle = humanToAiAngle;
-            humanState.startPos = { ...humanState.currentPos };
-            humanState.targetPos = { ...humanState.currentPos }; // Don't move
+            humanState.path = null; // Don't move
             humanState.turnDuration = 0.5;
             humanState.moveDuration = 0.1; // Minimal
             humanState.phase = 'turning';
@@ -1527,21 +1979,11 @@ function updateMeetingState(deltaTime) {
         humanState.pauseDuration = 99; // Don't auto-resume
 
         // === CONVERSATION TOOLTIPS ===
-        // Show alternating messages with enough time to read each one
-        const TOOLTIP_INTERVAL = 2.0; // Seconds between messages
-        const timeSinceLastTooltip = meetingState.timer - meetingState.lastTooltipTime;
-
-        if (timeSinceLastTooltip >= TOOLTIP_INTERVAL && meetingState.conversationIndex < currentConversation.length) {
-            const message = currentConversation[meetingState.conversationIndex];
-            showTooltip(message.speaker, message.text);
-            meetingState.lastTooltipTime = meetingState.timer;
-            meetingState.conversationIndex++;
-        }
+        // One line at a time, each up long enough to read; waits on reader choices
+        const talking = advanceDialogue();
 
         // Subtle head movements - speaker nods more actively
-        const currentSpeaker = meetingState.conversationIndex > 0
-            ? currentConversation[meetingState.conversationIndex - 1].speaker
-            : 'ai';
+        const currentSpeaker = meetingState.dialogueNode ? meetingState.dialogueNode.speaker : 'ai';
 
         // AI inner head nods (more when speaking)
         if (aiInnerHead) {
@@ -1553,14 +1995,12 @@ function updateMeetingState(deltaTime) {
         }
 
         // Human head nods (more when speaking)
-        if (humanHead) {
-            const baseNod = Math.sin(meetingState.timer * 4 + 0.8) * 0.08;
-            const speakerBoost = currentSpeaker === 'human' ? 1.5 : 0.7;
-            humanHead.rotation.x = baseNod * speakerBoost;
-        }
+        const humanBaseNod = Math.sin(meetingState.timer * 4 + 0.8) * 0.08;
+        humanHeadNod = humanBaseNod * (currentSpeaker === 'human' ? 1.5 : 0.7);
+        if (humanHead) humanHead.rotation.x = humanHeadNod;
 
         // Done talking - transition to lingering
-        if (meetingState.timer >= MEETING_TALK_DURATION) {
+        if (!talking) {
             hideAllTooltips();
             meetingState.phase = 'lingering';
             meetingState.lingerTimer = 0;
@@ -1587,16 +2027,15 @@ function updateMeetingState(deltaTime) {
             aiInnerHead.rotation.x = nodCurve * 0.15; // Deeper, slower nod
             aiInnerHead.rotation.z = 0;
         }
-        if (humanHead) {
-            humanHead.rotation.x = nodCurve * 0.12; // Matching nod
-        }
+        humanHeadNod = nodCurve * 0.12; // Matching nod
+        if (humanHead) humanHead.rotation.x = humanHeadNod;
 
         // End of lingering - release back to patrol
         if (meetingState.lingerTimer >= MEETING_LINGER_DURATION) {
             meetingState.active = false;
             meetingState.phase = 'idle';
-            meetingState.conversationIndex = 0;
-            meetingState.lastTooltipTime = 0;
+            meetingState.dialogueNode = null;
+            meetingState.awaitingChoice = false;
             meetingState.lingerTimer = 0;
             meetingState.nextMeetingIn = MEETING_INTERVAL_MIN +
                 Math.random() * (MEETING_INTERVAL_MAX - MEETING_INTERVAL_MIN);
@@ -1612,6 +2051,7 @@ function updateMeetingState(deltaTime) {
             humanState.phaseTimer = 0;
 
             // Reset head rotations
+            humanHeadNod = 0;
             if (humanHead) humanHead.rotation.x = 0;
             if (aiInnerHead) {
                 aiInnerHead.rotation.x = 0;
@@ -1656,6 +2096,7 @@ function init() {
         renderer = new THREE.WebGLRenderer({
             canvas: canvas,
             antialias: true,
+            alpha: true, // Needed for transparent snapshot exports
         });
         renderer.setSize(window.innerWidth, window.innerHeight);
         renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -1699,14 +2140,47 @@ function init() {
         createSceneLabels();
         createConstellationLines();
         createObservableConstellationLines();
+        createTopicLink();
         createConversationTooltips(); // For AI-Human meeting dialogue
 
         // Events
         setupEvents();
 
+        // Saved sound levels and the mixer panel (audio itself starts on the first toggle)
+        AudioManager.setupMixer();
+
         // Apply performance optimizations
         PerformanceMode.apply();
 
+        // Perception rings, sets and timeline; the head cameras and their HUD
+        Perception.setup();
+        FirstPerson.setup();
+
+        // Expose commands to a host page when embedded
+        setupEmbedBridge();
+
+        // Screen-reader list of the orbs, kept in step with focus
+        setupSceneMirror();
+
+        // Arrow keys, Enter, Esc, 1-3 and the ? overlay
+        setupKeyboard();
+
+        // Scripted clips when opened with ?record=<script>
+        setupRecorder();
+
+        // Restore deep-linked view/focus, then keep the URL in sync
+        restoreUrlState();
+        StateManager.subscribe(syncUrlState);
+
+        // Dialogue branches follow the last orb the reader focused
+        StateManager.subscribe('focusedOrb', id => { if (id) lastFocusedOrbId = id; });
+        StateManager.subscribe('focusedObservable', id => { if (id) lastFocusedOrbId = id; });
+
+        // Bridges to the focused orb's pairs
+        const syncPairBridges = () => showPairBridges(StateManager.focusedOrb || StateManager.focusedObservable);
+        StateManager.subscribe('focusedOrb', syncPairBridges);
+        StateManager.subscribe('focusedObservable', syncPairBridges);
+
         // Start animation
         animate();
 
@@ -1805,8 +2279,9 @@ function createStreetLamp() {
     pointLight.position.set(1, 3.3, 0);
     lampGroup.add(pointLight);
 
-    lampGroup.position.set(-3, 0, 0);
+    lampGroup.position.set(LAMP_POLE_POS.x, 0, LAMP_POLE_POS.z);
     scene.add(lampGroup);
+    streetLamp = lampGroup;
 
     // Light cone visual
     createLightCone();
@@ -1814,11 +2289,18 @@ function createStreetLamp() {
     console.log('Street lamp created');
 }
 
+// Cone starts at lamp bulb and expands DOWN to ground
+// Lamp bulb is at world position (-2, 3.35, 0)
+const LIGHT_CONE = { x: -2, z: 0, height: 3.35, radius: 3.5 };
+
+// Radius of the cone where it crosses height y
+function lightConeRadiusAt(y) {
+    return LIGHT_CONE.radius * (1 - y / LIGHT_CONE.height);
+}
+
 function createLightCone() {
-    // Cone starts at lamp bulb and expands DOWN to ground
-    // Lamp bulb is at world position (-2, 3.35, 0)
-    const coneHeight = 3.35;
-    const coneRadius = 3.5;
+    const coneHeight = LIGHT_CONE.height;
+    const coneRadius = LIGHT_CONE.radius;
 
     const coneGeom = new THREE.ConeGeometry(coneRadius, coneHeight, 32, 1, true);
     const coneMat = new THREE.MeshBasicMaterial({
@@ -1832,7 +2314,7 @@ function createLightCone() {
     lightCone = new THREE.Mesh(coneGeom, coneMat);
     // Position so tip is at bulb (y=3.35) and base is at ground (y=0)
     // Cone center needs to be at y = coneHeight/2
-    lightCone.position.set(-2, coneHeight / 2, 0);
+    lightCone.position.set(LIGHT_CONE.x, coneHeight / 2, LIGHT_CONE.z);
     // No rotation needed - cone tip points UP by default, which is towards lamp
     scene.add(lightCone);
 
@@ -1843,10 +2325,10 @@ function createLightCone() {
         transparent: true,
         opacity: 0.2,
     });
-    const circle = new THREE.Mesh(circleGeom, circleMat);
-    circle.rotation.x = -Math.PI / 2;
-    circle.position.set(-2, 0.02, 0);
-    scene.add(circle);
+    lightPool = new THREE.Mesh(circleGeom, circleMat);
+    lightPool.rotation.x = -Math.PI / 2;
+    lightPool.position.set(LIGHT_CONE.x, 0.02, LIGHT_CONE.z);
+    scene.add(lightPool);
 
     // Create dust particles in light beam
     createDustParticles();
@@ -1864,11 +2346,10 @@ function createDustParticles() {
     const positions = new Float32Array(count * 3);
     dustVelocities = [];
 
-    // Light cone parameters: center at (-2, 0, 0), radius 3.5 at ground, height 3.35
-    // Lamp bulb is at top (y = 3.35), cone spreads down to ground (y = 0)
-    const coneCenter = new THREE.Vector3(-2, 0, 0);
-    const coneRadius = 3.5;
-    const coneHeight = 3.35;
+    // Lamp bulb is at top of the cone, which spreads down to ground (y = 0)
+    const coneCenter = new THREE.Vector3(LIGHT_CONE.x, 0, LIGHT_CONE.z);
+    const coneRadius = LIGHT_CONE.radius;
+    const coneHeight = LIGHT_CONE.height;
 
     for (let i = 0; i < count; i++) {
         // Random position within cone (start scattered throughout)
@@ -1909,12 +2390,13 @@ function createDustParticles() {
 }
 
 function updateDustParticles() {
-    if (!dustParticles) return;
+    // Frozen in reduced motion; the beam still reads as lit
+    if (!dustParticles || VizMotion.reduced) return;
 
     const positions = dustParticles.geometry.attributes.position.array;
-    const coneCenter = new THREE.Vector3(-2, 0, 0);
-    const coneRadius = 3.5;
-    const coneHeight = 3.35;
+    const coneCenter = new THREE.Vector3(LIGHT_CONE.x, 0, LIGHT_CONE.z); // Follows LightControls
+    const coneRadius = LIGHT_CONE.radius;
+    const coneHeight = LIGHT_CONE.height;
 
     for (let i = 0; i < dustVelocities.length; i++) {
         const vel = dustVelocities[i];
@@ -2128,14 +2610,185 @@ function updateObservableConstellationLines() {
     observableConstellationLines.geometry.attributes.position.needsUpdate = true;
 }
 
+// Topic link: while the pair talks, a constellation line joins the orb under
+// discussion to the observable the AI leans on (the conversation's `observable`)
+let topicLink = null;
+
+function createTopicLink() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute([
+        ...new THREE.Color(CONFIG.colors.unobservable).toArray(),
+        ...new THREE.Color(CONFIG.colors.observable).toArray()
+    ], 3));
+    const material = new THREE.LineBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: 0,
+        depthWrite: false
+    });
+
+    topicLink = new THREE.Line(geometry, material);
+    topicLink.visible = false;
+    scene.add(topicLink);
+}
+
+function updateTopicLink() {
+    if (!topicLink) return;
+
+    const topic = discussedTopic();
+    const from = topic && unobservableObjects.find(g => g.userData.unobservable.id === topic);
+    const to = topic && observableObjects.find(g => g.userData.observable.id === currentConversation.observable);
+
+    // Only in the overview, where both ends are visible
+    const targetOpacity = from && to && StateManager.mode === 'normal' ? 0.5 : 0;
+    topicLink.material.opacity += (targetOpacity - topicLink.material.opacity) * 0.05;
+    topicLink.visible = topicLink.material.opacity > 0.01;
+    if (!from || !to) return;
+
+    const positions = topicLink.geometry.attributes.position.array;
+    positions.set([from.position.x, from.position.y, from.position.z, to.position.x, to.position.y, to.position.z]);
+    topicLink.geometry.attributes.position.needsUpdate = true;
+}
+
+// ============================================================
+// Pairings (which observable is the shadow of which unobservable)
+// ============================================================
+
+// Pairs touching an orb of either kind, from CONFIG.pairs
+function pairsFor(orbId) {
+    return CONFIG.pairs.filter(pair => pair.unobservable === orbId || pair.observable === orbId);
+}
+
+// Cross-references the schema can't check: both ends must be orbs in
+// content.json, and each pair may appear only once
+function pairErrors(content) {
+    const errors = [];
+    const seen = new Set();
+    content.pairs.forEach((pair, p) => {
+        if (!content.unobservables.some(u => u.id === pair.unobservable)) {
+            errors.push(`pairs[${p}].unobservable "${pair.unobservable}" is not an unobservable`);
+        }
+        if (!content.observables.some(o => o.id === pair.observable)) {
+            errors.push(`pairs[${p}].observable "${pair.observable}" is not an observable`);
+        }
+        const key = `${pair.unobservable}:${pair.observable}`;
+        if (seen.has(key)) errors.push(`pairs[${p}] repeats ${pair.unobservable} and ${pair.observable}`);
+        seen.add(key);
+    });
+    return errors;
+}
+
+// Bridges: while an orb is focused, an arc from it to each of its partners,
+// amber at the unobservable end and cyan at the observable end, with a spark
+// where the arc passes through the light cone's surface
+const PAIR_BRIDGE_SEGMENTS = 30;
+let pairBridges = [];
+
+function showPairBridges(orbId) {
+    removePairBridges();
+    if (!orbId) return;
+
+    pairsFor(orbId).forEach(pair => {
+        const from = unobservableObjects.find(g => g.userData.unobservable.id === pair.unobservable);
+        const to = observableObjects.find(g => g.userData.observable.id === pair.observable);
+        if (!from || !to) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute((PAIR_BRIDGE_SEGMENTS + 1) * 3, 3));
+        const colors = [];
+        const amber = new THREE.Color(CONFIG.colors.unobservable);
+        const cyan = new THREE.Color(CONFIG.colors.observable);
+        for (let i = 0; i <= PAIR_BRIDGE_SEGMENTS; i++) {
+            colors.push(...amber.clone().lerp(cyan, i / PAIR_BRIDGE_SEGMENTS).toArray());
+        }
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        const line = new THREE.Line(geometry, new THREE.LineDashedMaterial({
+            vertexColors: true,
+            dashSize: 0.15,
+            gapSize: 0.1,
+            transparent: true,
+            opacity: 0
+        }));
+
+        const spark = new THREE.Mesh(
+            new THREE.SphereGeometry(0.05, 12, 12),
+            new THREE.MeshBasicMaterial({ color: CONFIG.colors.lampLight, transparent: true, opacity: 0 })
+        );
+
+        line.userData = { from, to, spark };
+        scene.add(line, spark);
+        pairBridges.push(line);
+        gsap.to([line.material, spark.material], { opacity: 0.7, duration: 0.5 });
+    });
+
+    updatePairBridges();
+}
+
+function removePairBridges() {
+    pairBridges.forEach(line => {
+        const spark = line.userData.spark;
+        scene.remove(line, spark);
+        line.geometry.dispose();
+        line.material.dispose();
+        spark.geometry.dispose();
+        spark.material.dispose();
+    });
+    pairBridges = [];
+}
+
+// Follow the orbs as they bob, and march the dashes from human side to AI side
+function updatePairBridges() {
+    pairBridges.forEach(line => {
+        const { from, to, spark } = line.userData;
+        line.visible = from.visible && to.visible;
+        spark.visible = line.visible;
+        if (!line.visible) return;
+
+        const start = from.position;
+        const end = to.position;
+        const curve = new THREE.QuadraticBezierCurve3(
+            start,
+            new THREE.Vector3((start.x + end.x) / 2, Math.max(start.y, end.y) + 1.2, (start.z + end.z) / 2),
+            end
+        );
+        const points = curve.getPoints(PAIR_BRIDGE_SEGMENTS);
+        const positions = line.geometry.attributes.position;
+        points.forEach((p, i) => positions.setXYZ(i, p.x, p.y, p.z));
+        positions.needsUpdate = true;
+        line.computeLineDistances();
+        line.material.dashOffset -= 0.02;
+
+        // First point inside the cone is where the bridge crosses into the light
+        const crossing = points.find(p =>
+            Math.hypot(p.x - LIGHT_CONE.x, p.z - LIGHT_CONE.z) <= lightConeRadiusAt(p.y)
+        );
+        spark.visible = !!crossing;
+        if (crossing) spark.position.copy(crossing);
+    });
+}
+
 // ============================================================
-// Proximity Glow (orbs glow brighter when camera is close)
+// Proximity Glow (orbs glow brighter when camera is close or perceived)
 // ============================================================
 
+const PERCEIVED_GLOW = 0.2; // Extra glow opacity while an agent perceives the orb
+
+// Runs after the orb loops, which set each glow's resting or hover opacity
 function updateProximityGlow() {
-    if (!camera || unobservableObjects.length === 0) return;
+    if (!camera) return;
 
-    unobservableObjects.forEach(group => {
+    unobservableObjects.concat(observableObjects).forEach(group => {
+        const glow = group.children[1];
+        if (!glow || !glow.material) return;
+
+        // Eases in and out as the figures patrol past
+        const data = group.userData;
+        const perceived = Perception.isPerceived(group) ? 1 : 0;
+        data.perceivedGlow = (data.perceivedGlow || 0) + (perceived - (data.perceivedGlow || 0)) * 0.06;
+        glow.material.opacity += data.perceivedGlow * PERCEIVED_GLOW;
+
+        if (data.observable) return;
         const distance = camera.position.distanceTo(group.position);
 
         // Closer = brighter (between 3 and 15 units)
@@ -2146,13 +2799,9 @@ function updateProximityGlow() {
         // Inverse: closer = higher intensity
         const glowIntensity = 1 - normalizedDist;
 
-        // Apply to glow sphere (second child)
-        const glow = group.children[1];
-        if (glow && glow.material) {
-            const baseOpacity = 0.12;
-            const maxOpacity = 0.35;
-            glow.material.opacity = baseOpacity + glowIntensity * (maxOpacity - baseOpacity);
-        }
+        const baseOpacity = 0.12;
+        const maxOpacity = 0.35;
+        glow.material.opacity += glowIntensity * (maxOpacity - baseOpacity);
     });
 }
 
@@ -2402,74 +3051,284 @@ function createAIFigure() {
     aiRobot.position.set(-2, 0, 0);
     scene.add(aiRobot);
 
-    createLabel('AI', new THREE.Vector3(-2, 2.0, 0), '#22d3ee');
+    createLabel('ai', VizI18n.t('common.ai'), new THREE.Vector3(-2, 2.0, 0), '#22d3ee');
 
     console.log('AI R4X robot created with glass dome head');
 }
 
+// ============================================================
+// Navigation - A* over a ground grid, shared by both figures
+// ============================================================
+
 // Lamp pole position (avoid this area)
 const LAMP_POLE_POS = { x: -3, z: 0 };
 const LAMP_POLE_RADIUS = 0.5; // Avoidance radius around pole
+const NAV_ORB_RADIUS = 0.35; // Figures walk round orbs rather than under them
+const AI_PATROL_INSET = 1; // AI patrols the lit ground, this far short of its edge
+const HUMAN_PATROL_MARGIN = 0.3; // Human patrols this far clear of the lit ground
+const HUMAN_PATROL_KEEP = 1.2; // However the light is set, this much of the human's area stays unlit
+
+// Where each figure may walk. The human keeps off the lit ground on patrol and
+// only crosses into it to meet; meetings may use either figure's ground.
+// The light can be resized (LightControls), so the AI's ground is measured from it
+function aiPatrolRadius() {
+    return Math.max(LIGHT_CONE.radius - AI_PATROL_INSET, 0.5);
+}
 
-// Check if a path from start to end crosses near the lamp pole
-function pathCrossesLampPole(startX, startZ, endX, endZ) {
-    // Check if direct line passes too close to lamp pole
-    const dx = endX - startX;
-    const dz = endZ - startZ;
-    const len = Math.sqrt(dx * dx + dz * dz);
-    if (len < 0.01) return false;
+const NAV_REGIONS = {
+    ai: (x, z) => Math.hypot(x - LIGHT_CONE.x, z - LIGHT_CONE.z) <= aiPatrolRadius(),
+    human: (x, z) =>
+        Math.hypot(x - HUMAN_AREA_CENTER.x, z - HUMAN_AREA_CENTER.z) <= HUMAN_AREA_RADIUS &&
+        Math.hypot(x - LIGHT_CONE.x, z - LIGHT_CONE.z) > LIGHT_CONE.radius + HUMAN_PATROL_MARGIN,
+    meeting: (x, z) =>
+        Math.hypot(x - LIGHT_CONE.x, z - LIGHT_CONE.z) <= LIGHT_CONE.radius ||
+        Math.hypot(x - HUMAN_PERCEPTION.x, z - HUMAN_PERCEPTION.z) <= HUMAN_PERCEPTION.radius
+};
 
-    // Normalized direction
-    const dirX = dx / len;
-    const dirZ = dz / len;
+const Navigation = {
+    cell: 0.2,
+    bounds: { minX: -6, maxX: 7.4, minZ: -4, maxZ: 4 },
 
-    // Vector from start to lamp pole
-    const toPolX = LAMP_POLE_POS.x - startX;
-    const toPolZ = LAMP_POLE_POS.z - startZ;
+    // Extra obstacles: { x, z, radius }, or { object, radius } to follow an
+    // Object3D as it moves. radius is how far a figure's centre keeps away.
+    obstacles: [],
 
-    // Project lamp pole onto line
-    const proj = toPolX * dirX + toPolZ * dirZ;
+    addObstacle(obstacle) {
+        this.obstacles.push(obstacle);
+        return obstacle;
+    },
 
-    // Clamp to segment
-    const clampedProj = Math.max(0, Math.min(len, proj));
+    removeObstacle(obstacle) {
+        const index = this.obstacles.indexOf(obstacle);
+        if (index >= 0) this.obstacles.splice(index, 1);
+    },
 
-    // Closest point on segment to lamp pole
-    const closestX = startX + dirX * clampedProj;
-    const closestZ = startZ + dirZ * clampedProj;
+    // Read fresh for every search, since orbs move in authoring mode and the quiz
+    circles() {
+        const orbs = unobservableObjects.concat(observableObjects).map(group => ({
+            x: group.position.x, z: group.position.z, radius: NAV_ORB_RADIUS
+        }));
+        const extra = this.obstacles.map(o => o.object
+            ? { x: o.object.position.x, z: o.object.position.z, radius: o.radius }
+            : o);
+        return [{ x: LAMP_POLE_POS.x, z: LAMP_POLE_POS.z, radius: LAMP_POLE_RADIUS }].concat(orbs, extra);
+    },
 
-    // Distance from closest point to lamp pole
-    const distX = closestX - LAMP_POLE_POS.x;
-    const distZ = closestZ - LAMP_POLE_POS.z;
-    const dist = Math.sqrt(distX * distX + distZ * distZ);
+    isClear(x, z, region, circles = this.circles()) {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        if (x < minX || x > maxX || z < minZ || z > maxZ || !region(x, z)) return false;
+        return circles.every(c => (x - c.x) ** 2 + (z - c.z) ** 2 >= c.radius ** 2);
+    },
 
-    return dist < LAMP_POLE_RADIUS;
-}
+    // Walkable cells for one search
+    grid(region) {
+        const { minX, maxX, minZ, maxZ } = this.bounds;
+        const cols = Math.floor((maxX - minX) / this.cell) + 1;
+        const rows = Math.floor((maxZ - minZ) / this.cell) + 1;
+        const circles = this.circles();
+        const open = new Uint8Array(cols * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = minX + col * this.cell;
+                const z = minZ + row * this.cell;
+                open[row * cols + col] = this.isClear(x, z, region, circles) ? 1 : 0;
+            }
+        }
+        return { cols, rows, open };
+    },
 
-// Pick a random patrol point within the light cone area, avoiding lamp pole
-function pickNewPatrolTarget() {
-    // Light cone area: roughly x from -5 to 1, z from -2.5 to 2.5
-    const currentX = aiRobotState.currentPos.x;
-    const currentZ = aiRobotState.currentPos.z;
-
-    // Try up to 10 times to find a valid target
-    for (let attempts = 0; attempts < 10; attempts++) {
-        const x = -4.5 + Math.random() * 4; // -4.5 to -0.5
-        const z = -1.8 + Math.random() * 3.6; // -1.8 to 1.8
-
-        // Check if point is too close to lamp pole
-        const distToPole = Math.sqrt(
-            (x - LAMP_POLE_POS.x) ** 2 + (z - LAMP_POLE_POS.z) ** 2
-        );
-        if (distToPole < LAMP_POLE_RADIUS) continue;
+    pointOf(grid, index) {
+        return {
+            x: this.bounds.minX + (index % grid.cols) * this.cell,
+            z: this.bounds.minZ + Math.floor(index / grid.cols) * this.cell
+        };
+    },
+
+    // A figure can start off its region (walking home from a meeting), and a
+    // goal can fall on an obstacle, so both snap to the nearest open cell
+    nearestOpen(grid, point) {
+        let best = -1;
+        let bestDist = Infinity;
+        for (let i = 0; i < grid.open.length; i++) {
+            if (!grid.open[i]) continue;
+            const p = this.pointOf(grid, i);
+            const dist = (p.x - point.x) ** 2 + (p.z - point.z) ** 2;
+            if (dist < bestDist) {
+                best = i;
+                bestDist = dist;
+            }
+        }
+        return best;
+    },
+
+    openAt(grid, x, z) {
+        const col = Math.round((x - this.bounds.minX) / this.cell);
+        const row = Math.round((z - this.bounds.minZ) / this.cell);
+        if (col < 0 || col >= grid.cols || row < 0 || row >= grid.rows) return false;
+        return grid.open[row * grid.cols + col] === 1;
+    },
+
+    lineOfSight(grid, a, b) {
+        const steps = Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / (this.cell / 2));
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            if (!this.openAt(grid, a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t)) return false;
+        }
+        return true;
+    },
+
+    // A* over the 8-neighbour grid; diagonals may not cut a blocked corner.
+    // Returns cell indices from start to goal, or null when unreachable.
+    search(grid, start, goal) {
+        const { cols, open } = grid;
+        const cost = new Float32Array(open.length).fill(Infinity);
+        const cameFrom = new Int32Array(open.length).fill(-1);
+        const closed = new Uint8Array(open.length);
+        const goalCol = goal % cols;
+        const goalRow = Math.floor(goal / cols);
+        const estimate = i => Math.hypot(i % cols - goalCol, Math.floor(i / cols) - goalRow);
+
+        // Binary heap of [priority, index]
+        const heap = [];
+        const push = (priority, index) => {
+            heap.push([priority, index]);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent][0] <= heap[i][0]) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                    if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top[1];
+        };
+
+        cost[start] = 0;
+        push(estimate(start), start);
+        while (heap.length) {
+            const current = pop();
+            if (current === goal) {
+                const cells = [goal];
+                while (cells[0] !== start) cells.unshift(cameFrom[cells[0]]);
+                return cells;
+            }
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (!dx && !dz) continue;
+                    const c = col + dx;
+                    const r = row + dz;
+                    if (c < 0 || c >= cols || r < 0 || r >= grid.rows) continue;
+                    const next = r * cols + c;
+                    if (!open[next] || closed[next]) continue;
+                    if (dx && dz && (!open[row * cols + c] || !open[r * cols + col])) continue;
+
+                    const nextCost = cost[current] + (dx && dz ? Math.SQRT2 : 1);
+                    if (nextCost < cost[next]) {
+                        cost[next] = nextCost;
+                        cameFrom[next] = current;
+                        push(nextCost + estimate(next), next);
+                    }
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Smoothed walk from start to goal across the region, clear of the lamp
+     * pole, the orbs and any added obstacles. Ends at goal when it is clear,
+     * else at the nearest open spot. An unreachable goal gives a zero-length
+     * path, so the figure stays put and picks again after its next pause.
+     * @param {{x: number, z: number}} start
+     * @param {{x: number, z: number}} goal
+     * @param {Function} region - (x, z) => whether the figure may stand there
+     * @returns {THREE.CatmullRomCurve3} Ground-level curve (y = 0)
+     */
+    findPath(start, goal, region) {
+        const grid = this.grid(region);
+        const from = this.nearestOpen(grid, start);
+        const to = this.nearestOpen(grid, goal);
+        const cells = from >= 0 && to >= 0 ? this.search(grid, from, to) : null;
+
+        let points = [start, start];
+        if (cells) {
+            const end = this.isClear(goal.x, goal.z, region) ? goal : this.pointOf(grid, to);
+            points = [start].concat(cells.map(i => this.pointOf(grid, i)), [end]);
+
+            // Pull the string tight: keep only the corners the line can't see past
+            const corners = [points[0]];
+            let anchor = 0;
+            for (let i = 2; i < points.length; i++) {
+                if (!this.lineOfSight(grid, points[anchor], points[i])) {
+                    anchor = i - 1;
+                    corners.push(points[anchor]);
+                }
+            }
+            corners.push(points[points.length - 1]);
+            points = corners;
+        }
+
+        return new THREE.CatmullRomCurve3(
+            points.map(p => new THREE.Vector3(p.x, 0, p.z)), false, 'centripetal'
+        );
+    }
+};
 
-        // Check if path would cross lamp pole
-        if (pathCrossesLampPole(currentX, currentZ, x, z)) continue;
+// Send a figure's state along a new path: sets startPos, path and targetPos
+// (where the path really ends). Returns the path's length and starting heading.
+function planRoute(state, target, region) {
+    state.startPos = { ...state.currentPos };
+    state.path = Navigation.findPath(state.currentPos, target, region);
+    const end = state.path.getPointAt(1);
+    state.targetPos = { x: end.x, z: end.z };
 
-        return { x, z };
+    const length = state.path.getLength();
+    return { length, heading: pathHeadingAt(state.path, 0) };
+}
+
+// Facing angle along a path, or null where it has no direction (zero length)
+function pathHeadingAt(path, t) {
+    if (path.getLength() < 0.01) return null;
+    const tangent = path.getTangentAt(t);
+    return Math.atan2(tangent.x, tangent.z);
+}
+
+// Pick a random patrol point on the lit ground, clear of obstacles
+function pickNewPatrolTarget() {
+    const circles = Navigation.circles();
+    for (let attempts = 0; attempts < 20; attempts++) {
+        const angle = Math.random() * Math.PI * 2;
+        const radius = Math.sqrt(Math.random()) * aiPatrolRadius();
+        const x = LIGHT_CONE.x + Math.cos(angle) * radius;
+        const z = LIGHT_CONE.z + Math.sin(angle) * radius;
+        if (Navigation.isClear(x, z, NAV_REGIONS.ai, circles)) return { x, z };
     }
 
-    // Fallback: return a safe point away from pole
-    return { x: -1, z: 1.5 };
+    // Fallback: halfway out on the lit ground, on the far side from the pole
+    const away = Math.sign(LIGHT_CONE.x - LAMP_POLE_POS.x) || 1;
+    return { x: LIGHT_CONE.x + away * aiPatrolRadius() / 2, z: LIGHT_CONE.z };
 }
 
 // Smooth ease-in-out curve (cubic)
@@ -2531,19 +3390,13 @@ function updateAIRobotMovement(deltaTime) {
 
         // Transition to turning when pause is complete
         // IMPORTANT: Don't pick new target during active meeting
-        if (aiRobotState.phaseTimer >= aiRobotState.pauseDuration && !meetingState.active) {
-            // Pick new target
-            aiRobotState.startPos = { ...aiRobotState.currentPos };
-            aiRobotState.targetPos = pickNewPatrolTarget();
+        if (aiRobotState.phaseTimer >= aiRobotState.pauseDuration && !meetingState.active && !VizMotion.reduced) {
+            // Pick new target and a path to it
+            const route = planRoute(aiRobotState, pickNewPatrolTarget(), NAV_REGIONS.ai);
 
-            // Calculate direction and angles
-            const dx = aiRobotState.targetPos.x - aiRobotState.startPos.x;
-            const dz = aiRobotState.targetPos.z - aiRobotState.startPos.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-
-            // Store current head angle and calculate target
+            // Store current head angle and face along the start of the path
             aiRobotState.startHeadAngle = aiRobotState.currentHeadAngle;
-            aiRobotState.targetHeadAngle = Math.atan2(dx, dz);
+            aiRobotState.targetHeadAngle = route.heading ?? aiRobotState.currentHeadAngle;
 
             // Calculate turn amount (normalized)
             const angleDiff = Math.abs(normalizeAngle(
@@ -2555,7 +3408,7 @@ function updateAIRobotMovement(deltaTime) {
 
             // Move duration based on consistent speed
             const AI_PATROL_SPEED = 0.5; // Units per second
-            aiRobotState.moveDuration = dist / AI_PATROL_SPEED;
+            aiRobotState.moveDuration = route.length / AI_PATROL_SPEED;
 
             // Next pause duration
             aiRobotState.pauseDuration = 1.8 + Math.random() * 1.5;
@@ -2612,11 +3465,19 @@ function updateAIRobotMovement(deltaTime) {
         const prevX = aiRobotState.currentPos.x;
         const prevZ = aiRobotState.currentPos.z;
 
-        // Interpolate position
-        aiRobotState.currentPos.x = aiRobotState.startPos.x +
-            (aiRobotState.targetPos.x - aiRobotState.startPos.x) * eased;
-        aiRobotState.currentPos.z = aiRobotState.startPos.z +
-            (aiRobotState.targetPos.z - aiRobotState.startPos.z) * eased;
+        // Follow the path (no path: turning on the spot)
+        if (aiRobotState.path) {
+            const point = aiRobotState.path.getPointAt(eased);
+            aiRobotState.currentPos.x = point.x;
+            aiRobotState.currentPos.z = point.z;
+
+            // Head follows the curve
+            const heading = pathHeadingAt(aiRobotState.path, eased);
+            if (heading !== null && aiHeadGroup) {
+                aiRobotState.currentHeadAngle = heading;
+                aiHeadGroup.rotation.y = heading;
+            }
+        }
 
         // Update robot position
         aiRobot.position.x = aiRobotState.currentPos.x;
@@ -2662,6 +3523,20 @@ let humanMixer = null;
 let humanWalkAction = null;
 let humanMaterial = null; // Keep for compatibility
 let humanModelYOffset = 0; // Y offset to keep feet on ground
+let humanClipSpeed = 1; // Ground speed the walk clip was animated at, scene units per second
+let humanHeadBone = null; // Loaded model's head bone, for meeting nods
+let humanHeadNod = 0; // Meeting nod in radians, from updateMeetingState; the procedural head or the bone takes it
+let humanHeadBase = null; // Head bone's clip pose while nodding; the paused clip never rewrites it
+const HEAD_NOD_AXIS = new THREE.Vector3(1, 0, 0);
+const headNodQuat = new THREE.Quaternion();
+
+// Walking person variants by PerformanceMode tier; the web one is meshopt-compressed
+const HUMAN_MODELS = {
+    full: 'walking_person_basic.glb',
+    lowFi: 'walking_person_web.glb'
+};
+const HUMAN_MODEL_TIMEOUT = 8000; // ms before giving up and keeping the procedural figure
+const HUMAN_FIGURE_HEIGHT = 1.15; // Match the procedural figure (createFallbackHumanFigure)
 
 // Human patrol state (similar to AI robot)
 const HUMAN_AREA_CENTER = { x: 3.5, z: 0 };
@@ -2676,25 +3551,24 @@ let humanState = {
     startPos: { x: 3.5, z: 0 },
     currentPos: { x: 3.5, z: 0 },
     targetPos: { x: 3.5, z: 0 },
+    path: null, // See aiRobotState.path
     startAngle: 0,
     currentAngle: 0,
     targetAngle: 0
 };
 
 // Pick a random patrol point within human perception area
-// IMPORTANT: Excludes intersection zone so human only goes there during meetings
-const INTERSECTION_EXCLUSION_X = 1.8; // Human stays right of this X value during patrol
-
+// IMPORTANT: NAV_REGIONS.human keeps off the lit ground, so the human only goes there during meetings
 function pickHumanPatrolTarget() {
-    for (let attempts = 0; attempts < 10; attempts++) {
+    const circles = Navigation.circles();
+    for (let attempts = 0; attempts < 20; attempts++) {
         // Random point within the human area
         const angle = Math.random() * Math.PI * 2;
         const radius = Math.random() * HUMAN_AREA_RADIUS;
         const x = HUMAN_AREA_CENTER.x + Math.cos(angle) * radius;
         const z = HUMAN_AREA_CENTER.z + Math.sin(angle) * radius;
 
-        // Exclude intersection zone - human shouldn't wander into meeting area
-        if (x < INTERSECTION_EXCLUSION_X) continue;
+        if (!Navigation.isClear(x, z, NAV_REGIONS.human, circles)) continue;
 
         // Ensure some minimum distance from current position
         const dx = x - humanState.currentPos.x;
@@ -2704,8 +3578,28 @@ function pickHumanPatrolTarget() {
             return { x, z };
         }
     }
-    // Fallback - safe point in human's domain
-    return { x: HUMAN_AREA_CENTER.x + 0.5, z: 1 };
+    // Fallback - the unlit edge of the human's domain, farthest from the light
+    const dx = HUMAN_AREA_CENTER.x - LIGHT_CONE.x;
+    const dz = HUMAN_AREA_CENTER.z - LIGHT_CONE.z;
+    const reach = (HUMAN_AREA_RADIUS - HUMAN_PATROL_KEEP / 2) / (Math.hypot(dx, dz) || 1);
+    return { x: HUMAN_AREA_CENTER.x + dx * reach, z: HUMAN_AREA_CENTER.z + dz * reach };
+}
+
+// Meeting nods on the loaded model's head bone. The walk is paused while the pair
+// talks, and the mixer skips unchanged values, so nodding on top of the bone would
+// add up frame after frame: keep the clip pose and set base x nod instead
+function applyHumanHeadNod() {
+    const nodding = meetingState.active &&
+        (meetingState.phase === 'talking' || meetingState.phase === 'lingering');
+
+    if (nodding) {
+        if (!humanHeadBase) humanHeadBase = humanHeadBone.quaternion.clone();
+        headNodQuat.setFromAxisAngle(HEAD_NOD_AXIS, humanHeadNod);
+        humanHeadBone.quaternion.copy(humanHeadBase).multiply(headNodQuat);
+    } else if (humanHeadBase) {
+        humanHeadBone.quaternion.copy(humanHeadBase);
+        humanHeadBase = null;
+    }
 }
 
 // Update human patrol movement
@@ -2715,6 +3609,8 @@ function updateHumanMovement(deltaTime) {
     // Update animation mixer
     if (humanMixer) {
         humanMixer.update(deltaTime);
+
+        if (humanHeadBone) applyHumanHeadNod();
     }
 
     // ===== PHASE: PAUSED =====
@@ -2728,16 +3624,11 @@ function updateHumanMovement(deltaTime) {
 
         // Transition to turning when pause is complete
         // IMPORTANT: Don't pick new target during active meeting
-        if (humanState.phaseTimer >= humanState.pauseDuration && !meetingState.active) {
-            humanState.startPos = { ...humanState.currentPos };
-            humanState.targetPos = pickHumanPatrolTarget();
-
-            const dx = humanState.targetPos.x - humanState.startPos.x;
-            const dz = humanState.targetPos.z - humanState.startPos.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
+        if (humanState.phaseTimer >= humanState.pauseDuration && !meetingState.active && !VizMotion.reduced) {
+            const route = planRoute(humanState, pickHumanPatrolTarget(), NAV_REGIONS.human);
 
             humanState.startAngle = humanState.currentAngle;
-            humanState.targetAngle = Math.atan2(dx, dz);
+            humanState.targetAngle = route.heading ?? humanState.currentAngle;
 
             // Normalize angle difference
             let angleDiff = humanState.targetAngle - humanState.startAngle;
@@ -2747,8 +3638,8 @@ function updateHumanMovement(deltaTime) {
             humanState.turnDuration = 0.3 + (Math.abs(angleDiff) / Math.PI) * 0.5;
             // Use consistent walking speed (units per second) for natural gait
             const HUMAN_WALK_SPEED = 0.5; // Comfortable walking pace
-            humanState.moveDuration = dist / HUMAN_WALK_SPEED;
-            humanState.moveDistance = dist; // Store for animation sync
+            humanState.moveDuration = route.length / HUMAN_WALK_SPEED;
+            humanState.moveDistance = route.length; // Store for animation sync
             humanState.pauseDuration = 2.0 + Math.random() * 2.0;
 
             humanState.phase = 'turning';
@@ -2809,10 +3700,18 @@ function updateHumanMovement(deltaTime) {
         const prevX = humanState.currentPos.x;
         const prevZ = humanState.currentPos.z;
 
-        humanState.currentPos.x = humanState.startPos.x +
-            (humanState.targetPos.x - humanState.startPos.x) * eased;
-        humanState.currentPos.z = humanState.startPos.z +
-            (humanState.targetPos.z - humanState.startPos.z) * eased;
+        // Follow the path, turning with it (no path: turning on the spot)
+        if (humanState.path) {
+            const point = humanState.path.getPointAt(eased);
+            humanState.currentPos.x = point.x;
+            humanState.currentPos.z = point.z;
+
+            const heading = pathHeadingAt(humanState.path, eased);
+            if (heading !== null) {
+                humanState.currentAngle = heading;
+                if (humanModel) humanModel.rotation.y = heading;
+            }
+        }
 
         // Calculate actual velocity this frame
         const dx = humanState.currentPos.x - prevX;
@@ -2840,6 +3739,11 @@ function updateHumanMovement(deltaTime) {
         const FULL_SPEED = 0.5; // Target walking speed (matches HUMAN_WALK_SPEED)
         const velocityScale = Math.min(1, frameVelocity / FULL_SPEED);
 
+        // A loaded model's clip keeps its feet in step with the ground speed
+        if (humanWalkAction && deltaTime > 0) {
+            humanWalkAction.timeScale = frameVelocity / humanClipSpeed;
+        }
+
         // Primary motion curves (using sine for smooth oscillation)
         const legPhase = Math.sin(walkCycle);
         const legPhaseOffset = Math.sin(walkCycle + Math.PI); // Opposite leg
@@ -2925,7 +3829,8 @@ function updateHumanMovement(deltaTime) {
 
         // Body bob (up/down motion synced with steps), scaled by velocity
         // Double frequency because we bob twice per full walk cycle
-        if (humanModel) {
+        // (a loaded model's clip has its own)
+        if (humanModel && !humanMixer) {
             const bobPhase = Math.abs(Math.sin(walkCycle * 2));
             const bobOffset = bobPhase * 0.012 * velocityScale;
             humanModel.position.y = humanModelYOffset + bobOffset;
@@ -2956,9 +3861,11 @@ function updateHumanMovement(deltaTime) {
     }
 }
 
+// Human perception area - ground circle
+const HUMAN_PERCEPTION = { x: 3.5, z: 0, radius: 3.5 };
+
 function createHumanFigure() {
-    // Human perception area - ground circle
-    const humanPerceptionGeom = new THREE.CircleGeometry(3.5, 32);
+    const humanPerceptionGeom = new THREE.CircleGeometry(HUMAN_PERCEPTION.radius, 32);
     const humanPerceptionMat = new THREE.MeshBasicMaterial({
         color: CONFIG.colors.human,
         transparent: true,
@@ -2966,16 +3873,111 @@ function createHumanFigure() {
     });
     const humanPerception = new THREE.Mesh(humanPerceptionGeom, humanPerceptionMat);
     humanPerception.rotation.x = -Math.PI / 2;
-    humanPerception.position.set(3.5, 0.03, 0);
+    humanPerception.position.set(HUMAN_PERCEPTION.x, 0.03, HUMAN_PERCEPTION.z);
     scene.add(humanPerception);
 
-    // Use procedural human figure for now (GLB loading was causing browser issues)
+    // The procedural figure stands in while the model loads, and stays if it fails
     createFallbackHumanFigure();
+    loadHumanModel()
+        .then(useHumanModel)
+        .catch(error => console.warn('Keeping the procedural human figure:', error.message));
 
     // Label - will be updated to follow human
-    createLabel('Human', new THREE.Vector3(3.5, 2.0, 0), '#34d399');
+    createLabel('human', VizI18n.t('common.human'), new THREE.Vector3(3.5, 2.0, 0), '#34d399');
+}
+
+// Load the walking person for this device's tier. Rejects on any loader error,
+// a missing decoder, a file without a walk clip, or after HUMAN_MODEL_TIMEOUT.
+function loadHumanModel() {
+    const url = HUMAN_MODELS[PerformanceMode.isLowFi ? 'lowFi' : 'full'];
+
+    const load = new Promise((resolve, reject) => {
+        if (!THREE.GLTFLoader) {
+            reject(new Error('GLTFLoader is not loaded'));
+            return;
+        }
+        const loader = new THREE.GLTFLoader();
+        if (window.MeshoptDecoder) loader.setMeshoptDecoder(window.MeshoptDecoder);
+
+        console.log(`Human figure loading from ${url}...`);
+        loader.load(url, gltf => {
+            if (gltf.animations.length) resolve(gltf);
+            else reject(new Error(`${url} has no walk animation`));
+        }, undefined, error => reject(error instanceof Error ? error : new Error(`${url} failed to load`)));
+    });
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${url} took over ${HUMAN_MODEL_TIMEOUT / 1000} s`)), HUMAN_MODEL_TIMEOUT);
+    });
+
+    return Promise.race([load, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Swap the procedural figure for the loaded model, where it stands now
+function useHumanModel(gltf) {
+    const model = gltf.scene;
+    const bone = suffix => {
+        let found = null;
+        model.traverse(child => {
+            if (!found && child.isBone && child.name.endsWith(suffix)) found = child;
+        });
+        return found;
+    };
+
+    // Scale to the procedural figure's height, measured head-top to feet in the rest pose
+    model.updateMatrixWorld(true);
+    const headTop = bone('HeadTop_End');
+    const height = headTop ? headTop.getWorldPosition(new THREE.Vector3()).y : 0;
+    if (height <= 0) throw new Error('model has no HeadTop_End bone');
+    model.scale.multiplyScalar(HUMAN_FIGURE_HEIGHT / height);
+    model.updateMatrixWorld(true);
+
+    model.traverse(child => {
+        if (!child.isMesh) return;
+        child.castShadow = true;
+        child.frustumCulled = false; // Skinned bounds are the bind pose, not the stride
+    });
+
+    // The clip walks forward (root motion on the hips). Hold the hips in place,
+    // since the patrol moves the figure, and keep the distance to pace the clip.
+    const clip = gltf.animations[0];
+    const hips = bone('Hips');
+    const hipsTrack = hips && clip.tracks.find(track => track.name === `${hips.name}.position`);
+    if (hipsTrack) {
+        const values = hipsTrack.values;
+        const last = values.length - 3;
+        let axis = 0;
+        for (let a = 1; a < 3; a++) {
+            if (Math.abs(values[last + a] - values[a]) > Math.abs(values[last + axis] - values[axis])) axis = a;
+        }
+        const stride = Math.abs(values[last + axis] - values[axis]) * hips.parent.getWorldScale(new THREE.Vector3()).x;
+        for (let i = axis; i < values.length; i += 3) values[i] = values[axis];
+        if (stride > 0) humanClipSpeed = stride / clip.duration;
+    }
 
-    console.log('Human figure loading from walking_person_basic.glb...');
+    const figure = new THREE.Group();
+    figure.add(model);
+    figure.position.copy(humanModel.position);
+    figure.position.y = humanModelYOffset;
+    figure.rotation.y = humanModel.rotation.y;
+    scene.remove(humanModel);
+    scene.add(figure);
+    humanModel = figure;
+
+    humanMixer = new THREE.AnimationMixer(model);
+    humanWalkAction = humanMixer.clipAction(clip);
+    humanWalkAction.play();
+    humanWalkAction.paused = humanState.phase !== 'moving';
+
+    // The clip animates the limbs from here on; meeting nods turn the head bone
+    humanLeftLeg = humanRightLeg = humanLeftCalf = humanRightCalf = null;
+    humanLeftArm = humanRightArm = humanLeftForearm = humanRightForearm = null;
+    humanTorso = humanHead = null;
+    humanHeadBone = bone('Head');
+    humanHeadBase = null;
+
+    console.log('Human figure loaded with walk animation');
 }
 
 // Human limb references for walking animation
@@ -4422,56 +5424,61 @@ const OBSERVABLE_EFFECTS = {
 };
 
 function createUnobservables() {
-    CONFIG.unobservables.forEach((u, i) => {
-        const group = new THREE.Group();
+    CONFIG.unobservables.forEach((u, i) => createUnobservable(u, i));
 
-        // Minimal, refined orb - small and elegant
-        const orbGeom = new THREE.SphereGeometry(0.1, 16, 16);
-        const orbMat = new THREE.MeshBasicMaterial({
-            color: CONFIG.colors.unobservable,
-            transparent: true,
-            opacity: 0.9,
-        });
-        const orb = new THREE.Mesh(orbGeom, orbMat);
-        group.add(orb);
+    console.log('Unobservables created with unique effects');
+}
 
-        // Subtle glow halo - just enough to make it visible
-        const glowGeom = new THREE.SphereGeometry(0.18, 16, 16);
-        const glowMat = new THREE.MeshBasicMaterial({
-            color: CONFIG.colors.unobservable,
-            transparent: true,
-            opacity: 0.12,
-        });
-        const glow = new THREE.Mesh(glowGeom, glowMat);
-        group.add(glow);
-
-        // Get orb-specific effect configuration
-        const effect = ORB_EFFECTS[u.id];
-
-        // Apply setup function if exists (adds extra geometry)
-        if (effect && effect.setup) {
-            effect.setup(group);
-        }
-
-        // Position - floating at a low height (with optional offset)
-        const baseYOffset = effect?.baseYOffset || 0;
-        const baseY = 0.5 + baseYOffset;
-        group.position.set(u.position.x, baseY, u.position.z);
-        group.userData = {
-            unobservable: u,
-            index: i,
-            baseY: baseY,
-            effect: effect
-        };
+function createUnobservable(u, i) {
+    const group = new THREE.Group();
 
-        scene.add(group);
-        unobservableObjects.push(group);
+    // Minimal, refined orb - small and elegant
+    const orbGeom = new THREE.SphereGeometry(0.1, 16, 16);
+    const orbMat = new THREE.MeshBasicMaterial({
+        color: CONFIG.colors.unobservable,
+        transparent: true,
+        opacity: 0.9,
+    });
+    const orb = new THREE.Mesh(orbGeom, orbMat);
+    group.add(orb);
 
-        // HTML label
-        createUnobservableLabel(u, group);
+    // Subtle glow halo - just enough to make it visible
+    const glowGeom = new THREE.SphereGeometry(0.18, 16, 16);
+    const glowMat = new THREE.MeshBasicMaterial({
+        color: CONFIG.colors.unobservable,
+        transparent: true,
+        opacity: 0.12,
     });
+    const glow = new THREE.Mesh(glowGeom, glowMat);
+    group.add(glow);
 
-    console.log('Unobservables created with unique effects');
+    // Get orb-specific effect configuration
+    const effect = ORB_EFFECTS[u.effect || u.id];
+
+    // Apply setup function if exists (adds extra geometry)
+    if (effect && effect.setup) {
+        effect.setup(group);
+    }
+
+    // Position - floating at a low height (with optional offset)
+    const baseYOffset = effect?.baseYOffset || 0;
+    const baseY = 0.5 + baseYOffset;
+    group.position.set(u.position.x, baseY, u.position.z);
+    group.userData = {
+        unobservable: u,
+        index: i,
+        baseY: baseY,
+        effect: effect,
+        effectTime: time // Own clock, so the effect can speed up while discussed
+    };
+
+    scene.add(group);
+    unobservableObjects.push(group);
+
+    // HTML label
+    createUnobservableLabel(u, group);
+
+    return group;
 }
 
 function createUnobservableLabel(u, group) {
@@ -4497,56 +5504,60 @@ function createUnobservableLabel(u, group) {
 // ============================================================
 
 function createObservables() {
-    CONFIG.observables.forEach((o, i) => {
-        const group = new THREE.Group();
+    CONFIG.observables.forEach((o, i) => createObservable(o, i));
 
-        // Core orb - cool cyan, geometric precision
-        const orbGeom = new THREE.SphereGeometry(0.1, 24, 24); // Higher detail for precision look
-        const orbMat = new THREE.MeshBasicMaterial({
-            color: CONFIG.colors.observable,
-            transparent: true,
-            opacity: 0.95,
-        });
-        const orb = new THREE.Mesh(orbGeom, orbMat);
-        group.add(orb);
+    console.log('Observables created with unique effects');
+}
 
-        // Precise glow halo - slightly more defined edge than unobservables
-        const glowGeom = new THREE.SphereGeometry(0.16, 24, 24);
-        const glowMat = new THREE.MeshBasicMaterial({
-            color: CONFIG.colors.observable,
-            transparent: true,
-            opacity: 0.15,
-        });
-        const glow = new THREE.Mesh(glowGeom, glowMat);
-        group.add(glow);
-
-        // Get observable-specific effect configuration
-        const effect = OBSERVABLE_EFFECTS[o.id];
-
-        // Apply setup function if exists (adds extra geometry)
-        if (effect && effect.setup) {
-            effect.setup(group);
-        }
-
-        // Position - within the light cone area, floating at a low height
-        const baseYOffset = effect?.baseYOffset || 0;
-        const baseY = 0.4 + baseYOffset; // Slightly lower than unobservables
-        group.position.set(o.position.x, baseY, o.position.z);
-        group.userData = {
-            observable: o,
-            index: i,
-            baseY: baseY,
-            effect: effect
-        };
+function createObservable(o, i) {
+    const group = new THREE.Group();
 
-        scene.add(group);
-        observableObjects.push(group);
+    // Core orb - cool cyan, geometric precision
+    const orbGeom = new THREE.SphereGeometry(0.1, 24, 24); // Higher detail for precision look
+    const orbMat = new THREE.MeshBasicMaterial({
+        color: CONFIG.colors.observable,
+        transparent: true,
+        opacity: 0.95,
+    });
+    const orb = new THREE.Mesh(orbGeom, orbMat);
+    group.add(orb);
 
-        // HTML label
-        createObservableLabel(o, group);
+    // Precise glow halo - slightly more defined edge than unobservables
+    const glowGeom = new THREE.SphereGeometry(0.16, 24, 24);
+    const glowMat = new THREE.MeshBasicMaterial({
+        color: CONFIG.colors.observable,
+        transparent: true,
+        opacity: 0.15,
     });
+    const glow = new THREE.Mesh(glowGeom, glowMat);
+    group.add(glow);
 
-    console.log('Observables created with unique effects');
+    // Get observable-specific effect configuration
+    const effect = OBSERVABLE_EFFECTS[o.effect || o.id];
+
+    // Apply setup function if exists (adds extra geometry)
+    if (effect && effect.setup) {
+        effect.setup(group);
+    }
+
+    // Position - within the light cone area, floating at a low height
+    const baseYOffset = effect?.baseYOffset || 0;
+    const baseY = 0.4 + baseYOffset; // Slightly lower than unobservables
+    group.position.set(o.position.x, baseY, o.position.z);
+    group.userData = {
+        observable: o,
+        index: i,
+        baseY: baseY,
+        effect: effect
+    };
+
+    scene.add(group);
+    observableObjects.push(group);
+
+    // HTML label
+    createObservableLabel(o, group);
+
+    return group;
 }
 
 function createObservableLabel(o, group) {
@@ -4601,7 +5612,7 @@ function createSceneLabels() {
 // Labels
 // ============================================================
 
-function createLabel(text, position, color) {
+function createLabel(figure, text, position, color) {
     const labelDiv = document.createElement('div');
     labelDiv.className = 'figure-label';
     labelDiv.textContent = text;
@@ -4612,6 +5623,7 @@ function createLabel(text, position, color) {
         element: labelDiv,
         position: position,
         isFixed: true,
+        figure: figure, // 'ai' | 'human' - the label follows that figure
     });
 }
 
@@ -4631,6 +5643,8 @@ function updateLabels() {
 
         label.element.style.left = x + 'px';
         label.element.style.top = y + 'px';
+        // Behind the camera (the first-person views look away from most of the scene)
+        label.element.style.visibility = projected.z > 1 ? 'hidden' : '';
 
         if (label.isUnobservable) {
             // Apply hover state for BOTH hover and focus (mobile tap uses focus)
@@ -4698,19 +5712,22 @@ function checkHover() {
     const mouseVec = new THREE.Vector2(mouse.x, mouse.y);
     raycaster.setFromCamera(mouseVec, camera);
 
-    // Check unobservable orbs
-    const unobsOrbs = unobservableObjects.map(g => g.children[0]);
+    // Check unobservable orbs (the raycaster doesn't skip hidden ones, e.g. during the quiz)
+    const unobsOrbs = unobservableObjects.filter(g => g.visible).map(g => g.children[0]);
     const unobsIntersects = raycaster.intersectObjects(unobsOrbs);
 
     // Check observable orbs
-    const obsOrbs = observableObjects.map(g => g.children[0]);
+    const obsOrbs = observableObjects.filter(g => g.visible).map(g => g.children[0]);
     const obsIntersects = raycaster.intersectObjects(obsOrbs);
 
     // Reset both hover states
     hoveredUnobservable = null;
     hoveredObservable = null;
 
-    if (unobsIntersects.length > 0) {
+    if (pointerOverUi) {
+        document.body.style.cursor = 'default';
+        previousHoveredOrb = null;
+    } else if (unobsIntersects.length > 0) {
         const obj = unobsIntersects[0].object.parent;
         const newHoveredId = obj.userData.unobservable.id;
 
@@ -4751,13 +5768,13 @@ function animate() {
 
     time += 0.016;
 
-    // Update OrbitControls for smooth damping
-    if (controls) {
+    // Update OrbitControls for smooth damping (the head camera steers itself)
+    if (controls && !FirstPerson.active) {
         controls.update();
 
         // Auto-orbit when idle for 30 seconds
         const IDLE_THRESHOLD = 30000; // 30 seconds
-        if (StateManager.isIdle(IDLE_THRESHOLD) && !StateManager.focusedOrb) {
+        if (StateManager.isIdle(IDLE_THRESHOLD) && !StateManager.focusedOrb && !VizMotion.reduced && !AuthorMode.active && !QuizMode.active) {
             if (!controls.autoRotate) {
                 controls.autoRotate = true;
                 controls.autoRotateSpeed = 0.3;
@@ -4817,7 +5834,7 @@ function animate() {
 
     // Update AI label position to follow robot
     if (aiRobot) {
-        const aiLabel = labelElements.find(l => l.isFixed && l.element?.textContent === 'AI');
+        const aiLabel = labelElements.find(l => l.figure === 'ai');
         if (aiLabel) {
             aiLabel.position.set(aiRobot.position.x, 2.0, aiRobot.position.z);
         }
@@ -4830,7 +5847,7 @@ function animate() {
 
     // Update Human label position to follow human model
     if (humanModel) {
-        const humanLabel = labelElements.find(l => l.isFixed && l.element?.textContent === 'Human');
+        const humanLabel = labelElements.find(l => l.figure === 'human');
         if (humanLabel) {
             humanLabel.position.set(humanModel.position.x, 2.0, humanModel.position.z);
         }
@@ -4857,16 +5874,16 @@ function animate() {
     // Update constellation lines (visible when zoomed out)
     updateConstellationLines();
     updateObservableConstellationLines();
-
-    // Update proximity glow (orbs glow brighter when camera is close)
-    updateProximityGlow();
+    updateTopicLink();
+    updatePairBridges();
 
     // Animate unobservables - gentle floating motion + unique effects
     // Skip animation if in AI view (unobservables should stay hidden)
     const unobservablesVisible = StateManager.mode !== 'ai-view';
+    const discussedOrbId = discussedTopic();
     unobservableObjects.forEach((group, i) => {
-        // If in AI view, keep orbs hidden (scale 0)
-        if (!unobservablesVisible) {
+        // If in AI view, keep orbs hidden (scale 0) unless the light reaches them
+        if (!unobservablesVisible && !group.userData.crossed) {
             group.scale.setScalar(0);
             return;
         }
@@ -4876,31 +5893,33 @@ function animate() {
 
         const isHovered = hoveredUnobservable === group.userData.unobservable.id;
         const isFocused = StateManager.focusedOrb === group.userData.unobservable.id;
+        const isDiscussed = discussedOrbId === group.userData.unobservable.id;
         const baseScale = StateManager.mode === 'human-view' ? 1.2 : 1.0;
-        const targetScale = (isHovered || isFocused) ? 1.3 : baseScale;
+        const targetScale = (isHovered || isFocused || isDiscussed) ? 1.3 : baseScale;
         const currentScale = group.scale.x;
         const newScale = currentScale + (targetScale - currentScale) * 0.1;
         group.scale.setScalar(newScale);
 
-        // Apply orb-specific animation effect
+        // Apply orb-specific animation effect (livelier while the pair discusses it)
+        group.userData.effectTime += 0.016 * (isDiscussed ? DISCUSSED_EFFECT_SPEED : 1);
         const effect = group.userData.effect;
         if (effect && effect.animate) {
-            effect.animate(group, time);
+            effect.animate(group, group.userData.effectTime);
         }
 
         // Animate opacity for hover feedback
         const orb = group.children[0];
         const glow = group.children[1];
-        orb.material.opacity = isHovered ? 1.0 : 0.9;
-        glow.material.opacity = isHovered ? 0.25 : 0.12;
+        orb.material.opacity = isHovered || isDiscussed ? 1.0 : 0.9;
+        glow.material.opacity = isHovered || isDiscussed ? 0.25 : 0.12;
     });
 
     // Animate observables - precise, digital floating motion + unique effects
     // Skip animation if in Human view (observables should stay hidden)
     const observablesVisible = StateManager.mode !== 'human-view';
     observableObjects.forEach((group, i) => {
-        // If in Human view, keep orbs hidden (scale 0)
-        if (!observablesVisible) {
+        // If in Human view, keep orbs hidden (scale 0) unless they're out of the light
+        if (!observablesVisible && !group.userData.crossed) {
             group.scale.setScalar(0);
             return;
         }
@@ -4929,25 +5948,53 @@ function animate() {
         glow.material.opacity = isHovered ? 0.28 : 0.15;
     });
 
+    // Reclassify orbs against the (adjustable) light
+    LightControls.update();
+
+    // What each figure perceives where it stands now, and the glow that follows
+    Perception.update();
+    updateProximityGlow();
+
     // Update connection line when hovering
     updateConnectionLine();
 
+    // Ride along in the robot's or human's head
+    FirstPerson.update();
+
     checkHover();
     updateLabels();
     updateTooltip();
 
-    renderer.render(scene, camera);
+    // Listener at the camera, orbs and footsteps where they are
+    AudioManager.updateSpatial();
+
+    const composer = FirstPerson.composer();
+    if (composer) {
+        composer.render();
+    } else {
+        renderer.render(scene, camera);
+    }
 }
 
 // ============================================================
 // Events
 // ============================================================
 
+// Page UI over the scene; clicks and taps on these never reach the orbs
+const SCENE_UI_SELECTOR = [
+    '.view-btn', '.view-controls', '.detail-panel', '.legend', '.header',
+    '.audio-controls', '.audio-mixer', '.orb-editor', '.quiz', '.light-panel',
+    '.perception-panel', '.conversation-choices',
+    '.viz-tour', '.viz-tour-button', '.viz-motion-toggle', '.viz-snapshot',
+    '.author-panel'
+].join(', ');
+
 function setupEvents() {
     window.addEventListener('resize', () => {
         camera.aspect = window.innerWidth / window.innerHeight;
         camera.updateProjectionMatrix();
         renderer.setSize(window.innerWidth, window.innerHeight);
+        FirstPerson.resize();
     });
 
     document.addEventListener('mousemove', (e) => {
@@ -4955,6 +6002,7 @@ function setupEvents() {
         mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
         mouseClient.x = e.clientX;
         mouseClient.y = e.clientY;
+        pointerOverUi = !!e.target.closest(SCENE_UI_SELECTOR);
         StateManager.recordInteraction();
     });
 
@@ -4969,10 +6017,11 @@ function setupEvents() {
 
     // Touch-to-select orbs (mobile tap support)
     document.addEventListener('touchstart', (e) => {
+        // Authoring mode selects orbs for dragging instead (see AuthorMode)
+        if (AuthorMode.active) return;
+
         // Skip if touching UI elements
-        if (e.target.closest('.view-btn, .detail-panel, .legend, .header, .audio-btn, .view-controls')) {
-            return;
-        }
+        if (e.target.closest(SCENE_UI_SELECTOR)) return;
 
         const touch = e.touches[0];
         const touchMouse = new THREE.Vector2(
@@ -4985,7 +6034,7 @@ function setupEvents() {
         raycaster.setFromCamera(touchMouse, camera);
 
         // Check unobservable orbs
-        const unobsOrbs = unobservableObjects.map(g => g.children[0]);
+        const unobsOrbs = unobservableObjects.filter(g => g.visible).map(g => g.children[0]);
         const unobsIntersects = raycaster.intersectObjects(unobsOrbs);
 
         if (unobsIntersects.length > 0) {
@@ -5002,7 +6051,7 @@ function setupEvents() {
         }
 
         // Check observable orbs
-        const obsOrbs = observableObjects.map(g => g.children[0]);
+        const obsOrbs = observableObjects.filter(g => g.visible).map(g => g.children[0]);
         const obsIntersects = raycaster.intersectObjects(obsOrbs);
 
         if (obsIntersects.length > 0) {
@@ -5023,13 +6072,7 @@ function setupEvents() {
         StateManager.recordInteraction();
 
         // Check if clicking on UI elements
-        if (e.target.closest('.view-btn') ||
-            e.target.closest('.detail-panel') ||
-            e.target.closest('.legend') ||
-            e.target.closest('.header') ||
-            e.target.closest('.audio-btn')) {
-            return;
-        }
+        if (e.target.closest(SCENE_UI_SELECTOR)) return;
 
         // Check if clicking on an unobservable orb
         if (hoveredUnobservable) {
@@ -5055,34 +6098,14 @@ function setupEvents() {
         }
     });
 
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
+    // Any key counts as interaction; the shortcuts themselves live in setupKeyboard
+    document.addEventListener('keydown', () => {
         StateManager.recordInteraction();
-
-        switch(e.key) {
-            case 'Escape':
-                exitFocus();
-                break;
-            case '1':
-                transitionToPreset('ai');
-                break;
-            case '2':
-                transitionToPreset('human');
-                break;
-            case '3':
-                transitionToPreset('overview');
-                break;
-            case 'ArrowRight':
-            case 'ArrowDown':
-                focusNextOrb(1);
-                break;
-            case 'ArrowLeft':
-            case 'ArrowUp':
-                focusNextOrb(-1);
-                break;
-        }
     });
 
+    // Ctrl/Cmd+Z steps back through focus history
+    VizState.bindUndoKeys(StateManager);
+
     // Scroll and mouse wheel record interaction
     document.addEventListener('wheel', () => {
         StateManager.recordInteraction();
@@ -5153,21 +6176,35 @@ function dismissOnboarding() {
     }
 }
 
-// Navigate to next/previous orb
+// Navigate to next/previous orb: unobservables first, then observables
 function focusNextOrb(direction) {
-    const orbs = CONFIG.unobservables;
+    const orbs = orbSequence();
     if (orbs.length === 0) return;
 
-    let currentIndex = -1;
-    if (StateManager.focusedOrb) {
-        currentIndex = orbs.findIndex(u => u.id === StateManager.focusedOrb);
-    }
+    const focusedId = StateManager.focusedOrb || StateManager.focusedObservable;
+    const currentIndex = orbs.findIndex(orb => orb.id === focusedId);
 
     let nextIndex = currentIndex + direction;
+    if (currentIndex === -1 && direction < 0) nextIndex = orbs.length - 1;
     if (nextIndex < 0) nextIndex = orbs.length - 1;
     if (nextIndex >= orbs.length) nextIndex = 0;
 
-    focusOnOrb(orbs[nextIndex].id);
+    focusOrbById(orbs[nextIndex].id);
+}
+
+function orbSequence() {
+    return [
+        ...CONFIG.unobservables.map(u => ({ id: u.id, label: u.title })),
+        ...CONFIG.observables.map(o => ({ id: o.id, label: o.title }))
+    ].filter(orb => !QuizMode.hidden.has(orb.id));
+}
+
+function focusOrbById(orbId) {
+    if (CONFIG.observables.some(o => o.id === orbId)) {
+        focusOnObservable(orbId);
+    } else {
+        focusOnOrb(orbId);
+    }
 }
 
 // ============================================================
@@ -5206,6 +6243,9 @@ function playIntro() {
 
     setTimeout(() => {
         document.getElementById('controlsHint').classList.add('visible');
+        VizBridge.emit('introcomplete');
+        // The deck takes over once the orbs are in
+        setupPresentation();
     }, 3500);
 
     // Show mobile onboarding after intro animations
@@ -5214,7 +6254,8 @@ function playIntro() {
     }, 4000);
 
     // Camera animation - zoom in from further corner
-    if (typeof gsap !== 'undefined') {
+    // (skipped for deep links, which already placed the camera, and in reduced motion)
+    if (typeof gsap !== 'undefined' && !restoredFromUrl && !VizMotion.reduced) {
         const startPos = { x: 20, y: 18, z: 22 };
         camera.position.set(startPos.x, startPos.y, startPos.z);
 
@@ -5235,8 +6276,8 @@ function playIntro() {
 
 // Staggered reveal animation for unobservable orbs
 function revealUnobservables() {
-    if (typeof gsap === 'undefined') {
-        // Fallback: just show them
+    if (typeof gsap === 'undefined' || VizMotion.reduced) {
+        // Fallback (and reduced motion): just show them
         unobservableObjects.forEach(group => {
             group.scale.setScalar(1);
         });
@@ -5257,8 +6298,8 @@ function revealUnobservables() {
 
 // Staggered reveal animation for observable orbs
 function revealObservables() {
-    if (typeof gsap === 'undefined') {
-        // Fallback: just show them
+    if (typeof gsap === 'undefined' || VizMotion.reduced) {
+        // Fallback (and reduced motion): just show them
         observableObjects.forEach(group => {
             group.scale.setScalar(1);
         });
@@ -5278,7 +6319,1734 @@ function revealObservables() {
 }
 
 // ============================================================
-// Start
+// URL State (deep links like ?view=ai-view&focus=trust)
+// ============================================================
+
+let restoredFromUrl = false;
+
+function restoreUrlState() {
+    const restored = StateManager.fromParams(UrlState.read(StateManager.paramNames()));
+
+    // Each step tweens the camera; drop the previous tween so the last one wins
+    const settleCamera = () => {
+        if (typeof gsap === 'undefined') return;
+        gsap.killTweensOf(camera.position);
+        if (controls) gsap.killTweensOf(controls.target);
+    };
+
+    if (restored.mode && restored.mode !== 'normal') {
+        setViewMode(restored.mode);
+        restoredFromUrl = true;
+    }
+
+    if (restored.currentPreset && restored.currentPreset !== StateManager.currentPreset) {
+        settleCamera();
+        transitionToPreset(restored.currentPreset);
+        restoredFromUrl = true;
+    }
+
+    if (restored.focusedOrb) {
+        settleCamera();
+        focusOnOrb(restored.focusedOrb);
+        restoredFromUrl = true;
+    } else if (restored.focusedObservable) {
+        settleCamera();
+        focusOnObservable(restored.focusedObservable);
+        restoredFromUrl = true;
+    }
+
+    // The linked state is the starting point, not an undo step
+    StateManager.clearHistory();
+}
+
+function syncUrlState() {
+    UrlState.write(StateManager.toParams());
+}
+
+// ============================================================
+// Embed Bridge (host page control via embed/loader.js)
+// ============================================================
+
+function setupEmbedBridge() {
+    VizBridge.register('complementarity-view', {
+        setViewMode(mode) {
+            if (!['normal', 'ai-view', 'human-view'].includes(mode)) throw new Error(`Unknown view mode: ${mode}`);
+            setViewMode(mode);
+        },
+        transitionToPreset(presetName) {
+            if (!CAMERA_PRESETS[presetName]) throw new Error(`Unknown camera preset: ${presetName}`);
+            transitionToPreset(presetName);
+        },
+        focusOnOrb(orbId) {
+            if (!CONFIG.unobservables.some(u => u.id === orbId)) throw new Error(`Unknown unobservable: ${orbId}`);
+            focusOnOrb(orbId);
+        },
+        focusOnObservable(orbId) {
+            if (!CONFIG.observables.some(o => o.id === orbId)) throw new Error(`Unknown observable: ${orbId}`);
+            focusOnObservable(orbId);
+        },
+        exitFocus,
+        // { size: '1x' | '2x' | '4k', format: 'png' | 'svg', transparent } -> Blob
+        exportImage: options => exportSnapshot(options),
+        undo: () => StateManager.undo(),
+        redo: () => StateManager.redo(),
+        getState: () => StateManager.serialize()
+    });
+
+    // Forward state changes to the host
+    StateManager.subscribe('mode', mode => VizBridge.emit('viewchange', { mode }));
+
+    const emitFocus = () => VizBridge.emit('focuschange', {
+        focusedOrb: StateManager.focusedOrb,
+        focusedObservable: StateManager.focusedObservable
+    });
+    StateManager.subscribe('focusedOrb', emitFocus);
+    StateManager.subscribe('focusedObservable', emitFocus);
+}
+
+// ============================================================
+// Accessibility (screen-reader mirror of the scene)
+// ============================================================
+
+const VIEW_NAME_KEYS = {
+    normal: 'complementarity.view.normal',
+    'ai-view': 'complementarity.view.ai',
+    'human-view': 'complementarity.view.human'
+};
+
+let sceneMirror = null;
+
+// Also called when workshop orbs are added or removed (see CustomOrbs)
+function buildSceneMirror() {
+    if (sceneMirror) sceneMirror.destroy();
+    sceneMirror = VizA11y.createSceneMirror({
+        label: VizI18n.t('complementarity.a11y.label'),
+        groups: [
+            {
+                id: 'unobservables',
+                label: VizI18n.t('complementarity.unobservables'),
+                items: CONFIG.unobservables.map(u => ({ id: u.id, label: u.title, description: u.description }))
+            },
+            {
+                id: 'observables',
+                label: VizI18n.t('complementarity.observables'),
+                items: CONFIG.observables.map(o => ({ id: o.id, label: o.title, description: o.short }))
+            }
+        ],
+        onSelect: (id, group) => (group === 'observables' ? focusOnObservable(id) : focusOnOrb(id)),
+        onClear: exitFocus
+    });
+    sceneMirror.setCurrent(StateManager.focusedOrb || StateManager.focusedObservable);
+}
+
+function setupSceneMirror() {
+    buildSceneMirror();
+
+    // Switching orbs clears one key and sets the other; only the final state is announced
+    let announced = null;
+    const syncFocus = () => {
+        const id = StateManager.focusedOrb || StateManager.focusedObservable;
+        sceneMirror.setCurrent(id);
+        if (id === announced) return;
+        announced = id;
+
+        if (!id) {
+            sceneMirror.announce(VizI18n.t('common.a11y.cleared'));
+            return;
+        }
+        const orb = CONFIG.unobservables.find(u => u.id === id) || CONFIG.observables.find(o => o.id === id);
+        sceneMirror.announce(`${VizI18n.t('common.a11y.selected', { name: orb.title })} ${orb.description}`);
+    };
+
+    StateManager.subscribe('focusedOrb', syncFocus);
+    StateManager.subscribe('focusedObservable', syncFocus);
+    StateManager.subscribe('mode', mode => {
+        sceneMirror.announce(VizI18n.t('common.a11y.view', { name: VizI18n.t(VIEW_NAME_KEYS[mode]) }));
+    });
+}
+
+// ============================================================
+// Snapshot Export
+// ============================================================
+
+// Orb and figure labels, and any speech bubble on screen
+function sceneLabels() {
+    return document.querySelectorAll('.unobservable-label, .observable-label, .figure-label, .conversation-tooltip');
+}
+
+function exportSnapshot(options) {
+    return VizSnapshot.capture({ renderer, scene, camera, labels: sceneLabels }, options);
+}
+
+// ============================================================
+// Recording
+// ============================================================
+
+function setupRecorder() {
+    VizRecorder.register({
+        name: 'complementarity-view',
+        renderer,
+        labels: sceneLabels,
+        scripts: {
+            // The intro, then the first meeting (due after 12 s) and its conversation
+            'intro-meeting': { duration: 32, steps: [] },
+            views: {
+                duration: 20,
+                steps: [
+                    { at: 4, call: 'setViewMode', args: ['ai-view'] },
+                    { at: 8, call: 'setViewMode', args: ['human-view'] },
+                    { at: 12, call: 'setViewMode', args: ['normal'] },
+                    { at: 15, call: 'focusOnOrb', args: [CONFIG.unobservables[0].id] },
+                    { at: 18, call: 'exitFocus' }
+                ]
+            }
+        }
+    });
+}
+
+// ============================================================
+// Keyboard
+// ============================================================
+
+function setupKeyboard() {
+    VizKeys.bind({
+        items: orbSequence,
+        current: () => StateManager.focusedOrb || StateManager.focusedObservable,
+        focus: focusOrbById,
+        exit: exitFocus,
+        // Highlight the orb under the keyboard cursor the way focus does, without moving the camera
+        preview: id => {
+            if (StateManager.focusedOrb || StateManager.focusedObservable) return;
+            if (!id) {
+                setSceneDimming(false, null, null);
+            } else if (CONFIG.observables.some(o => o.id === id)) {
+                setSceneDimming(true, null, id);
+            } else {
+                setSceneDimming(true, id, null);
+            }
+        },
+        views: [
+            { label: VizI18n.t('complementarity.view.ai'), run: () => setViewMode('ai-view') },
+            { label: VizI18n.t('complementarity.view.human'), run: () => setViewMode('human-view') },
+            { label: VizI18n.t('complementarity.view.normal'), run: () => setViewMode('normal') }
+        ],
+        undo: true
+    });
+}
+
+// ============================================================
+// Scripted States (presentation deck and guided tour)
+// ============================================================
+
+// Each starts from a clean overview, so it works whatever came before
+function showView(mode) {
+    exitFocus();
+    setViewMode(mode);
+}
+
+// Orbs are shown in the normal view; the focus move replaces the view's camera move
+function showOrb(orbId) {
+    showView('normal');
+    gsap.killTweensOf(camera.position);
+    gsap.killTweensOf(controls.target);
+    focusOrbById(orbId);
+}
+
+// ============================================================
+// Presentation Mode (?mode=present)
+// ============================================================
+
+function setupPresentation() {
+    const enter = {
+        overview: () => showView('normal'),
+        ai: () => showView('ai-view'),
+        human: () => showView('human-view'),
+        observable: () => showOrb(CONFIG.observables[0].id),
+        unobservable: () => showOrb(CONFIG.unobservables[0].id),
+        together: () => showView('normal')
+    };
+
+    VizPresent.deck({
+        name: 'complementarity-view',
+        slides: SLIDE_IDS.map(id => Object.assign({ id, enter: enter[id] }, CONFIG.slides[id]))
+    });
+}
+
 // ============================================================
+// Guided Tour
+// ============================================================
+
+let guidedTour = null;
+
+function setupTour() {
+    const VIEW_FOR_PRESET = { overview: 'normal', ai: 'ai-view', human: 'human-view' };
+    const steps = {
+        scene: { preset: 'overview', duration: 7 },
+        'ai-view': { preset: 'ai', cue: () => AudioManager.playHoverSound(0) },
+        observable: { focus: CONFIG.observables[0].id, duration: 7 },
+        'human-view': { preset: 'human', cue: () => AudioManager.playHoverSound(4) },
+        unobservable: { focus: CONFIG.unobservables[0].id, duration: 7 },
+        explore: { preset: 'overview' }
+    };
+
+    guidedTour = VizTour.create({
+        name: 'complementarity-view',
+        steps: TOUR_STEP_IDS.map(id => Object.assign({ id, caption: CONFIG.tour[id] }, steps[id])),
+        hooks: {
+            preset: name => showView(VIEW_FOR_PRESET[name]),
+            focus: showOrb,
+            clear: exitFocus
+        }
+    });
+    VizTour.mountButton(guidedTour);
+}
+
+// From the mobile onboarding overlay
+function startTour() {
+    dismissOnboarding();
+    if (guidedTour) guidedTour.play(0);
+}
+
+// ============================================================
+// Workshop Orbs (added by participants, saved in this browser)
+// ============================================================
+
+const CUSTOM_ORBS_KEY = 'complementarity-custom-orbs';
+const ORB_SPACING = 0.6; // Preferred gap between a new orb and its neighbours
+const ZONE_MARGIN = 0.3; // Keeps new orbs off the edge of their zone and the lamp pole
+
+// Stored orbs must name an effect that still exists
+function customOrbSchema() {
+    const orb = effects => ({
+        id: 'string',
+        symbol: 'string',
+        title: 'string',
+        description: 'string',
+        effect: VizContent.oneOf(Object.keys(effects)),
+        position: ORB_POSITION
+    });
+    // A workshop may add only one kind, or remove every orb of one
+    return {
+        unobservables: VizContent.listOf(orb(ORB_EFFECTS), { unique: 'id', empty: true }),
+        observables: VizContent.listOf(Object.assign(orb(OBSERVABLE_EFFECTS), { short: 'string' }), { unique: 'id', empty: true })
+    };
+}
 
-window.addEventListener('DOMContentLoaded', init);
+// The spot in the orb's zone furthest from the orbs already there and from
+// where the figures stand and meet, on a 0.1 grid. Unobservables go around the
+// human and off the lit circle; observables go inside the cone at their height
+// and clear of the lamp pole. A crowded zone still gets its roomiest spot,
+// even if that is closer than ORB_SPACING.
+function findOrbSpot(isObservable) {
+    const taken = (isObservable ? CONFIG.observables : CONFIG.unobservables).map(orb => orb.position)
+        .concat([LIGHT_CONE, HUMAN_AREA_CENTER, MEETING_POINT]);
+    const center = isObservable ? LIGHT_CONE : HUMAN_AREA_CENTER;
+    const reach = isObservable ? lightConeRadiusAt(0.4) - ZONE_MARGIN : HUMAN_AREA_RADIUS + 0.4;
+    const steps = Math.ceil(reach / 0.1);
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+    let best = null;
+    let bestClearance = -Infinity;
+    for (let i = -steps; i <= steps; i++) {
+        for (let j = -steps; j <= steps; j++) {
+            const spot = {
+                x: Math.round((center.x + i * 0.1) * 10) / 10,
+                z: Math.round((center.z + j * 0.1) * 10) / 10
+            };
+            if (distance(spot, center) > reach) continue;
+            if (isObservable && distance(spot, LAMP_POLE_POS) < LAMP_POLE_RADIUS + ZONE_MARGIN) continue;
+            if (!isObservable && distance(spot, LIGHT_CONE) < LIGHT_CONE.radius + ZONE_MARGIN) continue;
+
+            const clearance = Math.min(...taken.map(p => distance(spot, p)));
+            if (clearance > bestClearance) {
+                best = spot;
+                bestClearance = clearance;
+            }
+        }
+    }
+
+    if (bestClearance < ORB_SPACING) console.warn('Zone is crowded - new orb placed', bestClearance.toFixed(2), 'from its neighbour');
+    return best;
+}
+
+// Take an orb out of the scene, its label and the object lists
+function removeOrbObject(group) {
+    scene.remove(group);
+    group.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+
+    const labelIndex = labelElements.findIndex(label => label.object === group);
+    if (labelIndex !== -1) {
+        labelElements[labelIndex].element.remove();
+        labelElements.splice(labelIndex, 1);
+    }
+
+    const objects = group.userData.observable ? observableObjects : unobservableObjects;
+    objects.splice(objects.indexOf(group), 1);
+}
+
+const CustomOrbs = {
+    unobservables: [],
+    observables: [],
+    listeners: [],
+
+    // Saved orbs that no longer validate are dropped as a whole rather than half-built
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(CUSTOM_ORBS_KEY));
+        } catch (e) {
+            console.warn('Could not read saved orbs:', e);
+        }
+        if (!saved) return;
+
+        const errors = VizContent.validate(saved, customOrbSchema());
+        if (errors.length > 0) {
+            console.warn('Ignoring saved orbs:', errors);
+            return;
+        }
+        this.unobservables = saved.unobservables;
+        this.observables = saved.observables;
+    },
+
+    save() {
+        try {
+            localStorage.setItem(CUSTOM_ORBS_KEY, this.exportJson());
+        } catch (e) {
+            // Storage is blocked in some sandboxed iframes; the orbs last for the session
+            console.warn('Could not save orbs:', e);
+        }
+    },
+
+    has(id) {
+        return this.find(id) !== null;
+    },
+
+    // { orb, isObservable } or null
+    find(id) {
+        const unobservable = this.unobservables.find(u => u.id === id);
+        if (unobservable) return { orb: unobservable, isObservable: false };
+        const observable = this.observables.find(o => o.id === id);
+        return observable ? { orb: observable, isObservable: true } : null;
+    },
+
+    // fields: { title, symbol, description, effect }
+    add(isObservable, fields) {
+        const orb = {
+            id: `custom-${Date.now().toString(36)}`,
+            symbol: fields.symbol,
+            title: fields.title,
+            description: fields.description,
+            effect: fields.effect,
+            position: findOrbSpot(isObservable)
+        };
+
+        let group;
+        if (isObservable) {
+            orb.short = fields.description;
+            CONFIG.observables.push(orb);
+            this.observables.push(orb);
+            group = createObservable(orb, observableObjects.length);
+        } else {
+            CONFIG.unobservables.push(orb);
+            this.unobservables.push(orb);
+            group = createUnobservable(orb, unobservableObjects.length);
+        }
+        // The animate loop grows it to full size
+        group.scale.setScalar(0);
+
+        this.changed();
+        return orb;
+    },
+
+    update(id, fields) {
+        const found = this.find(id);
+        if (!found) return;
+        const { orb, isObservable } = found;
+        Object.assign(orb, fields);
+        if (isObservable) orb.short = orb.description;
+
+        // Rebuild so a new effect gets its own geometry
+        const objects = isObservable ? observableObjects : unobservableObjects;
+        const group = objects.find(g => (g.userData.observable || g.userData.unobservable).id === id);
+        const index = group.userData.index;
+        removeOrbObject(group);
+        if (isObservable) {
+            createObservable(orb, index);
+        } else {
+            createUnobservable(orb, index);
+        }
+
+        if (StateManager.focusedOrb === id || StateManager.focusedObservable === id) {
+            showDetailPanel(orb, isObservable);
+        }
+        this.changed();
+    },
+
+    remove(id) {
+        const found = this.find(id);
+        if (!found) return;
+        const { orb, isObservable } = found;
+
+        if (StateManager.focusedOrb === id || StateManager.focusedObservable === id) exitFocus();
+
+        const objects = isObservable ? observableObjects : unobservableObjects;
+        removeOrbObject(objects.find(g => (g.userData.observable || g.userData.unobservable).id === id));
+
+        [isObservable ? CONFIG.observables : CONFIG.unobservables, isObservable ? this.observables : this.unobservables]
+            .forEach(list => list.splice(list.indexOf(orb), 1));
+
+        this.changed();
+    },
+
+    changed() {
+        this.save();
+        buildSceneMirror();
+        AuthorMode.refresh();
+        this.listeners.forEach(cb => cb());
+    },
+
+    onChange(cb) {
+        this.listeners.push(cb);
+    },
+
+    // Same shape as the orb lists in content.json, ready to paste in
+    exportJson() {
+        return JSON.stringify({ unobservables: this.unobservables, observables: this.observables }, null, 2);
+    }
+};
+
+// ============================================================
+// Panels (legend buttons and the sound mixer)
+// ============================================================
+
+/**
+ * Open and close a panel from its button. Opening moves focus into the panel;
+ * the close button and Escape hide it and give focus back to the button.
+ * @param {Object} options
+ * @param {HTMLElement} options.panel
+ * @param {HTMLElement} options.openButton
+ * @param {HTMLElement} [options.closeButton]
+ * @param {Function} [options.focus] - Returns what to focus on open; defaults to closeButton
+ * @param {Function} [options.onOpen] - Runs once the panel shows; focus it moves into the panel stays
+ * @param {Function} [options.onClose] - Runs once the panel hides
+ * @param {boolean} [options.toggle] - The button closes the panel too, and keeps aria-expanded
+ * @returns {{open: Function, close: Function}}
+ */
+function setupPanel({ panel, openButton, closeButton, focus, onOpen, onClose, toggle = false }) {
+    const setHidden = (hidden) => {
+        panel.hidden = hidden;
+        if (toggle) openButton.setAttribute('aria-expanded', String(!hidden));
+    };
+
+    const open = () => {
+        setHidden(false);
+        if (onOpen) onOpen();
+        if (panel.contains(document.activeElement)) return;
+        const target = focus ? focus() : closeButton;
+        if (target) target.focus();
+    };
+
+    const close = () => {
+        setHidden(true);
+        if (onClose) onClose();
+        openButton.focus();
+    };
+
+    openButton.addEventListener('click', () => (toggle && !panel.hidden ? close() : open()));
+    if (closeButton) closeButton.addEventListener('click', close);
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            // Keep VizKeys from also leaving focus
+            e.preventDefault();
+            close();
+        }
+    });
+
+    return { open, close };
+}
+
+// ============================================================
+// Orb Editor (legend "Add your own" button)
+// ============================================================
+
+function setupOrbEditor() {
+    const editor = document.getElementById('orbEditor');
+    const form = document.getElementById('orbEditorForm');
+    const list = document.getElementById('orbEditorList');
+    const submit = document.getElementById('orbEditorSubmit');
+    const cancel = document.getElementById('orbEditorCancel');
+    const openButton = document.getElementById('legendAdd');
+    if (!editor || !openButton) return;
+
+    let editingId = null;
+
+    const isObservableKind = () => form.elements.kind.value === 'observable';
+
+    // Effect styles are named after the shipped orb that introduced them
+    function fillEffects(selected) {
+        const isObservable = isObservableKind();
+        const effects = isObservable ? OBSERVABLE_EFFECTS : ORB_EFFECTS;
+        const orbs = isObservable ? CONFIG.observables : CONFIG.unobservables;
+        form.elements.effect.innerHTML = '';
+        Object.keys(effects).forEach(key => {
+            const orb = orbs.find(o => o.id === key);
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = orb ? `${orb.symbol} ${orb.title}` : key;
+            form.elements.effect.appendChild(option);
+        });
+        if (selected) form.elements.effect.value = selected;
+    }
+
+    function resetForm() {
+        editingId = null;
+        form.reset();
+        Array.from(form.elements.kind).forEach(radio => { radio.disabled = false; });
+        submit.textContent = VizI18n.t('complementarity.editor.add');
+        cancel.hidden = true;
+        fillEffects();
+    }
+
+    function startEdit(id) {
+        const { orb, isObservable } = CustomOrbs.find(id);
+        editingId = id;
+        form.elements.kind.value = isObservable ? 'observable' : 'unobservable';
+        Array.from(form.elements.kind).forEach(radio => { radio.disabled = true; });
+        fillEffects(orb.effect);
+        form.elements.title.value = orb.title;
+        form.elements.symbol.value = orb.symbol;
+        form.elements.description.value = orb.description;
+        submit.textContent = VizI18n.t('complementarity.editor.save');
+        cancel.hidden = false;
+        form.elements.title.focus();
+    }
+
+    function renderList() {
+        list.innerHTML = '';
+        const orbs = [
+            ...CustomOrbs.unobservables.map(orb => ({ orb, isObservable: false })),
+            ...CustomOrbs.observables.map(orb => ({ orb, isObservable: true }))
+        ];
+
+        if (orbs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'orb-editor__empty';
+            empty.textContent = VizI18n.t('complementarity.editor.empty');
+            list.appendChild(empty);
+        }
+
+        orbs.forEach(({ orb, isObservable }) => {
+            const item = document.createElement('li');
+            item.className = `orb-editor__item${isObservable ? ' orb-editor__item--observable' : ''}`;
+            item.innerHTML = `
+                <span class="orb-editor__item-symbol"></span>
+                <span class="orb-editor__item-title"></span>
+                <button type="button" class="orb-editor__link" data-action="edit"></button>
+                <button type="button" class="orb-editor__link" data-action="remove"></button>
+            `;
+            item.querySelector('.orb-editor__item-symbol').textContent = orb.symbol;
+            item.querySelector('.orb-editor__item-title').textContent = orb.title;
+
+            const edit = item.querySelector('[data-action="edit"]');
+            edit.textContent = VizI18n.t('complementarity.editor.edit');
+            edit.setAttribute('aria-label', VizI18n.t('complementarity.editor.editOrb', { name: orb.title }));
+            edit.addEventListener('click', () => startEdit(orb.id));
+
+            const remove = item.querySelector('[data-action="remove"]');
+            remove.textContent = VizI18n.t('complementarity.editor.remove');
+            remove.setAttribute('aria-label', VizI18n.t('complementarity.editor.removeOrb', { name: orb.title }));
+            remove.addEventListener('click', () => {
+                if (editingId === orb.id) resetForm();
+                CustomOrbs.remove(orb.id);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    form.addEventListener('change', (e) => {
+        if (e.target.name === 'kind') fillEffects();
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        // required lets whitespace through; content.json rejects empty text
+        const fields = {};
+        for (const name of ['title', 'symbol', 'description']) {
+            fields[name] = form.elements[name].value.trim();
+            if (!fields[name]) {
+                form.elements[name].focus();
+                return;
+            }
+        }
+        fields.effect = form.elements.effect.value;
+
+        if (editingId) {
+            CustomOrbs.update(editingId, fields);
+        } else {
+            const isObservable = isObservableKind();
+            const orb = CustomOrbs.add(isObservable, fields);
+            // Show where it landed; observables are hidden in the human view
+            if (isObservable && StateManager.mode === 'human-view') {
+                showOrb(orb.id);
+            } else {
+                focusOrbById(orb.id);
+            }
+        }
+        resetForm();
+    });
+
+    cancel.addEventListener('click', resetForm);
+
+    document.getElementById('orbEditorExport').addEventListener('click', () => {
+        VizSnapshot.download(new Blob([CustomOrbs.exportJson() + '\n'], { type: 'application/json' }), 'custom-orbs.json');
+    });
+
+    setupPanel({
+        panel: editor,
+        openButton,
+        closeButton: document.getElementById('orbEditorClose'),
+        focus: () => form.elements.title,
+        onClose: resetForm
+    });
+
+    CustomOrbs.onChange(renderList);
+    resetForm();
+    renderList();
+}
+
+// ============================================================
+// Quiz Mode (legend "Test yourself" button)
+// ============================================================
+
+const QUIZ_LENGTH = 8;
+
+// Cards are dropped on the ground: the lamp's circle means the AI can see it,
+// the human's circle means only the human can
+const QUIZ_ZONES = {
+    observable: LIGHT_CONE,
+    unobservable: HUMAN_PERCEPTION
+};
+
+const QuizMode = {
+    active: false,
+    items: [],     // { orb, kind: 'observable' | 'unobservable', group }
+    index: 0,
+    score: 0,
+    answered: false,
+    hidden: new Set(), // Orb ids still to be placed; their orbs and labels are hidden
+    el: {},
+
+    setup() {
+        const ids = ['quiz', 'quizProgress', 'quizCard', 'quizSymbol', 'quizCardTitle', 'quizChoices',
+            'quizFeedback', 'quizVerdict', 'quizExplanation', 'quizNext', 'quizResult', 'quizScore'];
+        ids.forEach(id => { this.el[id] = document.getElementById(id); });
+        const openButton = document.getElementById('legendQuiz');
+        if (!this.el.quiz || !openButton) return;
+
+        // start() shows the first card and focuses its choices
+        const panel = setupPanel({
+            panel: this.el.quiz,
+            openButton,
+            closeButton: document.getElementById('quizClose'),
+            onOpen: () => this.start(),
+            onClose: () => this.stop()
+        });
+        document.getElementById('quizRetry').addEventListener('click', () => this.start());
+        document.getElementById('quizDone').addEventListener('click', panel.close);
+        this.el.quizNext.addEventListener('click', () => this.next());
+
+        // Buttons answer without dragging (keyboard, screen readers, small screens)
+        this.el.quizChoices.querySelectorAll('[data-zone]').forEach(button => {
+            button.addEventListener('click', () => this.answer(button.dataset.zone, null));
+        });
+
+        this.setupDrag();
+    },
+
+    start() {
+        exitFocus();
+        showView('normal');
+        this.restoreOrbs();
+
+        const pool = [
+            ...CONFIG.unobservables.map(orb => ({ orb, kind: 'unobservable' })),
+            ...CONFIG.observables.map(orb => ({ orb, kind: 'observable' }))
+        ];
+        // Fisher-Yates
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        this.items = pool.slice(0, QUIZ_LENGTH).map(item => Object.assign(item, {
+            group: (item.kind === 'observable' ? observableObjects : unobservableObjects)
+                .find(g => (g.userData.observable || g.userData.unobservable).id === item.orb.id)
+        }));
+
+        this.items.forEach(item => this.setOrbHidden(item, true));
+        this.index = 0;
+        this.score = 0;
+        this.active = true;
+        document.body.classList.add('quiz-active');
+        this.el.quizResult.hidden = true;
+        this.showCard();
+    },
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this.restoreOrbs();
+        document.body.classList.remove('quiz-active');
+    },
+
+    setOrbHidden(item, hidden) {
+        item.group.visible = !hidden;
+        const label = labelElements.find(l => l.object === item.group);
+        if (label) label.element.classList.toggle('quiz-hidden', hidden);
+        if (hidden) {
+            this.hidden.add(item.orb.id);
+        } else {
+            this.hidden.delete(item.orb.id);
+        }
+    },
+
+    // Every orb back in view and at its true position, even mid-flight
+    restoreOrbs() {
+        this.items.forEach(item => {
+            gsap.killTweensOf(item.group.position);
+            item.group.position.x = item.orb.position.x;
+            item.group.position.z = item.orb.position.z;
+            this.setOrbHidden(item, false);
+        });
+    },
+
+    showCard() {
+        const item = this.items[this.index];
+        this.answered = false;
+        this.el.quizProgress.textContent = VizI18n.t('complementarity.quiz.progress', {
+            index: this.index + 1,
+            total: this.items.length,
+            score: this.score
+        });
+        this.el.quizSymbol.textContent = item.orb.symbol;
+        this.el.quizCardTitle.textContent = item.orb.title;
+        this.el.quizCard.hidden = false;
+        this.el.quizChoices.hidden = false;
+        this.el.quizFeedback.hidden = true;
+        this.el.quizChoices.querySelector('button').focus();
+    },
+
+    // The zone under a screen point, or null off both circles. Where they
+    // overlap, the nearer centre wins.
+    zoneAt(clientX, clientY) {
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            (clientX / window.innerWidth) * 2 - 1,
+            -(clientY / window.innerHeight) * 2 + 1
+        ), camera);
+        const point = new THREE.Vector3();
+        if (!raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), point)) return null;
+
+        let best = null;
+        let bestDistance = Infinity;
+        Object.keys(QUIZ_ZONES).forEach(kind => {
+            const zone = QUIZ_ZONES[kind];
+            const distance = Math.hypot(point.x - zone.x, point.z - zone.z);
+            if (distance <= zone.radius && distance < bestDistance) {
+                best = { kind, point };
+                bestDistance = distance;
+            }
+        });
+        return best;
+    },
+
+    setupDrag() {
+        const card = this.el.quizCard;
+        const panel = this.el.quiz;
+
+        card.addEventListener('pointerdown', (e) => {
+            if (this.answered) return;
+            e.preventDefault();
+            card.setPointerCapture(e.pointerId);
+            const start = { x: e.clientX, y: e.clientY };
+            card.classList.add('quiz__card--dragging');
+
+            // Off the panel and over a circle; the panel sits on top of the scene
+            const dropZone = (ev) => {
+                const rect = panel.getBoundingClientRect();
+                const overPanel = ev.clientX >= rect.left && ev.clientX <= rect.right &&
+                    ev.clientY >= rect.top && ev.clientY <= rect.bottom;
+                return overPanel ? null : this.zoneAt(ev.clientX, ev.clientY);
+            };
+
+            const move = (ev) => {
+                card.style.transform = `translate(${ev.clientX - start.x}px, ${ev.clientY - start.y}px)`;
+                const zone = dropZone(ev);
+                card.dataset.zone = zone ? zone.kind : '';
+            };
+
+            const end = (ev) => {
+                card.removeEventListener('pointermove', move);
+                card.removeEventListener('pointerup', end);
+                card.removeEventListener('pointercancel', end);
+                card.classList.remove('quiz__card--dragging');
+                card.style.transform = '';
+                card.dataset.zone = '';
+
+                const zone = ev.type === 'pointerup' ? dropZone(ev) : null;
+                if (zone) this.answer(zone.kind, zone.point);
+            };
+
+            card.addEventListener('pointermove', move);
+            card.addEventListener('pointerup', end);
+            card.addEventListener('pointercancel', end);
+        });
+    },
+
+    // guess: the zone kind chosen; from: where the card was dropped (null for the buttons)
+    answer(guess, from) {
+        if (this.answered) return;
+        this.answered = true;
+
+        const item = this.items[this.index];
+        const correct = guess === item.kind;
+        if (correct) this.score++;
+
+        // The orb appears where it was placed, then flies to where it belongs
+        const start = from || QUIZ_ZONES[guess];
+        item.group.position.x = start.x;
+        item.group.position.z = start.z;
+        this.setOrbHidden(item, false);
+        if (VizMotion.reduced) {
+            item.group.position.x = item.orb.position.x;
+            item.group.position.z = item.orb.position.z;
+        } else {
+            gsap.to(item.group.position, {
+                x: item.orb.position.x,
+                z: item.orb.position.z,
+                duration: 1.4,
+                ease: 'power2.inOut'
+            });
+        }
+
+        if (correct) {
+            AudioManager.playFocusSound();
+        } else {
+            AudioManager.playExitSound();
+        }
+
+        const zoneKey = item.kind === 'observable' ? 'ai' : 'human';
+        this.el.quizVerdict.textContent = VizI18n.t(`complementarity.quiz.${correct ? 'correct' : 'wrong'}`, {
+            zone: VizI18n.t(`complementarity.quiz.${zoneKey}Sees`)
+        });
+        this.el.quizVerdict.classList.toggle('quiz__verdict--wrong', !correct);
+        this.el.quizExplanation.textContent = item.orb.description;
+        this.el.quizCard.hidden = true;
+        this.el.quizChoices.hidden = true;
+        this.el.quizFeedback.hidden = false;
+        this.el.quizNext.textContent = VizI18n.t(this.index + 1 < this.items.length
+            ? 'complementarity.quiz.next'
+            : 'complementarity.quiz.finish');
+        this.el.quizNext.focus();
+    },
+
+    next() {
+        this.index++;
+        if (this.index < this.items.length) {
+            this.showCard();
+            return;
+        }
+
+        this.el.quizProgress.textContent = '';
+        this.el.quizFeedback.hidden = true;
+        this.el.quizScore.textContent = VizI18n.t('complementarity.quiz.score', {
+            score: this.score,
+            total: this.items.length
+        });
+        this.el.quizResult.hidden = false;
+        document.getElementById('quizRetry').focus();
+    }
+};
+
+// ============================================================
+// Authoring Mode (?author=true)
+// ============================================================
+
+// Drag orbs across the ground with a transform gizmo, see at a glance which
+// ones have left their zone, and export content.json with the new positions.
+// Positions are written back into the loaded content as they move.
+const AuthorMode = {
+    active: new URLSearchParams(window.location.search).get('author') === 'true',
+    content: null,
+    gizmo: null,
+    selected: null,
+    markers: new Map(), // Orb group -> ground ring, green in its zone, red outside
+    panel: null,
+
+    init(content) {
+        if (!this.active) return;
+        if (typeof THREE.TransformControls === 'undefined') {
+            console.warn('TransformControls not available - authoring mode disabled');
+            return;
+        }
+        this.content = content;
+
+        // Orbs bob on y every frame, so the gizmo only moves them across the ground
+        this.gizmo = new THREE.TransformControls(camera, renderer.domElement);
+        this.gizmo.showY = false;
+        this.gizmo.setTranslationSnap(0.1);
+        this.gizmo.setSize(0.6);
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            if (controls) controls.enabled = !e.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => this.onMove());
+        scene.add(this.gizmo);
+
+        this.orbs().forEach(group => this.addMarker(group));
+        this.createPanel();
+
+        // Capture phase, so picking an orb here doesn't also focus it
+        document.addEventListener('click', (e) => {
+            if (e.target !== renderer.domElement) return;
+            const group = this.pick(e.clientX, e.clientY);
+            if (!group) return;
+            e.stopPropagation();
+            this.select(group);
+        }, true);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.select(null);
+        });
+
+        this.render();
+        console.log('Authoring mode enabled');
+    },
+
+    orbs() {
+        return [...unobservableObjects, ...observableObjects];
+    },
+
+    dataFor(group) {
+        return group.userData.unobservable || group.userData.observable;
+    },
+
+    // Unobservables must stay off the lit circle on the ground; observables
+    // must be inside the cone where it crosses their height
+    inZone(group) {
+        const distance = Math.hypot(group.position.x - LIGHT_CONE.x, group.position.z - LIGHT_CONE.z);
+        return group.userData.observable
+            ? distance <= lightConeRadiusAt(group.userData.baseY)
+            : distance > LIGHT_CONE.radius;
+    },
+
+    pick(clientX, clientY) {
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            (clientX / window.innerWidth) * 2 - 1,
+            -(clientY / window.innerHeight) * 2 + 1
+        ), camera);
+        const hits = raycaster.intersectObjects(this.orbs().map(g => g.children[0]));
+        return hits.length > 0 ? hits[0].object.parent : null;
+    },
+
+    select(group) {
+        if (group === this.selected) return;
+        this.selected = group;
+        if (group) {
+            this.gizmo.attach(group);
+        } else {
+            this.gizmo.detach();
+        }
+        this.render();
+    },
+
+    addMarker(group) {
+        const marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.2, 0.26, 32),
+            new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.8, depthWrite: false })
+        );
+        marker.rotation.x = -Math.PI / 2;
+        marker.position.set(group.position.x, 0.03, group.position.z);
+        scene.add(marker);
+        this.markers.set(group, marker);
+    },
+
+    onMove() {
+        const group = this.selected;
+        const data = this.dataFor(group);
+        data.position.x = Math.round(group.position.x * 100) / 100;
+        data.position.z = Math.round(group.position.z * 100) / 100;
+        this.markers.get(group).position.set(group.position.x, 0.03, group.position.z);
+        if (CustomOrbs.has(data.id)) CustomOrbs.save();
+        this.render();
+    },
+
+    // Orbs were added or removed at runtime (see CustomOrbs)
+    refresh() {
+        if (!this.gizmo) return;
+        const orbs = this.orbs();
+        this.markers.forEach((marker, group) => {
+            if (orbs.includes(group)) return;
+            scene.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+            this.markers.delete(group);
+        });
+        orbs.filter(group => !this.markers.has(group)).forEach(group => this.addMarker(group));
+        if (this.selected && !orbs.includes(this.selected)) this.select(null);
+        this.render();
+    },
+
+    createPanel() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'author-panel';
+        this.panel.setAttribute('aria-label', VizI18n.t('complementarity.author.title'));
+        this.panel.innerHTML = `
+            <h2 class="author-panel__title">${VizI18n.t('complementarity.author.title')}</h2>
+            <p class="author-panel__hint">${VizI18n.t('complementarity.author.hint')}</p>
+            <p class="author-panel__selected"></p>
+            <ul class="author-panel__problems" aria-live="polite"></ul>
+            <div class="author-panel__actions">
+                <button type="button" class="author-panel__btn" data-action="copy">${VizI18n.t('complementarity.author.copy')}</button>
+                <button type="button" class="author-panel__btn" data-action="download">${VizI18n.t('complementarity.author.download')}</button>
+            </div>
+        `;
+        this.panel.querySelector('[data-action="copy"]').addEventListener('click', (e) => {
+            const button = e.currentTarget;
+            navigator.clipboard.writeText(this.exportJson()).then(() => {
+                button.textContent = VizI18n.t('complementarity.author.copied');
+                setTimeout(() => { button.textContent = VizI18n.t('complementarity.author.copy'); }, 1500);
+            });
+        });
+        this.panel.querySelector('[data-action="download"]').addEventListener('click', () => {
+            VizSnapshot.download(new Blob([this.exportJson()], { type: 'application/json' }), 'content.json');
+        });
+        document.body.appendChild(this.panel);
+    },
+
+    render() {
+        const misplaced = [];
+        this.orbs().forEach(group => {
+            const ok = this.inZone(group);
+            this.markers.get(group).material.color.setHex(ok ? CONFIG.colors.human : 0xef4444);
+            if (!ok) misplaced.push(group);
+        });
+
+        const selected = this.panel.querySelector('.author-panel__selected');
+        if (this.selected) {
+            const data = this.dataFor(this.selected);
+            selected.textContent = VizI18n.t('complementarity.author.position', {
+                name: data.title,
+                x: data.position.x.toFixed(2),
+                z: data.position.z.toFixed(2)
+            });
+        } else {
+            selected.textContent = VizI18n.t('complementarity.author.none');
+        }
+
+        const problems = this.panel.querySelector('.author-panel__problems');
+        problems.innerHTML = '';
+        if (misplaced.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'author-panel__ok';
+            item.textContent = VizI18n.t('complementarity.author.valid');
+            problems.appendChild(item);
+        }
+        misplaced.forEach(group => {
+            const item = document.createElement('li');
+            item.textContent = VizI18n.t(
+                group.userData.observable ? 'complementarity.author.inside' : 'complementarity.author.outside',
+                { name: this.dataFor(group).title }
+            );
+            problems.appendChild(item);
+        });
+    },
+
+    exportJson() {
+        return JSON.stringify(this.content, null, 2) + '\n';
+    }
+};
+
+// ============================================================
+// Perception (legend "What each noticed" button)
+// ============================================================
+
+// The lamp light and the human's circle mark where each agent can perceive;
+// its radius says how far from where it stands. Each frame the figures'
+// perceived sets are recomputed as they patrol (StateManager.perceived), a
+// ring on the ground shows each radius, perceived orbs glow brighter
+// (updateProximityGlow), and every orb that comes into a set is logged to the
+// timeline panel.
+const PERCEPTION_RADIUS = { ai: 3, human: 3 };
+const PERCEPTION_HYSTERESIS = 0.3; // A perceived orb is kept this far past the radius, so the edge doesn't flicker
+const PERCEPTION_LOG_LIMIT = 100; // Timeline entries kept, newest first
+const PERCEPTION_AGENTS = ['ai', 'human'];
+
+const Perception = {
+    startedAt: Date.now(),
+    groups: { ai: [], human: [] }, // Perceived orb groups, for the HUD and the glow
+    rings: {},
+    counts: null, // Last "now" counts, so the DOM only changes when they do
+    el: {},
+
+    setup() {
+        PERCEPTION_AGENTS.forEach(agent => {
+            const radius = PERCEPTION_RADIUS[agent];
+            const ring = new THREE.Mesh(
+                new THREE.RingGeometry(radius - 0.04, radius, 64),
+                new THREE.MeshBasicMaterial({
+                    color: agent === 'ai' ? CONFIG.colors.ai : CONFIG.colors.human,
+                    transparent: true,
+                    opacity: 0.35,
+                    depthWrite: false
+                })
+            );
+            ring.rotation.x = -Math.PI / 2;
+            ring.position.y = 0.04;
+            scene.add(ring);
+            this.rings[agent] = ring;
+        });
+
+        const panel = document.getElementById('perceptionPanel');
+        const openButton = document.getElementById('legendPerception');
+        if (!panel || !openButton) return;
+
+        this.el = {
+            now: document.getElementById('perceptionNow'),
+            log: document.getElementById('perceptionLog'),
+            empty: document.getElementById('perceptionEmpty')
+        };
+
+        setupPanel({ panel, openButton, closeButton: document.getElementById('perceptionClose') });
+    },
+
+    figure(agent) {
+        return agent === 'ai' ? aiRobot : humanModel;
+    },
+
+    // On the agent's side of the light and within its radius of the figure
+    perceives(agent, group, figure) {
+        if (LightControls.inLight(group) !== (agent === 'ai')) return false;
+        const wasPerceived = StateManager.perceived[agent].has(this.idOf(group));
+        const reach = PERCEPTION_RADIUS[agent] + (wasPerceived ? PERCEPTION_HYSTERESIS : 0);
+        return Math.hypot(group.position.x - figure.position.x, group.position.z - figure.position.z) <= reach;
+    },
+
+    idOf(group) {
+        return (group.userData.unobservable || group.userData.observable).id;
+    },
+
+    isPerceived(group) {
+        const id = this.idOf(group);
+        return StateManager.perceived.ai.has(id) || StateManager.perceived.human.has(id);
+    },
+
+    update() {
+        // Quiz cards fly orbs about; hold the sets until it ends
+        if (QuizMode.active) return;
+
+        const orbs = unobservableObjects.concat(observableObjects);
+        PERCEPTION_AGENTS.forEach(agent => {
+            const figure = this.figure(agent);
+            const ring = this.rings[agent];
+            if (!figure) return;
+            if (ring) ring.position.set(figure.position.x, ring.position.y, figure.position.z);
+
+            const groups = orbs.filter(group => this.perceives(agent, group, figure));
+            const ids = new Set(groups.map(group => this.idOf(group)));
+            groups.forEach(group => {
+                if (!StateManager.perceived[agent].has(this.idOf(group))) this.notice(agent, group);
+            });
+            this.groups[agent] = groups;
+            StateManager.perceived[agent] = ids;
+        });
+
+        this.renderNow();
+    },
+
+    // An orb came into the agent's set: add it to the top of the timeline
+    notice(agent, group) {
+        if (!this.el.log) return;
+        const data = group.userData.unobservable || group.userData.observable;
+
+        const item = document.createElement('li');
+        item.className = `perception-panel__entry perception-panel__entry--${agent}`;
+        const at = document.createElement('time');
+        at.className = 'perception-panel__time';
+        at.textContent = this.elapsed();
+        const text = document.createElement('span');
+        text.textContent = VizI18n.t('complementarity.perception.noticed', {
+            agent: VizI18n.t(agent === 'ai' ? 'common.ai' : 'common.human'),
+            name: `${data.symbol} ${data.title}`
+        });
+        item.append(at, text);
+
+        this.el.log.prepend(item);
+        if (this.el.log.children.length > PERCEPTION_LOG_LIMIT) this.el.log.lastElementChild.remove();
+        this.el.empty.hidden = true;
+    },
+
+    // Session time as m:ss
+    elapsed() {
+        const seconds = Math.floor((Date.now() - this.startedAt) / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    renderNow() {
+        const ai = this.groups.ai.length;
+        const human = this.groups.human.length;
+        if (this.counts && this.counts.ai === ai && this.counts.human === human) return;
+        this.counts = { ai, human };
+        if (this.el.now) this.el.now.textContent = VizI18n.t('complementarity.perception.now', { ai, human });
+    }
+};
+
+// ============================================================
+// First-Person Views (See as AI / See as Human)
+// ============================================================
+
+// The two view modes ride along in a figure's head as it patrols. Each agent
+// sees through its own post-processing look, and a HUD lists what it perceives
+// right now (see Perception).
+const FIRST_PERSON_FOV = 70;
+const FIRST_PERSON_BLEND = 1.5; // Seconds to fly from the orbit camera into the head
+const FIRST_PERSON_EYES = {
+    ai: { ahead: 0.28, drop: 0.6 }, // Just in front of the glass dome, looking down at the lit ground
+    human: { ahead: 0.15, drop: 0.45 }
+};
+
+const FULLSCREEN_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// AI: colours snap to a few levels on a coarse pixel grid, graded towards the
+// observables' cyan, with faint scan lines
+const DATA_VIEW_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2(1, 1) },
+        cell: { value: 4 },
+        levels: { value: 5 },
+        tint: { value: new THREE.Color(CONFIG.colors.observable) }
+    },
+    vertexShader: FULLSCREEN_VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float cell;
+        uniform float levels;
+        uniform vec3 tint;
+        varying vec2 vUv;
+        void main() {
+            vec2 size = cell / resolution;
+            vec2 uv = (floor(vUv / size) + 0.5) * size;
+            vec3 color = floor(texture2D(tDiffuse, uv).rgb * levels + 0.5) / levels;
+            float luma = dot(color, vec3(0.299, 0.587, 0.114));
+            color = mix(color, tint * luma * 1.5, 0.55);
+            color *= 0.88 + 0.12 * step(0.5, fract(gl_FragCoord.y / cell));
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
+
+// Human: a warm grade and a soft vignette, after the depth of field
+const WARM_VIEW_SHADER = {
+    uniforms: {
+        tDiffuse: { value: null },
+        tint: { value: new THREE.Color(CONFIG.colors.unobservable) }
+    },
+    vertexShader: FULLSCREEN_VERTEX_SHADER,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec3 tint;
+        varying vec2 vUv;
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            float luma = dot(texel.rgb, vec3(0.299, 0.587, 0.114));
+            vec3 color = mix(texel.rgb, tint * luma * 1.6, 0.2) * vec3(1.08, 1.0, 0.88);
+            color *= 1.0 - smoothstep(0.35, 0.85, distance(vUv, vec2(0.5)));
+            gl_FragColor = vec4(color, texel.a);
+        }
+    `
+};
+
+const FirstPerson = {
+    active: false,
+    agent: null, // 'ai' | 'human' while riding along
+    blend: 1, // 0 at the orbit camera, 1 in the head
+    from: null, // Camera pose the blend starts from
+    heading: 0, // Smoothed, so the view doesn't snap when the head does
+    pose: null, // { heading, figure } from headPose()
+    eye: new THREE.Vector3(),
+    target: new THREE.Vector3(),
+    headQuaternion: new THREE.Quaternion(),
+    lookMatrix: new THREE.Matrix4(),
+    composers: {}, // Per agent; empty without the post-processing scripts or in low-fi mode
+    dataView: null,
+    bokeh: null,
+    shown: '', // Ids on the HUD, so the DOM only changes when they do
+    el: {},
+
+    setup() {
+        this.el = {
+            hud: document.getElementById('firstPersonHud'),
+            title: document.getElementById('firstPersonTitle'),
+            list: document.getElementById('firstPersonList'),
+            empty: document.getElementById('firstPersonEmpty')
+        };
+
+        if (typeof THREE.EffectComposer === 'undefined' || PerformanceMode.isLowFi) return;
+
+        const dataView = new THREE.ShaderPass(DATA_VIEW_SHADER);
+        this.composers.ai = this.createComposer([dataView]);
+        this.dataView = dataView;
+
+        this.bokeh = new THREE.BokehPass(scene, camera, {
+            focus: PERCEPTION_RADIUS.human,
+            aperture: 0.002,
+            maxblur: 0.006,
+            width: window.innerWidth,
+            height: window.innerHeight
+        });
+        this.composers.human = this.createComposer([this.bokeh, new THREE.ShaderPass(WARM_VIEW_SHADER)]);
+
+        this.resize();
+    },
+
+    createComposer(passes) {
+        const composer = new THREE.EffectComposer(renderer);
+        composer.addPass(new THREE.RenderPass(scene, camera));
+        passes.forEach(pass => composer.addPass(pass));
+        return composer;
+    },
+
+    enter(agent) {
+        if (this.agent === agent) return;
+        this.active = true;
+        this.agent = agent;
+
+        // Any orbit move still running would fight the head camera
+        if (typeof gsap !== 'undefined') {
+            gsap.killTweensOf(camera.position);
+            gsap.killTweensOf(this);
+            if (controls) gsap.killTweensOf(controls.target);
+        }
+        if (controls) {
+            controls.enabled = false;
+            controls.autoRotate = false;
+            StateManager.isAutoOrbit = false;
+        }
+
+        this.heading = this.headPose() ? this.pose.heading : 0;
+        this.from = {
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            fov: this.from ? this.from.fov : camera.fov
+        };
+        this.shown = null;
+        this.showFigures();
+        this.el.hud?.classList.toggle('first-person-hud--ai', agent === 'ai');
+        this.el.hud?.classList.toggle('first-person-hud--human', agent === 'human');
+        if (this.el.title) this.el.title.textContent = VizI18n.t(`complementarity.firstPerson.${agent}`);
+        if (this.el.hud) this.el.hud.hidden = false;
+
+        this.blend = 0;
+        if (VizMotion.reduced || typeof gsap === 'undefined') {
+            VizMotion.crossfade(() => { this.blend = 1; });
+            return;
+        }
+        gsap.to(this, { blend: 1, duration: FIRST_PERSON_BLEND, ease: 'power2.inOut' });
+    },
+
+    // Hand the camera back to OrbitControls where it is; the caller flies it on
+    exit() {
+        if (!this.active) return;
+        this.active = false;
+        this.agent = null;
+        if (typeof gsap !== 'undefined') gsap.killTweensOf(this);
+
+        camera.fov = this.from.fov;
+        camera.updateProjectionMatrix();
+        this.from = null;
+
+        this.showFigures();
+        if (this.el.hud) this.el.hud.hidden = true;
+
+        if (controls) {
+            camera.getWorldDirection(this.target);
+            controls.target.copy(camera.position).addScaledVector(this.target, 4);
+            controls.enabled = true;
+            controls.update();
+        }
+    },
+
+    showFigures() {
+        if (aiRobot) aiRobot.visible = true;
+        if (humanModel) humanModel.visible = true;
+    },
+
+    // Eye position and heading of the figure being ridden, into this.eye / this.pose
+    headPose() {
+        if (this.agent === 'ai' && aiRobot && aiHeadGroup) {
+            aiHeadGroup.getWorldPosition(this.eye);
+            this.pose = { heading: aiRobotState.currentHeadAngle, figure: aiRobot };
+            return true;
+        }
+        if (this.agent === 'human' && humanModel) {
+            this.eye.set(humanModel.position.x, humanModel.position.y + HUMAN_FIGURE_HEIGHT * 0.9, humanModel.position.z);
+            this.pose = { heading: humanState.currentAngle, figure: humanModel };
+            return true;
+        }
+        return false;
+    },
+
+    update() {
+        if (!this.active || !this.headPose()) return;
+
+        const { ahead, drop } = FIRST_PERSON_EYES[this.agent];
+        this.heading += normalizeAngle(this.pose.heading - this.heading) * 0.12;
+        const forwardX = Math.sin(this.heading);
+        const forwardZ = Math.cos(this.heading);
+        this.eye.x += forwardX * ahead;
+        this.eye.z += forwardZ * ahead;
+        this.target.set(this.eye.x + forwardX * 4, this.eye.y - drop, this.eye.z + forwardZ * 4);
+        this.lookMatrix.lookAt(this.eye, this.target, camera.up);
+        this.headQuaternion.setFromRotationMatrix(this.lookMatrix);
+
+        if (this.blend < 1) {
+            camera.position.lerpVectors(this.from.position, this.eye, this.blend);
+            camera.quaternion.copy(this.from.quaternion).slerp(this.headQuaternion, this.blend);
+            camera.fov = this.from.fov + (FIRST_PERSON_FOV - this.from.fov) * this.blend;
+            camera.updateProjectionMatrix();
+        } else {
+            camera.position.copy(this.eye);
+            camera.quaternion.copy(this.headQuaternion);
+            if (camera.fov !== FIRST_PERSON_FOV) {
+                camera.fov = FIRST_PERSON_FOV;
+                camera.updateProjectionMatrix();
+            }
+        }
+
+        // The ridden figure would fill the lens; the other stays in view
+        this.pose.figure.visible = this.blend < 0.9;
+
+        const perceived = Perception.groups[this.agent];
+        this.updateHud(perceived);
+
+        // Human focus settles on the nearest orb in reach
+        if (this.bokeh && this.agent === 'human') {
+            const nearest = perceived.reduce((best, group) => Math.min(best, camera.position.distanceTo(group.position)), PERCEPTION_RADIUS.human);
+            const focus = this.bokeh.uniforms['focus'];
+            focus.value += (nearest - focus.value) * 0.05;
+        }
+    },
+
+    updateHud(perceived) {
+        const ids = perceived.map(group => (group.userData.unobservable || group.userData.observable).id).join(' ');
+        if (ids === this.shown || !this.el.list) return;
+        this.shown = ids;
+
+        this.el.list.innerHTML = '';
+        perceived.forEach(group => {
+            const data = group.userData.unobservable || group.userData.observable;
+            const item = document.createElement('li');
+            item.className = group.userData.observable ? 'first-person-hud__item--observable' : 'first-person-hud__item--unobservable';
+            const symbol = document.createElement('span');
+            symbol.className = 'first-person-hud__symbol';
+            symbol.textContent = data.symbol;
+            item.append(symbol, data.title);
+            this.el.list.appendChild(item);
+        });
+        this.el.empty.hidden = perceived.length > 0;
+    },
+
+    // The agent's composer once the camera is in its head, else null
+    composer() {
+        return this.active && this.blend >= 1 ? this.composers[this.agent] || null : null;
+    },
+
+    resize() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        Object.values(this.composers).forEach(composer => composer.setSize(width, height));
+        if (this.dataView) {
+            renderer.getDrawingBufferSize(this.dataView.uniforms['resolution'].value);
+        }
+        if (this.bokeh) this.bokeh.uniforms['aspect'].value = width / height;
+    }
+};
+
+// ============================================================
+// Adjustable Light (legend "Adjust the light" button)
+// ============================================================
+
+// "What if AI gets better sensors?": the reader widens or narrows the light
+// and slides the lamp along the ground. LIGHT_CONE and LAMP_POLE_POS change in
+// place, so zones, navigation, the quiz and authoring all follow. Orbs are
+// reclassified every frame: one on the wrong side of the light takes the
+// other kind's colour, and the legend counts what the light reaches.
+// The widest light with the lamp furthest right still leaves the human
+// HUMAN_PATROL_KEEP of unlit ground at the far edge of its area.
+const LAMP_X_RANGE = { min: -4, max: 0 };
+const LIGHT_RADIUS_RANGE = {
+    min: 1.5,
+    max: HUMAN_AREA_CENTER.x + HUMAN_AREA_RADIUS - HUMAN_PATROL_MARGIN - HUMAN_PATROL_KEEP - LAMP_X_RANGE.max
+};
+
+const LightControls = {
+    defaults: null, // Shipped light, for reset and for scaling the meshes
+    poleOffset: 0, // The pole stands this far from the bulb (the lamp's arm)
+    counts: null, // Last legend counts, so the DOM only changes when they do
+    el: {},
+
+    setup() {
+        this.defaults = { x: LIGHT_CONE.x, radius: LIGHT_CONE.radius };
+        this.poleOffset = LAMP_POLE_POS.x - LIGHT_CONE.x;
+
+        const panel = document.getElementById('lightPanel');
+        const openButton = document.getElementById('legendLight');
+        if (!panel || !openButton) return;
+
+        this.el = {
+            panel,
+            openButton,
+            radius: document.getElementById('lightRadius'),
+            lamp: document.getElementById('lightLamp'),
+            summary: document.getElementById('lightSummary'),
+            unobservableCount: document.getElementById('legendUnobservableCount'),
+            observableCount: document.getElementById('legendObservableCount')
+        };
+
+        Object.assign(this.el.radius, { min: LIGHT_RADIUS_RANGE.min, max: LIGHT_RADIUS_RANGE.max, step: 0.1 });
+        Object.assign(this.el.lamp, { min: LAMP_X_RANGE.min, max: LAMP_X_RANGE.max, step: 0.1 });
+        this.syncInputs();
+
+        this.el.radius.addEventListener('input', () => this.set({ radius: parseFloat(this.el.radius.value) }));
+        this.el.lamp.addEventListener('input', () => this.set({ x: parseFloat(this.el.lamp.value) }));
+        document.getElementById('lightReset').addEventListener('click', () => this.reset());
+
+        setupPanel({
+            panel,
+            openButton,
+            closeButton: document.getElementById('lightClose'),
+            focus: () => this.el.radius
+        });
+    },
+
+    syncInputs() {
+        this.el.radius.value = LIGHT_CONE.radius;
+        this.el.lamp.value = LIGHT_CONE.x;
+    },
+
+    set({ x = LIGHT_CONE.x, radius = LIGHT_CONE.radius }) {
+        LIGHT_CONE.x = x;
+        LIGHT_CONE.radius = radius;
+        LAMP_POLE_POS.x = x + this.poleOffset;
+
+        if (streetLamp) streetLamp.position.x = LAMP_POLE_POS.x;
+        const scale = radius / this.defaults.radius;
+        if (lightCone) {
+            lightCone.position.x = x;
+            lightCone.scale.set(scale, 1, scale);
+        }
+        if (lightPool) {
+            lightPool.position.x = x;
+            lightPool.scale.set(scale, scale, 1); // Lies flat: local y is world z
+        }
+    },
+
+    reset() {
+        this.set(this.defaults);
+        if (this.el.radius) this.syncInputs();
+    },
+
+    // Within the cone at the orb's resting height, as AuthorMode checks observables
+    inLight(group) {
+        const distance = Math.hypot(group.position.x - LIGHT_CONE.x, group.position.z - LIGHT_CONE.z);
+        return distance <= lightConeRadiusAt(group.userData.baseY);
+    },
+
+    // Runs after the orb effects each frame, since some effects set colours
+    update() {
+        let lit = 0;
+        const orbs = unobservableObjects.concat(observableObjects);
+        orbs.forEach(group => {
+            const inLight = this.inLight(group);
+            if (inLight) lit++;
+            this.tint(group, inLight !== !!group.userData.observable);
+        });
+
+        labelElements.forEach(label => {
+            label.element.classList.toggle('crossed', !!label.object.userData.crossed);
+        });
+
+        const dark = orbs.length - lit;
+        if (this.counts && this.counts.lit === lit && this.counts.dark === dark) return;
+        this.counts = { lit, dark };
+        if (!this.el.summary) return;
+        this.el.observableCount.textContent = lit;
+        this.el.unobservableCount.textContent = dark;
+        this.el.summary.textContent = VizI18n.t('complementarity.light.summary', { count: lit, total: orbs.length });
+    },
+
+    // Ease the orb and its glow towards the other kind's colour while crossed
+    tint(group, crossed) {
+        const data = group.userData;
+        data.crossed = crossed;
+        if (!crossed && !data.tint) return;
+
+        const tint = (data.tint || 0) + ((crossed ? 1 : 0) - (data.tint || 0)) * 0.08;
+        data.tint = !crossed && tint < 0.01 ? 0 : tint;
+
+        const own = data.observable ? CONFIG.colors.observable : CONFIG.colors.unobservable;
+        const other = data.observable ? CONFIG.colors.unobservable : CONFIG.colors.observable;
+        const color = new THREE.Color(own).lerp(new THREE.Color(other), data.tint);
+        group.children[0].material.color.copy(color);
+        group.children[1].material.color.copy(color);
+    }
+};
+
+// ============================================================
+// Start
+// ============================================================
+
+// Content comes first: nothing is built until content.json has validated
+window.addEventListener('DOMContentLoaded', () => {
+    VizI18n.ready
+        .then(() => VizContent.load('content.json', CONTENT_SCHEMA))
+        .then(content => {
+            const linkErrors = pairErrors(content).concat(conversationErrors(content));
+            if (linkErrors.length > 0) {
+                console.error(`Content errors in content.json:\n  ${linkErrors.join('\n  ')}`);
+                VizContent.showError('content.json', linkErrors);
+                return;
+            }
+
+            // Workshop orbs saved in this browser go after the shipped ones
+            CustomOrbs.load();
+            CONFIG.unobservables = content.unobservables.concat(CustomOrbs.unobservables);
+            CONFIG.observables = content.observables.concat(CustomOrbs.observables);
+            CONFIG.pairs = content.pairs;
+            CONVERSATION_SETS.push(...content.conversations);
+            CONFIG.slides = content.presentation;
+            CONFIG.tour = content.tour;
+            init();
+            AuthorMode.init(content);
+            setupOrbEditor();
+            QuizMode.setup();
+            LightControls.setup();
+            VizMotion.mountToggle();
+            VizSnapshot.mountButton(exportSnapshot, 'complementarity-view');
+            setupTour();
+        }, () => {
+            // The error overlay lists what needs fixing in content.json
+        });
+});
@@ -25,82 +25,69 @@ const CONFIG = {
         purpose: '#F0A86B',       // Bright terracotta
     },
 
-    layers: [
-        {
-            id: 'capability',
-            name: 'Capability',
-            speed: 'Days',
-            description: 'What the organization can do right now. Tools, features, immediate capacity.',
-            quote: '"The tools change weekly. The skills to evaluate them don\'t."',
-            quoteCite: 'Design Lead, Fortune 500',
-            radius: 4.8,
-            rotationSpeed: 0.8,
-        },
-        {
-            id: 'productivity',
-            name: 'Productivity',
-            speed: 'Weeks',
-            description: 'How efficiently work gets done. Workflows, processes, team velocity.',
-            quote: '"We\'re 3x faster at producing. We\'re not 3x better at knowing what to produce."',
-            quoteCite: 'Product Manager',
-            radius: 4.0,
-            rotationSpeed: 0.5,
-        },
-        {
-            id: 'expertise',
-            name: 'Expertise',
-            speed: 'Months',
-            description: 'Deep domain knowledge and judgment. The ability to recognize when AI is wrong.',
-            quote: '"It\'s like going to the gym... Eventually our own brains, they atrophy."',
-            quoteCite: 'Kathleen Brandenburg',
-            radius: 3.2,
-            rotationSpeed: 0.25,
-        },
-        {
-            id: 'governance',
-            name: 'Governance',
-            speed: 'Years',
-            description: 'Rules, policies, and oversight structures. How decisions get made and reviewed.',
-            quote: '"Our review processes were designed for human error rates."',
-            quoteCite: 'Legal Counsel',
-            radius: 2.4,
-            rotationSpeed: 0.12,
-        },
-        {
-            id: 'profession',
-            name: 'Profession',
-            speed: 'Decades',
-            description: 'Professional identity and community standards. What it means to be good at this work.',
-            quote: '"Twenty years to build a reputation. One viral AI mistake to question it."',
-            quoteCite: 'Senior Partner',
-            radius: 1.6,
-            rotationSpeed: 0.05,
-        },
-        {
-            id: 'purpose',
-            name: 'Purpose',
-            speed: 'Evolutionary',
-            description: 'Why the organization exists. Core values and mission. The slowest layer.',
-            quote: '"We forgot to ask why we were automating."',
-            quoteCite: 'CEO, post-mortem',
-            radius: 0.8,
-            rotationSpeed: 0.015,
-        }
-    ],
-
-    strains: [
-        { name: 'Skill Strain', between: ['capability', 'productivity'] },
-        { name: 'Quality Strain', between: ['productivity', 'expertise'] },
-        { name: 'Trust Strain', between: ['expertise', 'governance'] },
-        { name: 'Ethics Strain', between: ['governance', 'profession'] },
-        { name: 'Identity Strain', between: ['profession', 'purpose'] },
-    ]
+    // Disk geometry per layer, outermost (fastest) first. The copy for each
+    // layer and the strain names come from content.json.
+    layout: {
+        capability: { radius: 4.8, rotationSpeed: 0.8 },
+        productivity: { radius: 4.0, rotationSpeed: 0.5 },
+        expertise: { radius: 3.2, rotationSpeed: 0.25 },
+        governance: { radius: 2.4, rotationSpeed: 0.12 },
+        profession: { radius: 1.6, rotationSpeed: 0.05 },
+        purpose: { radius: 0.8, rotationSpeed: 0.015 },
+    },
+
+    // Filled by applyContent()
+    layers: [],
+    strains: [],
+    slides: {},
+    tour: {},
+};
+
+const LAYER_IDS = Object.keys(CONFIG.layout);
+
+// Presentation deck: the whole system, each layer fastest first, then the debt it builds
+const SLIDE_IDS = ['overview', ...LAYER_IDS, 'debt'];
+
+// Guided tour: the rings, each layer fastest first, then the debt
+const TOUR_STEP_IDS = ['rings', ...LAYER_IDS, 'debt'];
+
+const CONTENT_SCHEMA = {
+    layers: VizContent.listOf({
+        id: VizContent.oneOf(LAYER_IDS),
+        name: 'string',
+        speed: 'string',
+        description: 'string',
+        quote: 'string',
+        quoteCite: 'string'
+    }, { length: LAYER_IDS.length, unique: 'id' }),
+    strains: VizContent.listOf({
+        name: 'string',
+        between: VizContent.listOf(VizContent.oneOf(LAYER_IDS), { length: 2 })
+    }),
+    presentation: VizContent.mapOf({
+        title: 'string',
+        notes: 'string'
+    }, { keys: SLIDE_IDS }),
+    tour: VizContent.mapOf('string', { keys: TOUR_STEP_IDS })
 };
 
+function applyContent(content) {
+    CONFIG.layers = LAYER_IDS.map(id => {
+        const copy = content.layers.find(l => l.id === id);
+        return Object.assign({}, copy, CONFIG.layout[id]);
+    });
+    CONFIG.strains = content.strains;
+    CONFIG.slides = content.presentation;
+    CONFIG.tour = content.tour;
+
+    CONFIG.layers.forEach(layer => {
+        legend.querySelector(`[data-layer="${layer.id}"] .legend-name`).textContent = `${layer.name} (${layer.speed})`;
+    });
+}
+
 let scene, camera, renderer, controls;
 let diskGroups = [];
 let labelElements = [];
-let focusedLayerIndex = -1;
 let hoveredLayerIndex = -1;
 let time = 0;
 
@@ -111,6 +98,31 @@ const controlsHint = document.getElementById('controlsHint');
 const detailPanel = document.getElementById('detailPanel');
 const closePanel = document.getElementById('closePanel');
 
+// ============================================================
+// STATE - Shared store (focus history, deep links, embed bridge)
+// ============================================================
+
+const StateManager = VizState.createStore({
+    focusedLayer: {
+        type: 'string', nullable: true, history: true, param: 'layer',
+        values: () => CONFIG.layers.map(l => l.id)
+    }
+}, {
+    // Undo/redo drives the panel and highlights, not just the value
+    applyHistory: ({ focusedLayer }) => {
+        const index = CONFIG.layers.findIndex(l => l.id === focusedLayer);
+        if (index !== -1) {
+            focusOnLayer(index);
+        } else {
+            exitFocus();
+        }
+    }
+});
+
+function getFocusedLayerIndex() {
+    return CONFIG.layers.findIndex(l => l.id === StateManager.focusedLayer);
+}
+
 function init() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x0c0c10);
@@ -119,7 +131,7 @@ function init() {
     camera.position.set(0, 7, 9);
     camera.lookAt(0, 0, 0);
 
-    renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true }); // alpha: transparent snapshot exports
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 
@@ -138,6 +150,13 @@ function init() {
     canvas.addEventListener('click', onCanvasClick);
     canvas.addEventListener('mousemove', onCanvasHover);
     closePanel.addEventListener('click', exitFocus);
+    VizState.bindUndoKeys(StateManager);
+    setupEmbedBridge();
+    setupSceneMirror();
+    setupKeyboard();
+    setupRecorder();
+    restoreUrlState();
+    StateManager.subscribe(syncUrlState);
 
     setTimeout(() => {
         quote.classList.add('visible');
@@ -145,6 +164,8 @@ function init() {
         controlsHint.classList.add('visible');
         document.getElementById('debtIndicator').classList.add('visible');
         labelElements.forEach(el => el.classList.add('visible'));
+        VizBridge.emit('introcomplete');
+        setupPresentation();
     }, 500);
 
     animate();
@@ -298,6 +319,8 @@ function createLabels() {
 }
 
 function updateLabels() {
+    const focusedLayerIndex = getFocusedLayerIndex();
+
     diskGroups.forEach(({ group, layer, index, labelRadius }) => {
         const labelEl = labelElements[index];
         if (!labelEl) return;
@@ -338,10 +361,13 @@ function animate() {
 
     controls.update();
 
-    // Rotate each disk at its own speed (clockwise when viewed from above)
-    diskGroups.forEach(({ group, layer }) => {
-        group.rotation.z -= layer.rotationSpeed * 0.008;
-    });
+    // Rotate each disk at its own speed (clockwise when viewed from above);
+    // reduced motion holds them still and leaves the pace to the legend and panel
+    if (!VizMotion.reduced) {
+        diskGroups.forEach(({ group, layer }) => {
+            group.rotation.z -= layer.rotationSpeed * 0.008;
+        });
+    }
 
     updateLabels();
     renderer.render(scene, camera);
@@ -373,13 +399,13 @@ function onCanvasClick(event) {
         }
 
         if (clickedIndex >= 0) focusOnLayer(clickedIndex);
-    } else if (focusedLayerIndex >= 0) {
+    } else if (StateManager.focusedLayer) {
         exitFocus();
     }
 }
 
 function onCanvasHover(event) {
-    if (focusedLayerIndex >= 0) return;
+    if (StateManager.focusedLayer) return;
 
     const mouse = new THREE.Vector2(
         (event.clientX / window.innerWidth) * 2 - 1,
@@ -430,8 +456,8 @@ function resetHighlight() {
 }
 
 function focusOnLayer(index) {
-    focusedLayerIndex = index;
     const layer = CONFIG.layers[index];
+    StateManager.set('focusedLayer', layer.id);
     const textColor = CONFIG.textColors[layer.id];
     const glowColor = CONFIG.colors[layer.id];
 
@@ -440,14 +466,14 @@ function focusOnLayer(index) {
     panelTitle.textContent = layer.name;
     panelTitle.style.color = textColor;
 
-    document.getElementById('panelSpeed').textContent = `Pace: ${layer.speed}`;
+    document.getElementById('panelSpeed').textContent = VizI18n.t('costOfSpeed.detail.pace', { speed: layer.speed });
     document.getElementById('panelDescription').textContent = layer.description;
     document.getElementById('panelQuoteText').textContent = layer.quote;
     document.getElementById('panelQuoteCite').textContent = `— ${layer.quoteCite}`;
 
     // Apply layer color to panel border and quote accent
     const panelQuote = document.getElementById('panelQuote');
-    panelQuote.style.borderLeftColor = textColor;
+    panelQuote.style.borderInlineStartColor = textColor; // Left, or right in RTL
     detailPanel.style.borderColor = `rgba(${glowColor.r}, ${glowColor.g}, ${glowColor.b}, 0.4)`;
 
     detailPanel.classList.add('visible');
@@ -459,7 +485,7 @@ function focusOnLayer(index) {
 }
 
 function exitFocus() {
-    focusedLayerIndex = -1;
+    StateManager.set('focusedLayer', null);
     detailPanel.classList.remove('visible');
     document.body.classList.remove('layer-focused');
 
@@ -468,10 +494,189 @@ function exitFocus() {
     });
 }
 
+// ============================================================
+// URL STATE - Deep links like ?layer=governance
+// ============================================================
+
+function restoreUrlState() {
+    const restored = StateManager.fromParams(UrlState.read(StateManager.paramNames()));
+    const index = CONFIG.layers.findIndex(l => l.id === restored.focusedLayer);
+    if (index !== -1) focusOnLayer(index);
+
+    // The linked state is the starting point, not an undo step
+    StateManager.clearHistory();
+}
+
+function syncUrlState() {
+    UrlState.write(StateManager.toParams());
+}
+
+// ============================================================
+// EMBED BRIDGE - Host page control via embed/loader.js
+// ============================================================
+
+function setupEmbedBridge() {
+    VizBridge.register('cost-of-speed', {
+        // Accepts a layer id ('governance') or index
+        focusOnLayer(layer) {
+            const index = typeof layer === 'number'
+                ? layer
+                : CONFIG.layers.findIndex(l => l.id === layer);
+            if (!CONFIG.layers[index]) throw new Error(`Unknown layer: ${layer}`);
+            focusOnLayer(index);
+        },
+        exitFocus,
+        // { size: '1x' | '2x' | '4k', format: 'png' | 'svg', transparent } -> Blob
+        exportImage: options => exportSnapshot(options),
+        undo: () => StateManager.undo(),
+        redo: () => StateManager.redo(),
+        getState: () => StateManager.serialize()
+    });
+
+    StateManager.subscribe('focusedLayer', focusedLayer => VizBridge.emit('focuschange', { focusedLayer }));
+}
+
+// ============================================================
+// ACCESSIBILITY - Screen-reader mirror of the scene
+// ============================================================
+
+function setupSceneMirror() {
+    const mirror = VizA11y.createSceneMirror({
+        label: VizI18n.t('costOfSpeed.a11y.label'),
+        groups: [{
+            id: 'layers',
+            label: VizI18n.t('costOfSpeed.legend.title'),
+            items: CONFIG.layers.map(layer => ({
+                id: layer.id,
+                label: layer.name,
+                description: VizI18n.t('costOfSpeed.detail.pace', { speed: layer.speed })
+            }))
+        }],
+        onSelect: id => focusOnLayer(CONFIG.layers.findIndex(l => l.id === id)),
+        onClear: exitFocus
+    });
+
+    StateManager.subscribe('focusedLayer', id => {
+        mirror.setCurrent(id);
+        const layer = CONFIG.layers.find(l => l.id === id);
+        mirror.announce(layer
+            ? `${VizI18n.t('common.a11y.selected', { name: layer.name })} ${VizI18n.t('costOfSpeed.detail.pace', { speed: layer.speed })}. ${layer.description}`
+            : VizI18n.t('common.a11y.cleared'));
+    });
+}
+
+// ============================================================
+// SNAPSHOT EXPORT - PNG/SVG of the current view, labels included
+// ============================================================
+
+// Layer names riding the rings
+function sceneLabels() {
+    return document.querySelectorAll('.layer-label');
+}
+
+function exportSnapshot(options) {
+    return VizSnapshot.capture({ renderer, scene, camera, labels: sceneLabels }, options);
+}
+
+// ============================================================
+// RECORDING - Scripted clips (?record=layers), see shared/utils/recorder.js
+// ============================================================
+
+function setupRecorder() {
+    VizRecorder.register({
+        name: 'cost-of-speed',
+        renderer,
+        labels: sceneLabels,
+        scripts: {
+            // Each layer in turn, fastest to slowest
+            layers: {
+                duration: CONFIG.layers.length * 3 + 4,
+                steps: [
+                    ...CONFIG.layers.map((layer, i) => ({ at: 2 + i * 3, call: 'focusOnLayer', args: [layer.id] })),
+                    { at: 2 + CONFIG.layers.length * 3, call: 'exitFocus' }
+                ]
+            }
+        }
+    });
+}
+
+// ============================================================
+// KEYBOARD - Arrows walk the layers, fastest first
+// ============================================================
+
+function setupKeyboard() {
+    const indexOf = id => CONFIG.layers.findIndex(l => l.id === id);
+
+    VizKeys.bind({
+        items: () => CONFIG.layers.map(layer => ({ id: layer.id, label: layer.name })),
+        current: () => StateManager.focusedLayer,
+        focus: id => focusOnLayer(indexOf(id)),
+        exit: exitFocus,
+        // Same edge glow as mouse hover
+        preview: id => {
+            if (StateManager.focusedLayer) return;
+            if (id) {
+                highlightLayer(indexOf(id));
+            } else {
+                resetHighlight();
+            }
+        },
+        undo: true
+    });
+}
+
+// ============================================================
+// PRESENTATION - ?mode=present deck, see shared/utils/present.js
+// ============================================================
+
+function setupPresentation() {
+    const enter = id => {
+        const index = CONFIG.layers.findIndex(l => l.id === id);
+        return index === -1 ? exitFocus : () => focusOnLayer(index);
+    };
+
+    VizPresent.deck({
+        name: 'cost-of-speed',
+        slides: SLIDE_IDS.map(id => Object.assign({ id, enter: enter(id) }, CONFIG.slides[id]))
+    });
+}
+
+// ============================================================
+// TOUR - Guided walk through the layers, see shared/utils/tour.js
+// ============================================================
+
+function setupTour() {
+    const tour = VizTour.create({
+        name: 'cost-of-speed',
+        // Layer steps focus that layer; 'rings' and 'debt' show the whole system
+        steps: TOUR_STEP_IDS.map(id => ({
+            id,
+            focus: LAYER_IDS.includes(id) ? id : null,
+            caption: CONFIG.tour[id],
+            duration: LAYER_IDS.includes(id) ? 5 : 7
+        })),
+        hooks: {
+            focus: id => focusOnLayer(CONFIG.layers.findIndex(l => l.id === id)),
+            clear: exitFocus
+        }
+    });
+    VizTour.mountButton(tour);
+}
+
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
-init();
+VizI18n.ready
+    .then(() => VizContent.load('content.json', CONTENT_SCHEMA))
+    .then(content => {
+        applyContent(content);
+        init();
+        VizMotion.mountToggle();
+        VizSnapshot.mountButton(exportSnapshot, 'cost-of-speed');
+        setupTour();
+    }, () => {
+        // The error overlay lists what needs fixing in content.json
+    });
@@ -64,49 +64,59 @@ const CONFIG = {
     }
 };
 
-// Rung data
-const RUNGS = [
-    {
-        id: 'outcome',
-        title: 'Outcome',
-        question: 'What does success look like?',
-        description: 'The destination. What will be different in the world when you succeed? AI cannot tell you what problem deserves solving.',
-        territory: 'human',
-        y: CONFIG.positions.outcome,
-        radius: CONFIG.radii.outcome,
-        color: CONFIG.colors.outcome,
-    },
-    {
-        id: 'approach',
-        title: 'Approach',
-        question: 'How will we create value?',
-        description: 'The strategy. Two organizations might pursue the same outcome through radically different approaches. AI cannot tell you how to differentiate.',
-        territory: 'human',
-        y: CONFIG.positions.approach,
-        radius: CONFIG.radii.approach,
-        color: CONFIG.colors.approach,
-    },
-    {
-        id: 'method',
-        title: 'Method',
-        question: 'What capabilities will we deploy?',
-        description: 'The tactics. This is where AI enters the conversation. What specific tools and technologies will execute your approach?',
-        territory: 'ai',
-        y: CONFIG.positions.method,
-        radius: CONFIG.radii.method,
-        color: CONFIG.colors.method,
-    },
-    {
-        id: 'execution',
-        title: 'Execution',
-        question: 'How will we implement day-to-day?',
-        description: 'The implementation. Workflows, automation, tactical details. AI excels here when given clear objectives from above.',
-        territory: 'ai',
-        y: CONFIG.positions.execution,
-        radius: CONFIG.radii.execution,
-        color: CONFIG.colors.execution,
-    },
-];
+// Rung order, top to bottom. Geometry comes from CONFIG; the copy
+// (title, question, description, territory) from content.json.
+const RUNG_IDS = ['outcome', 'approach', 'method', 'execution'];
+
+// Presentation deck order: down the ladder, crossing the boundary, then the
+// bottom-up way most teams actually start
+const SLIDE_IDS = ['overview', 'outcome', 'approach', 'boundary', 'method', 'execution', 'current'];
+
+// Guided tour order; each step's state is set in setupTour()
+const TOUR_STEP_IDS = ['ladder', 'outcome', 'approach', 'boundary', 'method', 'execution', 'current', 'explore'];
+
+const CONTENT_SCHEMA = {
+    rungs: VizContent.listOf({
+        id: VizContent.oneOf(RUNG_IDS),
+        title: 'string',
+        question: 'string',
+        description: 'string',
+        territory: VizContent.oneOf(['human', 'ai'])
+    }, { length: RUNG_IDS.length, unique: 'id' }),
+    presentation: VizContent.mapOf({
+        title: 'string',
+        notes: 'string'
+    }, { keys: SLIDE_IDS }),
+    tour: VizContent.mapOf('string', { keys: TOUR_STEP_IDS })
+};
+
+// Rung data, filled by applyContent()
+const RUNGS = [];
+
+// Slide titles and speaker notes for ?mode=present, filled by applyContent()
+const SLIDE_COPY = {};
+
+// Tour captions by step id, filled by applyContent()
+const TOUR_CAPTIONS = {};
+
+function applyContent(content) {
+    RUNG_IDS.forEach(id => {
+        const copy = content.rungs.find(r => r.id === id);
+        RUNGS.push(Object.assign({}, copy, {
+            y: CONFIG.positions[id],
+            radius: CONFIG.radii[id],
+            color: CONFIG.colors[id],
+        }));
+
+        const label = document.getElementById(`label-${id}`);
+        label.querySelector('.label-3d__name').textContent = copy.title;
+        label.querySelector('.label-3d__question').textContent = copy.question;
+        document.querySelector(`.legend__dot--${id} + .legend__label`).textContent = copy.title;
+    });
+
+    Object.assign(SLIDE_COPY, content.presentation);
+    Object.assign(TOUR_CAPTIONS, content.tour);
+}
 
 // ============================================================
 // Global State
@@ -115,8 +125,6 @@ let scene, camera, renderer, controls;
 let centralBeam, boundaryMembrane;
 let rungRings = [];
 let particles = [];
-let focusedRung = null;
-let currentView = 'recommended';
 let flowDirection = 1; // 1 = down (recommended), -1 = up (current/problematic)
 
 // Touch detection
@@ -234,8 +242,8 @@ const AudioManager = {
         const btn = document.getElementById('audioBtn');
         if (btn) {
             btn.innerHTML = this.enabled
-                ? '<span class="audio-icon">♫</span><span class="audio-label">Sound On</span>'
-                : '<span class="audio-icon">♪</span><span class="audio-label">Sound Off</span>';
+                ? `<span class="audio-icon">♫</span><span class="audio-label">${VizI18n.t('common.soundOn')}</span>`
+                : `<span class="audio-icon">♪</span><span class="audio-label">${VizI18n.t('common.soundOff')}</span>`;
             btn.classList.toggle('active', this.enabled);
         }
     }
@@ -244,29 +252,24 @@ const AudioManager = {
 // ============================================================
 // State Manager
 // ============================================================
-const StateManager = {
-    state: {
-        view: 'overview',
-        focusedRung: null,
-        showMistakes: false,
-    },
-
-    listeners: [],
-
-    subscribe(fn) {
-        this.listeners.push(fn);
-        return () => this.listeners = this.listeners.filter(l => l !== fn);
-    },
-
-    update(changes) {
-        Object.assign(this.state, changes);
-        this.listeners.forEach(fn => fn(this.state));
+const StateManager = VizState.createStore({
+    view: { type: 'string', values: ['recommended', 'current'], default: 'recommended', param: 'view' },
+    focusedRung: {
+        type: 'string', nullable: true, history: true, param: 'focus',
+        values: () => RUNGS.map(r => r.id)
     },
-
-    get(key) {
-        return this.state[key];
+    showMistakes: { type: 'boolean', default: false, transient: true }
+}, {
+    // Undo/redo drives the scene so camera and panel follow
+    applyHistory: ({ focusedRung }) => {
+        const rung = RUNGS.find(r => r.id === focusedRung);
+        if (rung) {
+            focusOnRung(rung);
+        } else {
+            clearFocus();
+        }
     }
-};
+});
 
 // ============================================================
 // Camera Presets
@@ -288,7 +291,19 @@ const CAMERA_PRESETS = {
 // ============================================================
 // Initialization
 // ============================================================
-window.addEventListener('DOMContentLoaded', init);
+window.addEventListener('DOMContentLoaded', () => {
+    VizI18n.ready
+        .then(() => VizContent.load('content.json', CONTENT_SCHEMA))
+        .then(content => {
+            applyContent(content);
+            init();
+            VizMotion.mountToggle();
+            VizSnapshot.mountButton(exportSnapshot, 'four-rungs');
+            setupTour();
+        }, () => {
+            // The error overlay lists what needs fixing in content.json
+        });
+});
 
 function init() {
     PerformanceMode.detect();
@@ -313,7 +328,7 @@ function init() {
     renderer = new THREE.WebGLRenderer({
         canvas,
         antialias: !PerformanceMode.isLowFi,
-        alpha: false
+        alpha: true // Needed for transparent snapshot exports
     });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -344,6 +359,14 @@ function init() {
 
     // Events
     setupEvents();
+    setupEmbedBridge();
+    setupSceneMirror();
+    setupKeyboard();
+    setupRecorder();
+
+    // Restore deep-linked view/focus, then keep the URL in sync
+    restoreUrlState();
+    StateManager.subscribe(syncUrlState);
 
     // Start animation
     animate();
@@ -767,8 +790,8 @@ function setupEvents() {
     // Click on rungs
     renderer.domElement.addEventListener('click', onCanvasClick);
 
-    // Keyboard
-    document.addEventListener('keydown', onKeyDown);
+    // Ctrl/Cmd+Z steps back through focus history; other keys are in setupKeyboard
+    VizState.bindUndoKeys(StateManager);
 }
 
 function onResize() {
@@ -805,31 +828,11 @@ function onCanvasClick(event) {
     }
 }
 
-function onKeyDown(event) {
-    switch (event.key) {
-        case 'Escape':
-            clearFocus();
-            break;
-        case '1':
-            focusOnRung(RUNGS[3]); // Execution
-            break;
-        case '2':
-            focusOnRung(RUNGS[2]); // Method
-            break;
-        case '3':
-            focusOnRung(RUNGS[1]); // Approach
-            break;
-        case '4':
-            focusOnRung(RUNGS[0]); // Outcome
-            break;
-    }
-}
-
 // ============================================================
 // View Modes
 // ============================================================
 function setViewMode(mode) {
-    currentView = mode;
+    StateManager.set('view', mode);
 
     // Update button states
     document.querySelectorAll('.view-btn').forEach(btn => {
@@ -842,21 +845,7 @@ function setViewMode(mode) {
     // Transition camera
     const preset = CAMERA_PRESETS[mode] || CAMERA_PRESETS.recommended;
 
-    gsap.to(camera.position, {
-        x: preset.position.x,
-        y: preset.position.y,
-        z: preset.position.z,
-        duration: 1.5,
-        ease: 'power2.inOut'
-    });
-
-    gsap.to(controls.target, {
-        x: preset.target.x,
-        y: preset.target.y,
-        z: preset.target.z,
-        duration: 1.5,
-        ease: 'power2.inOut'
-    });
+    moveCamera(preset.position, preset.target, 1.5);
 
     // Mode-specific visual adjustments
     if (mode === 'recommended') {
@@ -893,32 +882,54 @@ function setViewMode(mode) {
 }
 
 // ============================================================
-// Focus System
+// Camera Moves
 // ============================================================
-function focusOnRung(rung) {
-    focusedRung = rung;
-    StateManager.update({ focusedRung: rung.id });
-
-    // Camera focuses on the rung
-    const targetY = rung.y + 0.5;
-    const distance = 6;
-    const angle = Math.PI / 6;
+// Tweens the camera, or crossfades to the new viewpoint in reduced motion
+function moveCamera(position, target, duration) {
+    gsap.killTweensOf(camera.position);
+    gsap.killTweensOf(controls.target);
+
+    if (VizMotion.reduced) {
+        VizMotion.crossfade(() => {
+            camera.position.set(position.x, position.y, position.z);
+            controls.target.set(target.x, target.y, target.z);
+        });
+        return;
+    }
 
     gsap.to(camera.position, {
-        x: Math.cos(angle) * distance,
-        y: targetY + 2,
-        z: Math.sin(angle) * distance,
-        duration: 1.2,
+        x: position.x,
+        y: position.y,
+        z: position.z,
+        duration,
         ease: 'power2.inOut'
     });
 
     gsap.to(controls.target, {
-        x: 0,
-        y: rung.y,
-        z: 0,
-        duration: 1.2,
+        x: target.x,
+        y: target.y,
+        z: target.z,
+        duration,
         ease: 'power2.inOut'
     });
+}
+
+// ============================================================
+// Focus System
+// ============================================================
+function focusOnRung(rung) {
+    StateManager.set('focusedRung', rung.id);
+
+    // Camera focuses on the rung
+    const targetY = rung.y + 0.5;
+    const distance = 6;
+    const angle = Math.PI / 6;
+
+    moveCamera(
+        { x: Math.cos(angle) * distance, y: targetY + 2, z: Math.sin(angle) * distance },
+        { x: 0, y: rung.y, z: 0 },
+        1.2
+    );
 
     // Highlight focused ring, dim others
     rungRings.forEach(({ material, rung: r }) => {
@@ -944,27 +955,12 @@ function focusOnRung(rung) {
 }
 
 function clearFocus() {
-    focusedRung = null;
-    StateManager.update({ focusedRung: null });
+    StateManager.set('focusedRung', null);
 
     // Reset camera to current view mode
-    const preset = CAMERA_PRESETS[currentView] || CAMERA_PRESETS.overview;
+    const preset = CAMERA_PRESETS[StateManager.view] || CAMERA_PRESETS.overview;
 
-    gsap.to(camera.position, {
-        x: preset.position.x,
-        y: preset.position.y,
-        z: preset.position.z,
-        duration: 1,
-        ease: 'power2.inOut'
-    });
-
-    gsap.to(controls.target, {
-        x: preset.target.x,
-        y: preset.target.y,
-        z: preset.target.z,
-        duration: 1,
-        ease: 'power2.inOut'
-    });
+    moveCamera(preset.position, preset.target, 1);
 
     // Reset ring opacities
     rungRings.forEach(({ material }) => {
@@ -987,8 +983,7 @@ function showDetailPanel(rung) {
     if (!panel) return;
 
     // Update content
-    document.getElementById('detailTerritory').textContent =
-        rung.territory === 'human' ? 'Human Territory' : 'AI Territory';
+    document.getElementById('detailTerritory').textContent = VizI18n.t(`fourRungs.territory.${rung.territory}`);
     document.getElementById('detailTitle').textContent = rung.title;
     document.getElementById('detailQuestion').textContent = `"${rung.question}"`;
     document.getElementById('detailDescription').textContent = rung.description;
@@ -1037,7 +1032,10 @@ function animate() {
     const beamTopRadius = CONFIG.beam.topRadius * 1.5;
     const beamBottomRadius = CONFIG.beam.bottomRadius * 1.5;
 
+    // Reduced motion freezes the flow where it is
     particles.forEach(particle => {
+        if (VizMotion.reduced) return;
+
         // Move based on flow direction
         particle.position.y -= particle.userData.speed * 0.016 * flowDirection;
 
@@ -1087,13 +1085,16 @@ function animate() {
 // Label System
 // ============================================================
 function updateLabels() {
+    // Right-to-left locales mirror the labels to the other side of the rings
+    const side = VizI18n.isRTL() ? -1 : 1;
+
     // Update rung labels
     RUNGS.forEach(rung => {
         const label = document.getElementById(`label-${rung.id}`);
         if (!label) return;
 
         // Position label to the side of the ring
-        const labelPos = new THREE.Vector3(rung.radius + 0.8, rung.y, 0);
+        const labelPos = new THREE.Vector3(side * (rung.radius + 0.8), rung.y, 0);
         labelPos.project(camera);
 
         const x = (labelPos.x * 0.5 + 0.5) * window.innerWidth;
@@ -1110,7 +1111,7 @@ function updateLabels() {
     // Update boundary label
     const boundaryLabel = document.getElementById('label-boundary');
     if (boundaryLabel) {
-        const pos = new THREE.Vector3(-4.5, CONFIG.positions.boundary, 0);
+        const pos = new THREE.Vector3(side * -4.5, CONFIG.positions.boundary, 0);
         pos.project(camera);
 
         const x = (pos.x * 0.5 + 0.5) * window.innerWidth;
@@ -1128,28 +1129,36 @@ function updateLabels() {
 // Intro Animation
 // ============================================================
 function playIntro() {
-    // Start camera further away
-    camera.position.set(10, 8, 20);
-
-    // Default to recommended view
-    currentView = 'recommended';
-
-    // Animate camera to recommended position
-    gsap.to(camera.position, {
-        x: CAMERA_PRESETS.recommended.position.x,
-        y: CAMERA_PRESETS.recommended.position.y,
-        z: CAMERA_PRESETS.recommended.position.z,
-        duration: 3,
-        ease: 'power2.out'
-    });
+    // Deep links already placed the camera and chose the view
+    if (!restoredFromUrl) {
+        // Default to recommended view
+        StateManager.set('view', 'recommended');
+
+        if (VizMotion.reduced) {
+            // No fly-in: start where the animation would have ended
+            const { position, target } = CAMERA_PRESETS.recommended;
+            camera.position.set(position.x, position.y, position.z);
+            controls.target.set(target.x, target.y, target.z);
+        } else {
+            // Start camera further away and animate to recommended position
+            camera.position.set(10, 8, 20);
+            gsap.to(camera.position, {
+                x: CAMERA_PRESETS.recommended.position.x,
+                y: CAMERA_PRESETS.recommended.position.y,
+                z: CAMERA_PRESETS.recommended.position.z,
+                duration: 3,
+                ease: 'power2.out'
+            });
 
-    gsap.to(controls.target, {
-        x: CAMERA_PRESETS.recommended.target.x,
-        y: CAMERA_PRESETS.recommended.target.y,
-        z: CAMERA_PRESETS.recommended.target.z,
-        duration: 3,
-        ease: 'power2.out'
-    });
+            gsap.to(controls.target, {
+                x: CAMERA_PRESETS.recommended.target.x,
+                y: CAMERA_PRESETS.recommended.target.y,
+                z: CAMERA_PRESETS.recommended.target.z,
+                duration: 3,
+                ease: 'power2.out'
+            });
+        }
+    }
 
     // Fade in UI elements with stagger
     setTimeout(() => {
@@ -1174,6 +1183,9 @@ function playIntro() {
 
     setTimeout(() => {
         document.getElementById('controlsHint')?.classList.add('visible');
+        VizBridge.emit('introcomplete');
+        // The deck takes over once the intro has placed the camera
+        setupPresentation();
     }, 2600);
 }
 
@@ -1181,9 +1193,9 @@ function playIntro() {
 // Navigation Functions
 // ============================================================
 function navigateRung(direction) {
-    if (!focusedRung) return;
+    if (!StateManager.focusedRung) return;
 
-    const currentIndex = RUNGS.findIndex(r => r.id === focusedRung.id);
+    const currentIndex = RUNGS.findIndex(r => r.id === StateManager.focusedRung);
     const newIndex = currentIndex + direction;
 
     // Check bounds (0 = Outcome at top, 3 = Execution at bottom)
@@ -1207,6 +1219,226 @@ function updateNavButtons(rung) {
     }
 }
 
+// ============================================================
+// URL State (deep links like ?view=current&focus=approach)
+// ============================================================
+let restoredFromUrl = false;
+
+function restoreUrlState() {
+    const restored = StateManager.fromParams(UrlState.read(StateManager.paramNames()));
+
+    if (restored.view === 'current') {
+        setViewMode('current');
+        restoredFromUrl = true;
+    }
+
+    const rung = RUNGS.find(r => r.id === restored.focusedRung);
+    if (rung) {
+        // Let the focus camera move win over the view transition
+        gsap.killTweensOf(camera.position);
+        gsap.killTweensOf(controls.target);
+        focusOnRung(rung);
+        restoredFromUrl = true;
+    }
+
+    // The linked state is the starting point, not an undo step
+    StateManager.clearHistory();
+}
+
+function syncUrlState() {
+    UrlState.write(StateManager.toParams());
+}
+
+// ============================================================
+// Embed Bridge (host page control via embed/loader.js)
+// ============================================================
+function setupEmbedBridge() {
+    VizBridge.register('four-rungs', {
+        setViewMode(mode) {
+            if (!CAMERA_PRESETS[mode]) throw new Error(`Unknown view mode: ${mode}`);
+            setViewMode(mode);
+        },
+        focusOnRung(rungId) {
+            const rung = RUNGS.find(r => r.id === rungId);
+            if (!rung) throw new Error(`Unknown rung: ${rungId}`);
+            focusOnRung(rung);
+        },
+        clearFocus,
+        navigateRung,
+        // { size: '1x' | '2x' | '4k', format: 'png' | 'svg', transparent } -> Blob
+        exportImage: options => exportSnapshot(options),
+        undo: () => StateManager.undo(),
+        redo: () => StateManager.redo(),
+        getState: () => StateManager.serialize()
+    });
+
+    // Forward state changes to the host
+    StateManager.subscribe('view', view => VizBridge.emit('viewchange', { mode: view }));
+    StateManager.subscribe('focusedRung', focusedRung => VizBridge.emit('focuschange', { focusedRung }));
+}
+
+// ============================================================
+// Accessibility (screen-reader mirror of the scene)
+// ============================================================
+function setupSceneMirror() {
+    // Rungs grouped by territory, top to bottom, so the judgment boundary falls between groups
+    const territories = [...new Set(RUNGS.map(r => r.territory))];
+    const territoryName = territory => VizI18n.t(`fourRungs.territory.${territory}`);
+
+    const mirror = VizA11y.createSceneMirror({
+        label: VizI18n.t('fourRungs.a11y.label'),
+        groups: territories.map(territory => ({
+            id: territory,
+            label: territoryName(territory),
+            items: RUNGS.filter(r => r.territory === territory)
+                .map(r => ({ id: r.id, label: r.title, description: r.question }))
+        })),
+        onSelect: id => focusOnRung(RUNGS.find(r => r.id === id)),
+        onClear: clearFocus
+    });
+
+    StateManager.subscribe('focusedRung', id => {
+        mirror.setCurrent(id);
+        const rung = RUNGS.find(r => r.id === id);
+        mirror.announce(rung
+            ? `${VizI18n.t('common.a11y.selected', { name: rung.title })} ${rung.question} ${territoryName(rung.territory)}.`
+            : VizI18n.t('common.a11y.cleared'));
+    });
+    StateManager.subscribe('view', view => {
+        mirror.announce(VizI18n.t('common.a11y.view', { name: VizI18n.t(`fourRungs.view.${view}`) }));
+    });
+}
+
+// ============================================================
+// Snapshot Export
+// ============================================================
+// Rung and boundary labels
+function sceneLabels() {
+    return document.querySelectorAll('.label-3d');
+}
+
+function exportSnapshot(options) {
+    return VizSnapshot.capture({ renderer, scene, camera, labels: sceneLabels }, options);
+}
+
+// ============================================================
+// Recording
+// ============================================================
+function setupRecorder() {
+    VizRecorder.register({
+        name: 'four-rungs',
+        renderer,
+        labels: sceneLabels,
+        scripts: {
+            // After the intro, up the ladder from execution to outcome, then both views
+            climb: {
+                duration: 24,
+                steps: [
+                    ...RUNGS.slice().reverse().map((rung, i) => ({ at: 4 + i * 3, call: 'focusOnRung', args: [rung.id] })),
+                    { at: 16, call: 'clearFocus' },
+                    { at: 18, call: 'setViewMode', args: ['current'] },
+                    { at: 21, call: 'setViewMode', args: ['recommended'] }
+                ]
+            }
+        }
+    });
+}
+
+// ============================================================
+// Keyboard
+// ============================================================
+function setupKeyboard() {
+    VizKeys.bind({
+        // Top to bottom, so Down walks toward execution like the Next button
+        items: () => RUNGS.map(r => ({ id: r.id, label: r.title })),
+        current: () => StateManager.focusedRung,
+        focus: id => focusOnRung(RUNGS.find(r => r.id === id)),
+        exit: clearFocus,
+        preview: previewRung,
+        views: ['recommended', 'current'].map(mode => ({
+            label: VizI18n.t(`fourRungs.view.${mode}`),
+            run: () => setViewMode(mode)
+        })),
+        undo: true
+    });
+}
+
+// Brighten the rung under the keyboard cursor without moving the camera
+function previewRung(rungId) {
+    if (StateManager.focusedRung) return;
+
+    rungRings.forEach(({ material, rung }) => {
+        const isPreviewed = rung.id === rungId;
+        gsap.to(material, {
+            opacity: !rungId || isPreviewed ? 0.9 : 0.35,
+            emissiveIntensity: isPreviewed ? 0.5 : 0.3,
+            duration: 0.4
+        });
+    });
+}
+
+// ============================================================
+// Scripted States (presentation deck and guided tour)
+// ============================================================
+// Level with the membrane, so the boundary reads as a line between the rungs
+const BOUNDARY_VIEW = {
+    position: { x: 6, y: 3.2, z: 7 },
+    target: { x: 0, y: CONFIG.positions.boundary, z: 0 }
+};
+
+// Rungs are shown in the recommended view, whatever was on screen before
+function showRung(rungId) {
+    if (StateManager.view !== 'recommended') setViewMode('recommended');
+    focusOnRung(RUNGS.find(r => r.id === rungId));
+}
+
+function showBoundary() {
+    setViewMode('recommended');
+    moveCamera(BOUNDARY_VIEW.position, BOUNDARY_VIEW.target, 1.5);
+}
+
+// ============================================================
+// Presentation Mode (?mode=present)
+// ============================================================
+function setupPresentation() {
+    const enter = {
+        overview: () => setViewMode('recommended'),
+        boundary: showBoundary,
+        current: () => setViewMode('current')
+    };
+    RUNG_IDS.forEach(id => {
+        enter[id] = () => showRung(id);
+    });
+
+    VizPresent.deck({
+        name: 'four-rungs',
+        slides: SLIDE_IDS.map(id => Object.assign({ id, enter: enter[id] }, SLIDE_COPY[id]))
+    });
+}
+
+// ============================================================
+// Guided Tour
+// ============================================================
+function setupTour() {
+    const steps = {
+        ladder: { preset: 'recommended', duration: 7 },
+        // F4, between the approach (G4) and method (E4) notes
+        boundary: { run: showBoundary, cue: () => AudioManager.playNote(349.23, 0.5), duration: 7 },
+        current: { preset: 'current', duration: 8 },
+        explore: { preset: 'recommended' }
+    };
+    RUNG_IDS.forEach(id => {
+        steps[id] = { focus: id };
+    });
+
+    const tour = VizTour.create({
+        name: 'four-rungs',
+        steps: TOUR_STEP_IDS.map(id => Object.assign({ id, caption: TOUR_CAPTIONS[id] }, steps[id])),
+        hooks: { preset: setViewMode, focus: showRung, clear: clearFocus }
+    });
+    VizTour.mountButton(tour);
+}
+
 // ============================================================
 // Global Functions for HTML
 // ============================================================
@@ -25,69 +25,106 @@ const CONFIG = {
     },
 };
 
-// Zone data
-const ZONES = {
-    seamless: {
-        id: 'seamless',
-        title: 'Seamless',
-        stakes: 'Low Stakes',
-        essence: 'AI flows invisibly, indistinguishable from human work.',
-        description: 'Zero friction. AI flows through invisibly, indistinguishable from human work. The user may not even know AI is involved.',
-        examples: 'Calendar scheduling, email sorting, auto-save',
-        color: CONFIG.colors.seamless,
-        colorHex: '#22d3ee',
-    },
-    visible: {
-        id: 'visible',
-        title: 'Visible',
-        stakes: 'Learning Stakes',
-        essence: 'Beautiful seams reveal where AI contributed.',
-        description: 'Beautiful seams illuminate where AI contributed, teaching through transparency. Users see and learn from AI\'s reasoning.',
-        examples: 'AI-drafted reports with marked sections, code with attribution',
-        color: CONFIG.colors.visible,
-        colorHex: '#60a5fa',
-    },
-    gated: {
-        id: 'gated',
-        title: 'Gated',
-        stakes: 'High Stakes',
-        essence: 'Flow pauses. Human approval required.',
-        description: 'The flow pauses. Human approval required before AI action proceeds. A checkpoint ensures human judgment at critical moments.',
-        examples: 'Medical diagnosis requiring approval, fraud flags for review',
-        color: CONFIG.colors.gated,
-        colorHex: '#fbbf24',
-    },
-    'human-only': {
-        id: 'human-only',
-        title: 'Human-Only',
-        stakes: 'Constitutional Stakes',
-        essence: 'Human decides. AI advises at most.',
-        description: 'The barrier is absolute. Human decides, AI advises at most. Some choices belong to us alone.',
-        examples: 'Judicial rulings, personnel decisions, strategic direction',
-        color: CONFIG.colors.humanOnly,
-        colorHex: '#8b5cf6',
-    },
+const ZONE_ORDER = ['seamless', 'visible', 'gated', 'human-only'];
+
+// Scripted states, in order: each zone, with the gated zone shown closed and
+// then approved. The presentation deck and the guided tour both step through them.
+const SLIDES = [
+    { id: 'seamless', zone: 'seamless' },
+    { id: 'visible', zone: 'visible' },
+    { id: 'gated', zone: 'gated', gate: 0 },
+    { id: 'gated-open', zone: 'gated', gate: 100 },
+    { id: 'human-only', zone: 'human-only' }
+];
+const SLIDE_IDS = SLIDES.map(slide => slide.id);
+
+// Guided tour: the same states, then back to the start to explore
+const TOUR_STEP_IDS = [...SLIDE_IDS, 'explore'];
+
+// Zone colors; the copy (title, stakes, essence, description, examples)
+// comes from content.json
+const ZONE_STYLES = {
+    seamless: { color: CONFIG.colors.seamless, colorHex: '#22d3ee' },
+    visible: { color: CONFIG.colors.visible, colorHex: '#60a5fa' },
+    gated: { color: CONFIG.colors.gated, colorHex: '#fbbf24' },
+    'human-only': { color: CONFIG.colors.humanOnly, colorHex: '#8b5cf6' },
 };
 
-const ZONE_ORDER = ['seamless', 'visible', 'gated', 'human-only'];
+const CONTENT_SCHEMA = {
+    zones: VizContent.mapOf({
+        title: 'string',
+        stakes: 'string',
+        essence: 'string',
+        description: 'string',
+        examples: 'string'
+    }, { keys: ZONE_ORDER }),
+    presentation: VizContent.mapOf({
+        title: 'string',
+        notes: 'string'
+    }, { keys: SLIDE_IDS }),
+    tour: VizContent.mapOf('string', { keys: TOUR_STEP_IDS })
+};
+
+// Zone data, filled by applyContent()
+const ZONES = {};
+
+// Slide titles and speaker notes for ?mode=present, filled by applyContent()
+const SLIDE_COPY = {};
+
+// Tour captions by step id, filled by applyContent()
+const TOUR_CAPTIONS = {};
+
+function applyContent(content) {
+    ZONE_ORDER.forEach(id => {
+        ZONES[id] = Object.assign({ id }, content.zones[id], ZONE_STYLES[id]);
+        document.querySelector(`.view-btn[data-zone="${id}"] .view-btn__label`).textContent = ZONES[id].title;
+    });
+
+    Object.assign(SLIDE_COPY, content.presentation);
+    Object.assign(TOUR_CAPTIONS, content.tour);
+}
 
 // ============================================================
 // Global State
 // ============================================================
 let scene, camera, renderer, controls;
-let currentZone = 'seamless';
 let zoneGroup = null;
 let particles = [];
 let time = 0;
 let isTransitioning = false;
+let shownZone = null; // Zone the scene is built for; trails the store while an undo waits out a slide
 
-// Interactive state for Gated zone
+// Interactive state for Gated zone (live value while dragging; the store
+// holds the settled position)
 let gateOpenAmount = 0; // 0 = closed, 1 = open
 
+// ============================================================
+// State Manager
+// ============================================================
+const StateManager = VizState.createStore({
+    zone: { type: 'string', values: ZONE_ORDER, default: 'seamless', history: true, param: 'zone' },
+    // Settled gate position: 0 = Closed, 50 = Review, 100 = Open
+    gate: { type: 'number', min: 0, max: 100, default: 0, param: 'gate' }
+}, {
+    applyHistory: ({ zone }) => restoreZone(zone)
+});
+
 // ============================================================
 // Initialization
 // ============================================================
-window.addEventListener('DOMContentLoaded', init);
+window.addEventListener('DOMContentLoaded', () => {
+    VizI18n.ready
+        .then(() => VizContent.load('content.json', CONTENT_SCHEMA))
+        .then(content => {
+            applyContent(content);
+            init();
+            VizMotion.mountToggle();
+            VizSnapshot.mountButton(exportSnapshot, 'friction-spectrum');
+            setupTour();
+        }, () => {
+            // The error overlay lists what needs fixing in content.json
+        });
+});
 
 function init() {
     // Scene
@@ -110,7 +147,7 @@ function init() {
     renderer = new THREE.WebGLRenderer({
         canvas,
         antialias: true,
-        alpha: false
+        alpha: true // Needed for transparent snapshot exports
     });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -128,12 +165,21 @@ function init() {
     // Lighting
     setupLighting();
 
+    // Restore deep-linked zone/gate before building the scene
+    restoreUrlState();
+    StateManager.subscribe(syncUrlState);
+
     // Create initial zone
-    createZone(currentZone);
+    createZone(StateManager.zone);
 
     // Events
     window.addEventListener('resize', onResize);
     renderer.domElement.addEventListener('click', onCanvasClick);
+    VizState.bindUndoKeys(StateManager);
+    setupEmbedBridge();
+    setupSceneMirror();
+    setupKeyboard();
+    setupRecorder();
 
     // Start animation
     animate();
@@ -168,6 +214,7 @@ function createZone(zoneId) {
         zoneGroup = null;
     }
     particles = [];
+    shownZone = zoneId;
 
     zoneGroup = new THREE.Group();
     zoneGroup.scale.setScalar(0.8); // 20% smaller
@@ -253,23 +300,23 @@ function updateZoneLabel(zone) {
     }
 }
 
-// Legend configuration per zone
+// Legend configuration per zone (labels are i18n keys)
 const LEGEND_CONFIG = {
     seamless: {
-        item1: { label: 'Source A', color: '#93c5fd' },
-        item2: { label: 'Source B', color: '#5eead4' },
+        item1: { label: 'friction.legend.sourceA', color: '#93c5fd' },
+        item2: { label: 'friction.legend.sourceB', color: '#5eead4' },
     },
     visible: {
-        item1: { label: 'AI', color: '#22d3ee' },
-        item2: { label: 'Human', color: '#f5a623' },
+        item1: { label: 'common.ai', color: '#22d3ee' },
+        item2: { label: 'common.human', color: '#f5a623' },
     },
     gated: {
-        item1: { label: 'Requests', color: '#fbbf24' },
+        item1: { label: 'friction.legend.requests', color: '#fbbf24' },
         item2: null, // Hidden
     },
     'human-only': {
-        item1: { label: 'AI', color: '#8b5cf6' },
-        item2: { label: 'Human', color: '#f5f0e8' },
+        item1: { label: 'common.ai', color: '#8b5cf6' },
+        item2: { label: 'common.human', color: '#f5f0e8' },
     },
 };
 
@@ -288,7 +335,7 @@ function updateLegend(zoneId) {
     if (config.item1 && dot1 && label1 && item1) {
         dot1.style.background = config.item1.color;
         dot1.style.boxShadow = `0 0 4px ${config.item1.color}`;
-        label1.textContent = config.item1.label;
+        label1.textContent = VizI18n.t(config.item1.label);
         item1.style.display = 'flex';
     }
 
@@ -297,7 +344,7 @@ function updateLegend(zoneId) {
         if (config.item2 && dot2 && label2) {
             dot2.style.background = config.item2.color;
             dot2.style.boxShadow = `0 0 4px ${config.item2.color}`;
-            label2.textContent = config.item2.label;
+            label2.textContent = VizI18n.t(config.item2.label);
             item2.style.display = 'flex';
         } else {
             item2.style.display = 'none';
@@ -1088,22 +1135,43 @@ function animateHumanOnly() {
 }
 
 // ============================================================
-// Zone Switching - Smooth horizontal slide
+// Zone Switching - Smooth horizontal slide (crossfade in reduced motion)
 // ============================================================
 function switchZone(zoneId) {
-    if (zoneId === currentZone || isTransitioning) return;
+    if (zoneId === StateManager.zone || isTransitioning) return;
 
+    StateManager.update({ zone: zoneId, gate: 0 });
+    slideToZone(zoneId);
+}
+
+// Undo/redo. The store has already moved its history when this runs, so a
+// zone restored mid-slide is set now and the scene follows once the slide ends
+function restoreZone(zoneId) {
+    if (!isTransitioning) {
+        switchZone(zoneId);
+        return;
+    }
+    StateManager.update({ zone: zoneId, gate: 0 });
+    setTimeout(catchUpZone, 100);
+}
+
+function catchUpZone() {
+    if (isTransitioning) {
+        setTimeout(catchUpZone, 100);
+        return;
+    }
+    if (shownZone !== StateManager.zone) slideToZone(StateManager.zone);
+}
+
+function slideToZone(zoneId) {
     isTransitioning = true;
-    const prevZoneIndex = ZONE_ORDER.indexOf(currentZone);
+    const prevZoneIndex = ZONE_ORDER.indexOf(shownZone);
     const nextZoneIndex = ZONE_ORDER.indexOf(zoneId);
     const direction = nextZoneIndex > prevZoneIndex ? 1 : -1;
 
     // Clean up seamless labels when leaving that zone
     document.querySelectorAll('.seamless-label').forEach(el => el.remove());
 
-    currentZone = zoneId;
-    const zone = ZONES[zoneId];
-
     // Reset interactive state
     gateOpenAmount = 0;
     const slider = document.getElementById('gateSlider');
@@ -1114,32 +1182,42 @@ function switchZone(zoneId) {
     updateZoneControls(zoneId);
     closeDetail();
 
-    // Smooth slide transition
-    const slideDistance = 8;
-
-    // Slide current zone out
-    gsap.to(zoneGroup.position, {
-        x: -direction * slideDistance,
-        duration: 0.5,
-        ease: 'power2.in',
-        onComplete: () => {
-            // Create new zone
+    if (VizMotion.reduced) {
+        // Crossfade instead of sliding the scene sideways
+        VizMotion.crossfade(() => {
             createZone(zoneId);
-
-            // Position new zone off-screen
-            zoneGroup.position.x = direction * slideDistance;
-
-            // Slide new zone in
-            gsap.to(zoneGroup.position, {
-                x: 0,
-                duration: 0.5,
-                ease: 'power2.out',
-                onComplete: () => {
-                    isTransitioning = false;
-                }
-            });
-        }
-    });
+            zoneGroup.position.x = 0;
+        }).then(() => {
+            isTransitioning = false;
+        });
+    } else {
+        // Smooth slide transition
+        const slideDistance = 8;
+
+        // Slide current zone out
+        gsap.to(zoneGroup.position, {
+            x: -direction * slideDistance,
+            duration: 0.5,
+            ease: 'power2.in',
+            onComplete: () => {
+                // Create new zone
+                createZone(zoneId);
+
+                // Position new zone off-screen
+                zoneGroup.position.x = direction * slideDistance;
+
+                // Slide new zone in
+                gsap.to(zoneGroup.position, {
+                    x: 0,
+                    duration: 0.5,
+                    ease: 'power2.out',
+                    onComplete: () => {
+                        isTransitioning = false;
+                    }
+                });
+            }
+        });
+    }
 
     // Play tone
     AudioManager.playSelectTone(nextZoneIndex);
@@ -1168,6 +1246,9 @@ function updateGate(value, shouldSnap = true) {
         if (slider) slider.value = value;
     }
     gateOpenAmount = value / 100;
+
+    // Live drags (shouldSnap = false) are recorded once snapGate settles
+    if (shouldSnap) StateManager.set('gate', value);
 }
 
 function snapGate(value) {
@@ -1183,7 +1264,8 @@ function snapGate(value) {
             onUpdate: function() {
                 slider.value = this.targets()[0].val;
                 gateOpenAmount = this.targets()[0].val / 100;
-            }
+            },
+            onComplete: () => StateManager.set('gate', snappedValue)
         });
     }
 }
@@ -1212,7 +1294,7 @@ function updateViewButtons(zoneId) {
 // Detail Panel
 // ============================================================
 function showDetail(zoneId) {
-    const zone = ZONES[zoneId || currentZone];
+    const zone = ZONES[zoneId || StateManager.zone];
     if (!zone) return;
 
     const panel = document.getElementById('detailPanel');
@@ -1262,13 +1344,13 @@ function animate() {
     time = performance.now() * 0.001;
     controls.update();
 
-    // Slow rotation of the entire zone group (viewed from angle)
-    if (zoneGroup && !isTransitioning) {
+    // Slow rotation of the entire zone group (viewed from angle); held still in reduced motion
+    if (zoneGroup && !isTransitioning && !VizMotion.reduced) {
         zoneGroup.rotation.y = Math.sin(time * 0.15) * 0.25;
     }
 
     // Animate current zone
-    switch (currentZone) {
+    switch (StateManager.zone) {
         case 'seamless': animateSeamless(); break;
         case 'visible': animateVisible(); break;
         case 'gated': animateGated(); break;
@@ -1282,17 +1364,22 @@ function animate() {
 // Intro Animation
 // ============================================================
 function playIntro() {
-    // Start camera further back
-    camera.position.set(0, 5, 18);
-
-    // Smooth camera approach to front view
-    gsap.to(camera.position, {
-        x: 0,
-        y: 3,
-        z: 12,
-        duration: 2.5,
-        ease: 'power2.out'
-    });
+    if (VizMotion.reduced) {
+        // No approach: start at the front view
+        camera.position.set(0, 3, 12);
+    } else {
+        // Start camera further back
+        camera.position.set(0, 5, 18);
+
+        // Smooth camera approach to front view
+        gsap.to(camera.position, {
+            x: 0,
+            y: 3,
+            z: 12,
+            duration: 2.5,
+            ease: 'power2.out'
+        });
+    }
 
     // Staggered UI reveal
     setTimeout(() => {
@@ -1317,6 +1404,8 @@ function playIntro() {
 
     setTimeout(() => {
         document.getElementById('audioBtn')?.classList.add('visible');
+        VizBridge.emit('introcomplete');
+        setupPresentation();
     }, 1800);
 }
 
@@ -1357,7 +1446,7 @@ const AudioManager = {
         if (btn) {
             btn.classList.toggle('active', this.enabled);
             const label = btn.querySelector('.audio-label');
-            if (label) label.textContent = this.enabled ? 'Sound On' : 'Sound';
+            if (label) label.textContent = VizI18n.t(this.enabled ? 'common.soundOn' : 'common.sound');
         }
     },
 
@@ -1382,6 +1471,173 @@ const AudioManager = {
     }
 };
 
+// ============================================================
+// URL State (deep links like ?zone=gated&gate=50)
+// ============================================================
+function restoreUrlState() {
+    const restored = StateManager.fromParams(UrlState.read(StateManager.paramNames()));
+
+    if (restored.zone) {
+        StateManager.set('zone', restored.zone);
+        updateViewButtons(restored.zone);
+        updateZoneControls(restored.zone);
+    }
+
+    if (StateManager.zone === 'gated' && restored.gate !== undefined) {
+        updateGate(restored.gate, true);
+    }
+
+    // The linked state is the starting point, not an undo step
+    StateManager.clearHistory();
+}
+
+function syncUrlState() {
+    UrlState.write(StateManager.toParams());
+}
+
+// ============================================================
+// Embed Bridge (host page control via embed/loader.js)
+// ============================================================
+function setupEmbedBridge() {
+    VizBridge.register('friction-spectrum', {
+        switchZone(zoneId) {
+            if (!ZONES[zoneId]) throw new Error(`Unknown zone: ${zoneId}`);
+            switchZone(zoneId);
+        },
+        // Gate amount 0-100, snapped to Closed / Review / Open
+        updateGate(value) {
+            updateGate(value, true);
+            return StateManager.gate;
+        },
+        // { size: '1x' | '2x' | '4k', format: 'png' | 'svg', transparent } -> Blob
+        exportImage: options => exportSnapshot(options),
+        undo: () => StateManager.undo(),
+        redo: () => StateManager.redo(),
+        getState: () => StateManager.serialize()
+    });
+
+    StateManager.subscribe('zone', zone => VizBridge.emit('zonechange', { zone }));
+}
+
+// ============================================================
+// Accessibility (screen-reader mirror of the scene)
+// ============================================================
+function setupSceneMirror() {
+    const mirror = VizA11y.createSceneMirror({
+        label: VizI18n.t('friction.a11y.label'),
+        groups: [{
+            id: 'zones',
+            label: VizI18n.t('friction.title'),
+            items: ZONE_ORDER.map(id => ({ id, label: ZONES[id].title, description: ZONES[id].essence }))
+        }],
+        onSelect: switchZone
+    });
+    mirror.setCurrent(StateManager.zone);
+
+    StateManager.subscribe('zone', zone => {
+        mirror.setCurrent(zone);
+        mirror.announce(`${VizI18n.t('common.a11y.selected', { name: ZONES[zone].title })} ${ZONES[zone].essence}`);
+    });
+    StateManager.subscribe('gate', value => {
+        // Switching zones resets the gate; that reset is covered by the zone announcement
+        if (StateManager.zone === 'gated') mirror.announce(VizI18n.t('friction.a11y.gate', { value }));
+    });
+}
+
+// ============================================================
+// Snapshot Export
+// ============================================================
+// The zone's stakes / essence label
+function sceneLabels() {
+    return document.querySelectorAll('.zone-label');
+}
+
+function exportSnapshot(options) {
+    return VizSnapshot.capture({ renderer, scene, camera, labels: sceneLabels }, options);
+}
+
+// ============================================================
+// Recording
+// ============================================================
+function setupRecorder() {
+    VizRecorder.register({
+        name: 'friction-spectrum',
+        renderer,
+        labels: sceneLabels,
+        scripts: {
+            // Every zone in order, ending back on the first so the clip loops
+            zones: {
+                duration: ZONE_ORDER.length * 4 + 2,
+                steps: [...ZONE_ORDER.slice(1), ZONE_ORDER[0]].map((id, i) => ({ at: 4 + i * 4, call: 'switchZone', args: [id] }))
+            }
+        }
+    });
+}
+
+// ============================================================
+// Keyboard
+// ============================================================
+function setupKeyboard() {
+    // A zone is always showing, so the arrows step through zones and Enter opens its detail
+    VizKeys.bind({
+        items: () => ZONE_ORDER.map(id => ({ id, label: ZONES[id].title })),
+        current: () => StateManager.zone,
+        focus: switchZone,
+        open: showDetail,
+        exit: closeDetail,
+        views: ZONE_ORDER.map(id => ({ label: ZONES[id].title, run: () => switchZone(id) })),
+        undo: true
+    });
+}
+
+// ============================================================
+// Scripted States (presentation deck and guided tour)
+// ============================================================
+let pendingState = null;
+
+// switchZone ignores calls mid-slide, so stepping quickly waits for the
+// transition and then lands on the latest state
+function showState(stateId) {
+    const state = SLIDES.find(s => s.id === stateId);
+    pendingState = state;
+    if (isTransitioning) {
+        setTimeout(() => {
+            if (pendingState === state) showState(stateId);
+        }, 100);
+        return;
+    }
+
+    switchZone(state.zone);
+    if (state.gate !== undefined) updateGate(state.gate, true);
+}
+
+// ============================================================
+// Presentation Mode (?mode=present)
+// ============================================================
+function setupPresentation() {
+    VizPresent.deck({
+        name: 'friction-spectrum',
+        slides: SLIDE_IDS.map(id => Object.assign({ id, enter: () => showState(id) }, SLIDE_COPY[id]))
+    });
+}
+
+// ============================================================
+// Guided Tour
+// ============================================================
+function setupTour() {
+    const tour = VizTour.create({
+        name: 'friction-spectrum',
+        steps: TOUR_STEP_IDS.map(id => ({
+            id,
+            focus: id === 'explore' ? SLIDE_IDS[0] : id,
+            caption: TOUR_CAPTIONS[id],
+            duration: id === 'gated' ? 8 : 6
+        })),
+        hooks: { focus: showState }
+    });
+    VizTour.mountButton(tour);
+}
+
 // ============================================================
 // Utilities
 // ============================================================